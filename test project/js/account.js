@@ -0,0 +1,233 @@
+/* ==========================================
+ * GLOVOADMIN - MY ACCOUNT (account.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * "Mon compte" page, open to every logged-in user
+ * whatever their role. Shows the profile of the current
+ * user and lets them change their password, after
+ * typing the current one (changePassword, auth.js).
+ * Admins can also enable two-factor authentication
+ * (totp.js): scan a QR code, confirm a code, keep the
+ * recovery codes.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point
+ *
+ * SECTION 2: PROFILE
+ *   - renderProfile(): Account details and session
+ *
+ * SECTION 3: PASSWORD
+ *   - handlePasswordSubmit(): Change the password
+ *
+ * SECTION 4: TWO-FACTOR AUTHENTICATION
+ *   - renderTwoFactor(): Card for the current state
+ *   - handleTwoFactorAction(): Enroll, confirm, regenerate, disable
+ *
+ * DEPENDENCIES:
+ * - script.js, repository.js, permissions.js, session.js, auth.js,
+ *   qrcode.js, totp.js (must be loaded first)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the account page.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    if (!getCurrentUser()) return;
+    renderProfile();
+    document.getElementById('passwordForm').addEventListener('submit', handlePasswordSubmit);
+    renderTwoFactor();
+    document.getElementById('twoFactorBody').addEventListener('click', handleTwoFactorAction);
+});
+
+/* ------------------------------------------
+ * SECTION 2: PROFILE
+ * ------------------------------------------ */
+
+/**
+ * Render Profile
+ * @function renderProfile
+ * @description Reads the user record, so changes made by an admin
+ * since login are shown.
+ */
+function renderProfile() {
+    const session = getCurrentUser();
+    const user = getRepository('users').findById(session.id) || session;
+    const details = [
+        ['Nom', user.name],
+        ['Email', user.email],
+        ['Rôle', getCurrentRole() || user.role],
+        ['Téléphone', user.phone || '-'],
+        ['Membre depuis', user.createdAt ? formatDate(user.createdAt) : '-'],
+        ['Session valable jusqu\'au', new Date(getSessionExpiry()).toLocaleString('fr-FR')]
+    ];
+    document.getElementById('profileDetails').innerHTML = details.map(([label, value]) => `
+        <div class="detail-item">
+            <label>${label}</label>
+            <span>${escapeHtml(String(value))}</span>
+        </div>
+    `).join('');
+}
+
+/* ------------------------------------------
+ * SECTION 3: PASSWORD
+ * ------------------------------------------ */
+
+/**
+ * Password Form Submit Handler
+ * @function handlePasswordSubmit
+ * @param {Event} e - The submit event
+ */
+async function handlePasswordSubmit(e) {
+    e.preventDefault();
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    if (newPassword !== document.getElementById('confirmPassword').value) {
+        showToast('Les deux mots de passe ne correspondent pas', 'error');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        await changePassword(currentPassword, newPassword);
+    } catch (err) {
+        showToast(err instanceof PasswordError ? err.message : 'Modification impossible, réessayez', 'error');
+        submitBtn.disabled = false;
+        return;
+    }
+    submitBtn.disabled = false;
+    e.target.reset();
+    showToast('Mot de passe modifié', 'success');
+}
+
+/* ------------------------------------------
+ * SECTION 4: TWO-FACTOR AUTHENTICATION
+ * ------------------------------------------
+ * Offered to admins; shown to anyone who
+ * already has it, so they can turn it off.
+ * ------------------------------------------ */
+
+/** @type {string|null} Secret shown in the QR code, until confirmed */
+let pendingTotpSecret = null;
+
+/**
+ * Render Two-Factor
+ * @function renderTwoFactor
+ * @param {Array<string>} [recoveryCodes] - Codes just generated, shown once
+ */
+function renderTwoFactor(recoveryCodes = null) {
+    const card = document.getElementById('twoFactorCard');
+    const body = document.getElementById('twoFactorBody');
+    const user = getRepository('users').findById(getCurrentUser().id);
+    if (!user || (!isTwoFactorEnabled(user) && getCurrentRole() !== SUPER_ROLE)) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = '';
+
+    if (recoveryCodes) {
+        body.innerHTML = `
+            <p class="text-muted mb-2">
+                Notez ces codes de secours et gardez-les en lieu sûr. Chacun permet de se connecter
+                une seule fois sans votre téléphone. Ils ne seront plus affichés.
+            </p>
+            <ul class="recovery-codes mb-2">
+                ${recoveryCodes.map(code => `<li><code>${code}</code></li>`).join('')}
+            </ul>
+            <button type="button" class="btn btn-primary" data-action="done">J'ai noté mes codes</button>
+        `;
+    } else if (pendingTotpSecret) {
+        body.innerHTML = `
+            <p class="text-muted mb-2">
+                Scannez ce QR code avec votre application d'authentification
+                (Google Authenticator, FreeOTP, ...), puis entrez le code affiché.
+            </p>
+            <div class="two-factor-qr mb-2">${renderQrSvg(buildTotpUri(pendingTotpSecret, user.email))}</div>
+            <p class="text-muted mb-2">Clé à saisir à la main : <code>${pendingTotpSecret.match(/.{1,4}/g).join(' ')}</code></p>
+            <div class="form-group">
+                <label for="totpConfirmCode">Code à 6 chiffres</label>
+                <input type="text" id="totpConfirmCode" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+            </div>
+            <button type="button" class="btn btn-secondary" data-action="cancel">Annuler</button>
+            <button type="button" class="btn btn-primary" data-action="confirm">Activer</button>
+        `;
+    } else if (isTwoFactorEnabled(user)) {
+        const remaining = (user.recoveryCodes || []).length;
+        body.innerHTML = `
+            <p class="mb-2">
+                <span class="status-badge success">Activée</span>
+                Un code vous est demandé à chaque connexion.
+                ${remaining} code${remaining > 1 ? 's' : ''} de secours restant${remaining > 1 ? 's' : ''}.
+            </p>
+            <div class="form-group">
+                <label for="twoFactorPassword">Mot de passe (pour modifier)</label>
+                <input type="password" id="twoFactorPassword" autocomplete="current-password">
+            </div>
+            <button type="button" class="btn btn-secondary" data-action="regenerate">Nouveaux codes de secours</button>
+            <button type="button" class="btn btn-danger" data-action="disable">Désactiver</button>
+        `;
+    } else {
+        body.innerHTML = `
+            <p class="text-muted mb-2">
+                Protégez votre compte administrateur : en plus du mot de passe, un code
+                à usage unique généré par votre téléphone sera demandé à la connexion.
+            </p>
+            <button type="button" class="btn btn-primary" data-action="enroll">
+                <i class="fas fa-qrcode"></i>
+                Activer la double authentification
+            </button>
+        `;
+    }
+}
+
+/**
+ * Two-Factor Action Handler
+ * @function handleTwoFactorAction
+ * @param {Event} e - Click in the card (buttons carry data-action)
+ */
+async function handleTwoFactorAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const action = button.dataset.action;
+
+    if (action === 'enroll') {
+        pendingTotpSecret = createTotpSecret();
+        renderTwoFactor();
+        return;
+    }
+    if (action === 'cancel' || action === 'done') {
+        pendingTotpSecret = null;
+        renderTwoFactor();
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        if (action === 'confirm') {
+            const codes = await enableTwoFactor(pendingTotpSecret, document.getElementById('totpConfirmCode').value);
+            pendingTotpSecret = null;
+            showToast('Double authentification activée', 'success');
+            renderTwoFactor(codes);
+        } else if (action === 'regenerate') {
+            renderTwoFactor(await regenerateRecoveryCodes(document.getElementById('twoFactorPassword').value));
+            showToast('Nouveaux codes de secours générés', 'success');
+        } else if (action === 'disable') {
+            await disableTwoFactor(document.getElementById('twoFactorPassword').value);
+            showToast('Double authentification désactivée', 'success');
+            renderTwoFactor();
+        }
+    } catch (err) {
+        showToast(err instanceof PasswordError ? err.message : 'Opération impossible, réessayez', 'error');
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,168 @@
+/* ==========================================
+ * GLOVOADMIN - AUDIT LOG (audit.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Append-only audit log of every data mutation made in
+ * this tab (create, update, delete, restore, purge) on
+ * orders, products, clients, users and deliveries.
+ * Each entry records the acting user (session user,
+ * getCurrentUser), a timestamp, the entity and id, and a
+ * field-level before/after diff. Entries are written
+ * to the 'auditLog' store of the storage backend and
+ * are never updated or deleted.
+ *
+ * Entry format:
+ *   { id, timestamp, user, userRole, action, entity,
+ *     recordId, changes: [{ field, before, after }] }
+ * plus impersonatedBy (the admin's name) for writes made
+ * while an admin impersonates the user (session.js).
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *
+ * SECTION 2: DIFF
+ *   - diffFields(): Field-level before/after
+ *
+ * SECTION 3: RECORDING
+ *   - initAudit(): Start logging local writes
+ *   - buildAuditEntry(): Entry for one change
+ *
+ * SECTION 4: READING
+ *   - loadAuditLog(): All entries, newest first
+ *
+ * DEPENDENCIES:
+ * - storage.js (getStorageBackend)
+ * - script.js (onAppReady, getCurrentUser)
+ * - repository.js (onRepositoryChange, persist)
+ * - session.js (getImpersonator)
+ *
+ * USED BY:
+ * - Every page loading the repository (recording),
+ *   auditlog.js (reading)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {string} Storage backend store holding the log */
+const AUDIT_STORE = 'auditLog';
+
+/** @constant {Object<string, string>} Repository change type → audit action */
+const AUDIT_ACTIONS = {
+    insert: 'create',
+    update: 'update',
+    remove: 'delete',
+    restore: 'restore',
+    purge: 'purge',
+    replace: 'replace'
+};
+
+/** @constant {Array<string>} Fields whose values are never written to the log */
+const AUDIT_MASKED_FIELDS = ['passwordHash', 'totpSecret', 'recoveryCodes'];
+
+/** @constant {string} Logged instead of a masked value */
+const AUDIT_MASK = '••••••';
+
+/** @type {number} Entries written by this tab (orders same-millisecond entries) */
+let auditSequence = 0;
+
+/* ------------------------------------------
+ * SECTION 2: DIFF
+ * ------------------------------------------ */
+
+/**
+ * Diff Fields
+ * @function diffFields
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+ * @description Missing values are reported as null. Masked fields
+ * (password hashes) only show that they changed.
+ */
+function diffFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields]
+        .filter(field => field !== 'id')
+        .map(field => ({
+            field,
+            before: before && field in before ? before[field] : null,
+            after: after && field in after ? after[field] : null
+        }))
+        .filter(diff => JSON.stringify(diff.before) !== JSON.stringify(diff.after))
+        .map(diff => (AUDIT_MASKED_FIELDS.includes(diff.field)
+            ? { field: diff.field, before: diff.before && AUDIT_MASK, after: diff.after && AUDIT_MASK }
+            : diff));
+}
+
+/* ------------------------------------------
+ * SECTION 3: RECORDING
+ * ------------------------------------------ */
+
+/**
+ * Build Audit Entry
+ * @function buildAuditEntry
+ * @param {Object} change - Repository change
+ * @returns {Object} Audit entry
+ * @description A whole-entity replace (backup restore) is logged
+ * as one entry with per-record counts instead of a field diff.
+ */
+function buildAuditEntry(change) {
+    const user = getCurrentUser() || {};
+    const entry = {
+        // Unique across tabs, sorts in write order
+        id: `${Date.now()}-${String(auditSequence++).padStart(6, '0')}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: new Date().toISOString(),
+        user: user.name || 'Inconnu',
+        userRole: user.role || '',
+        action: AUDIT_ACTIONS[change.type] || change.type,
+        entity: change.entity,
+        recordId: change.id,
+        changes: []
+    };
+    // Made by an admin through "Voir en tant que" (session.js)
+    const impersonator = getImpersonator();
+    if (impersonator) entry.impersonatedBy = impersonator.name;
+
+    if (change.type === 'replace') {
+        entry.changes = [{ field: 'enregistrements', before: change.before.length, after: change.after.length }];
+    } else {
+        entry.changes = diffFields(change.before, change.after);
+    }
+    return entry;
+}
+
+/**
+ * Initialize Audit
+ * @function initAudit
+ * @description Started once data is loaded, so startup writes
+ * (sample data, migrations, trash purge) are not logged. Writes
+ * from other tabs are logged by the tab that made them.
+ */
+function initAudit() {
+    onRepositoryChange(change => {
+        if (change.source !== 'local') return;
+        persist(getStorageBackend().insert(AUDIT_STORE, buildAuditEntry(change)));
+    });
+}
+
+onAppReady(initAudit);
+
+/* ------------------------------------------
+ * SECTION 4: READING
+ * ------------------------------------------ */
+
+/**
+ * Load Audit Log
+ * @function loadAuditLog
+ * @returns {Promise<Array<Object>>} Every entry, newest first
+ */
+async function loadAuditLog() {
+    const entries = await getStorageBackend().loadAll(AUDIT_STORE) || [];
+    return entries.sort((a, b) => b.id.localeCompare(a.id));
+}
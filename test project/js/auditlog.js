@@ -0,0 +1,226 @@
+/* ==========================================
+ * GLOVOADMIN - AUDIT LOG PAGE (auditlog.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Admin "Journal" page. Shows the audit log recorded by
+ * audit.js (who changed what, when, field by field),
+ * newest first, with filters by entity, user and date.
+ * The log is read-only.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point ('audit.view' permission)
+ *
+ * SECTION 2: CONFIGURATION & STATE
+ *   - AUDIT_ENTITY_LABELS / AUDIT_ACTION_LABELS
+ *
+ * SECTION 3: DATA
+ *   - refreshAuditLog(): Reload the entries
+ *   - getFilteredEntries(): Apply the filters
+ *
+ * SECTION 4: RENDER TABLE
+ *   - renderAuditTable(): Display one page of entries
+ *   - formatAuditChanges(): "field: before → after" list
+ *
+ * SECTION 5: EVENT LISTENERS
+ *   - setupEventListeners(): Bind UI events
+ *
+ * DEPENDENCIES:
+ * - script.js, repository.js, permissions.js, sync.js, audit.js (must be loaded first)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the audit log page.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    if (!can('audit.view')) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+    setupEventListeners();
+    refreshAuditLog();
+});
+
+/* ------------------------------------------
+ * SECTION 2: CONFIGURATION & STATE
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Entity → label */
+const AUDIT_ENTITY_LABELS = {
+    orders: 'Commande',
+    products: 'Produit',
+    clients: 'Client',
+    users: 'Utilisateur',
+    deliveries: 'Livraison'
+};
+
+/** @constant {Object<string, {label: string, badge: string}>} Action → label and badge class */
+const AUDIT_ACTION_LABELS = {
+    create: { label: 'Création', badge: 'success' },
+    update: { label: 'Modification', badge: 'info' },
+    delete: { label: 'Suppression', badge: 'danger' },
+    restore: { label: 'Restauration', badge: 'success' },
+    purge: { label: 'Suppression définitive', badge: 'danger' },
+    replace: { label: 'Remplacement', badge: 'warning' }
+};
+
+/** @type {Array<Object>} Loaded entries, newest first */
+let auditEntries = [];
+
+/** @type {number} Current page (1-based) */
+let auditPage = 1;
+
+/** @constant {number} Entries per page */
+const AUDIT_PAGE_SIZE = 20;
+
+/* ------------------------------------------
+ * SECTION 3: DATA
+ * ------------------------------------------ */
+
+/**
+ * Refresh Audit Log
+ * @function refreshAuditLog
+ * @description Reloads the entries and the user filter options.
+ */
+async function refreshAuditLog() {
+    try {
+        auditEntries = await loadAuditLog();
+    } catch (err) {
+        showToast(`Impossible de charger le journal : ${err.message}`, 'error');
+        auditEntries = [];
+    }
+
+    const userSelect = document.getElementById('filterUser');
+    const selected = userSelect.value;
+    const users = [...new Set(auditEntries.map(entry => entry.user))].sort();
+    userSelect.innerHTML = '<option value="">Tous les utilisateurs</option>' +
+        users.map(user => `<option value="${escapeHtml(user)}">${escapeHtml(user)}</option>`).join('');
+    userSelect.value = users.includes(selected) ? selected : '';
+
+    renderAuditTable();
+}
+
+/**
+ * Get Filtered Entries
+ * @function getFilteredEntries
+ * @returns {Array<Object>} Entries matching entity, user and date range
+ * @description Dates are compared as local days (inputs give YYYY-MM-DD).
+ */
+function getFilteredEntries() {
+    const entity = document.getElementById('filterEntity').value;
+    const user = document.getElementById('filterUser').value;
+    const from = document.getElementById('filterDateFrom').value;
+    const to = document.getElementById('filterDateTo').value;
+
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+    return auditEntries.filter(entry => {
+        const time = new Date(entry.timestamp).getTime();
+        return (!entity || entry.entity === entity) &&
+            (!user || entry.user === user) &&
+            time >= fromTime && time <= toTime;
+    });
+}
+
+/* ------------------------------------------
+ * SECTION 4: RENDER TABLE
+ * ------------------------------------------ */
+
+/**
+ * Format one value for display
+ * @param {*} value - Field value
+ * @returns {string} Escaped HTML
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '<em>vide</em>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escapeHtml(text.length > 60 ? `${text.slice(0, 57)}...` : text);
+}
+
+/**
+ * Format Audit Changes
+ * @function formatAuditChanges
+ * @param {Object} entry - Audit entry
+ * @returns {string} HTML list of "field: before → after"
+ */
+function formatAuditChanges(entry) {
+    if (entry.changes.length === 0) return '-';
+    return entry.changes.map(change =>
+        `<div><strong>${escapeHtml(change.field)}</strong> : ${formatAuditValue(change.before)} → ${formatAuditValue(change.after)}</div>`
+    ).join('');
+}
+
+/**
+ * Render Audit Table
+ * @function renderAuditTable
+ */
+function renderAuditTable() {
+    const tbody = document.getElementById('tableBody');
+    const entries = getFilteredEntries();
+    const totalPages = Math.max(1, Math.ceil(entries.length / AUDIT_PAGE_SIZE));
+    auditPage = Math.min(auditPage, totalPages);
+    const pageEntries = entries.slice((auditPage - 1) * AUDIT_PAGE_SIZE, auditPage * AUDIT_PAGE_SIZE);
+
+    if (pageEntries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6">
+                    <div class="empty-state">
+                        <i class="fas fa-history"></i>
+                        <h3>Aucune entrée dans le journal</h3>
+                        <p>Modifiez vos filtres ou effectuez des modifications</p>
+                    </div>
+                </td>
+            </tr>
+        `;
+    } else {
+        tbody.innerHTML = pageEntries.map(entry => {
+            const action = AUDIT_ACTION_LABELS[entry.action] || { label: entry.action, badge: 'info' };
+            return `
+                <tr>
+                    <td>${new Date(entry.timestamp).toLocaleString('fr-FR')}</td>
+                    <td>
+                        ${escapeHtml(entry.user)}
+                        ${entry.impersonatedBy ? `<span class="audit-impersonator"><i class="fas fa-user-secret"></i> par ${escapeHtml(entry.impersonatedBy)}</span>` : ''}
+                    </td>
+                    <td><span class="status-badge ${action.badge}">${action.label}</span></td>
+                    <td>${AUDIT_ENTITY_LABELS[entry.entity] || escapeHtml(entry.entity)}</td>
+                    <td>${entry.recordId !== null && entry.recordId !== undefined ? `#${entry.recordId}` : '-'}</td>
+                    <td class="audit-changes">${formatAuditChanges(entry)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    createPagination(entries.length, auditPage, AUDIT_PAGE_SIZE, (page) => {
+        auditPage = page;
+        renderAuditTable();
+    });
+}
+
+/* ------------------------------------------
+ * SECTION 5: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Setup Event Listeners
+ * @function setupEventListeners
+ */
+function setupEventListeners() {
+    ['filterEntity', 'filterUser', 'filterDateFrom', 'filterDateTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            auditPage = 1;
+            renderAuditTable();
+        });
+    });
+    document.getElementById('refreshBtn').addEventListener('click', refreshAuditLog);
+}
@@ -0,0 +1,577 @@
+/* ==========================================
+ * GLOVOADMIN - CREDENTIALS (auth.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Password hashing for the accounts of the users entity.
+ * Passwords are never stored: each user record keeps a
+ * salted PBKDF2 (SHA-256) hash computed with Web Crypto,
+ * in a single self-describing field:
+ *
+ *   passwordHash: 'pbkdf2-sha256$<iterations>$<salt>$<hash>'
+ *
+ * (salt and hash in base64). The iteration count is part
+ * of the value, so it can be raised later without
+ * breaking existing passwords.
+ *
+ * Failed logins are counted per email in meta
+ * 'loginAttempts' ({ email: { failures, lastFailure,
+ * lockedUntil } }), known or not, so the answers do not
+ * reveal which accounts exist. After a few failures each
+ * new attempt must wait longer; then the email is locked
+ * for a while, or until an admin unlocks it.
+ *
+ * Users change their own password on "Mon compte". A
+ * forgotten password is reset through a link sent to the
+ * local outbox (mail.js); only a SHA-256 hash of its token
+ * is kept, in meta 'passwordResets' ({ hash: { userId,
+ * expiresAt } }), and it can be used once.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - LoginError: Error thrown on a refused login
+ *   - TwoFactorRequiredError: Password accepted, code needed
+ *   - PasswordError: Error thrown on a refused password change
+ *
+ * SECTION 2: PASSWORD HASHING
+ *   - hashPassword(): Hash a new password
+ *   - verifyPassword(): Check a password against a hash
+ *
+ * SECTION 3: LOGIN THROTTLING
+ *   - LOGIN_THROTTLE: Delays and lockout
+ *   - checkLoginThrottle(): Refuse attempts made too soon
+ *   - recordLoginFailure() / clearLoginFailures()
+ *   - getLockedEmails() / unlockAccount(): Users page
+ *
+ * SECTION 4: ACCOUNTS
+ *   - findUserByEmail(): Account lookup
+ *   - authenticateUser(): Check throttling, email, password, status and 2FA code
+ *
+ * SECTION 5: PASSWORD CHANGE & RESET
+ *   - changePassword(): Current user, knowing the current password
+ *   - requestPasswordReset(): Send a reset link to the outbox
+ *   - findPasswordReset() / resetPassword(): Use the link
+ *
+ * DEPENDENCIES:
+ * - storage.js (getMeta, setMeta, reloadMeta)
+ * - repository.js (getRepository)
+ * - permissions.js (getCurrentRole, PermissionError, withoutPermissionChecks)
+ * - script.js (getCurrentUser), mail.js (sendMail; reset only)
+ * - session.js (renewSession; password change only)
+ * - totp.js (isTwoFactorEnabled, verifySecondFactor; login only)
+ *
+ * USED BY:
+ * - script.js (login), users.js (initial password, locked accounts),
+ *   login.js (reset), account.js (password change)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {string} Algorithm prefix of stored hashes */
+const PASSWORD_HASH_SCHEME = 'pbkdf2-sha256';
+
+/** @constant {number} PBKDF2 iterations for new hashes */
+const PASSWORD_HASH_ITERATIONS = 210000;
+
+/** @constant {number} Salt length in bytes */
+const PASSWORD_SALT_BYTES = 16;
+
+/** @constant {number} Minimum password length */
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Dummy Password Hash
+ * @constant {string}
+ * @description Checked when the email has no account (or no password),
+ * so the login answers as slowly as for a real account and its timing
+ * does not reveal which emails exist. No password matches it.
+ */
+const DUMMY_PASSWORD_HASH = [PASSWORD_HASH_SCHEME, PASSWORD_HASH_ITERATIONS, `${'A'.repeat(22)}==`, `${'A'.repeat(43)}=`].join('$');
+
+/**
+ * Login Error
+ * @class LoginError
+ * @extends Error
+ * @description Thrown by login() with the message shown to the user.
+ */
+class LoginError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LoginError';
+    }
+}
+
+/**
+ * Two-Factor Required Error
+ * @class TwoFactorRequiredError
+ * @extends LoginError
+ * @description Thrown by login() when the password is right but the
+ * account has two-factor authentication and no code was given.
+ */
+class TwoFactorRequiredError extends LoginError {
+    constructor() {
+        super('Entrez le code à 6 chiffres de votre application d\'authentification');
+        this.name = 'TwoFactorRequiredError';
+    }
+}
+
+/**
+ * Password Error
+ * @class PasswordError
+ * @extends Error
+ * @description Thrown by the password change and reset functions
+ * with the message shown to the user.
+ */
+class PasswordError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PasswordError';
+    }
+}
+
+/** @constant {number} Validity of a password reset link (ms) */
+const PASSWORD_RESET_LIFETIME = 30 * 60 * 1000;
+
+/* ------------------------------------------
+ * SECTION 2: PASSWORD HASHING
+ * ------------------------------------------ */
+
+/**
+ * Bytes → base64
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Base64 → bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive PBKDF2 bits
+ * @param {string} password - Clear password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - Iteration count
+ * @returns {Promise<ArrayBuffer>} 256-bit derived key
+ */
+async function derivePasswordBits(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+}
+
+/**
+ * Hash Password
+ * @function hashPassword
+ * @param {string} password - Clear password
+ * @returns {Promise<string>} Value for the passwordHash field
+ * @description Uses a new random salt on every call.
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const bits = await derivePasswordBits(password, salt, PASSWORD_HASH_ITERATIONS);
+    return [PASSWORD_HASH_SCHEME, PASSWORD_HASH_ITERATIONS, bytesToBase64(salt), bytesToBase64(bits)].join('$');
+}
+
+/**
+ * Verify Password
+ * @function verifyPassword
+ * @param {string} password - Clear password typed by the user
+ * @param {string} [passwordHash] - Stored passwordHash field
+ * @returns {Promise<boolean>} True if the password matches
+ * @description Accounts without a password never match.
+ */
+async function verifyPassword(password, passwordHash) {
+    const [scheme, iterations, salt, hash] = (passwordHash || '').split('$');
+    if (scheme !== PASSWORD_HASH_SCHEME || !hash) return false;
+
+    const bits = bytesToBase64(await derivePasswordBits(password, base64ToBytes(salt), Number(iterations)));
+    // Compare every character, whatever the first mismatch
+    let difference = bits.length ^ hash.length;
+    for (let i = 0; i < bits.length; i++) {
+        difference |= bits.charCodeAt(i) ^ hash.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/* ------------------------------------------
+ * SECTION 3: LOGIN THROTTLING
+ * ------------------------------------------ */
+
+/**
+ * Login Throttle
+ * @constant {Object}
+ * @property {number} freeAttempts - Failures allowed without delay
+ * @property {number} baseDelay - Wait after the first delayed failure (ms), doubled each time
+ * @property {number} maxDelay - Longest wait between attempts (ms)
+ * @property {number} lockAfter - Failures that lock the email
+ * @property {number} lockDuration - Lock length (ms)
+ * @property {number} forgetAfter - Failures older than this are dropped (ms)
+ */
+const LOGIN_THROTTLE = {
+    freeAttempts: 3,
+    baseDelay: 2000,
+    maxDelay: 60 * 1000,
+    lockAfter: 8,
+    lockDuration: 15 * 60 * 1000,
+    forgetAfter: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Login Attempt Key
+ * @param {string} email - Email typed by the user
+ * @returns {string} Normalized key of meta 'loginAttempts'
+ */
+function loginAttemptKey(email) {
+    return email.trim().toLowerCase();
+}
+
+/**
+ * Get Login Attempt
+ * @param {string} email - Email
+ * @returns {Object|null} { failures, lastFailure, lockedUntil } still
+ * in effect (an ended lock or old failures count as none)
+ */
+function getLoginAttempt(email) {
+    const attempt = getMeta('loginAttempts', {})[loginAttemptKey(email)];
+    if (!attempt) return null;
+    const now = Date.now();
+    if (attempt.lockedUntil) {
+        return new Date(attempt.lockedUntil).getTime() > now ? attempt : null;
+    }
+    return now - new Date(attempt.lastFailure).getTime() < LOGIN_THROTTLE.forgetAfter ? attempt : null;
+}
+
+/**
+ * Login Delay
+ * @param {number} failures - Consecutive failures
+ * @returns {number} Wait required before the next attempt (ms)
+ */
+function getLoginDelay(failures) {
+    if (failures < LOGIN_THROTTLE.freeAttempts) return 0;
+    const delay = LOGIN_THROTTLE.baseDelay * 2 ** (failures - LOGIN_THROTTLE.freeAttempts);
+    return Math.min(delay, LOGIN_THROTTLE.maxDelay);
+}
+
+/**
+ * Lock Message
+ * @param {string} lockedUntil - ISO date
+ * @returns {string} Message shown on the login page
+ */
+function formatLockMessage(lockedUntil) {
+    const minutes = Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000);
+    return `Compte verrouillé après trop de tentatives. Réessayez dans ${minutes} min ou contactez un administrateur.`;
+}
+
+/**
+ * Check Login Throttle
+ * @function checkLoginThrottle
+ * @param {string} email - Email typed by the user
+ * @throws {LoginError} If the email is locked or the delay since
+ * the last failure has not passed
+ */
+function checkLoginThrottle(email) {
+    const attempt = getLoginAttempt(email);
+    if (!attempt) return;
+    if (attempt.lockedUntil) {
+        throw new LoginError(formatLockMessage(attempt.lockedUntil));
+    }
+    const wait = new Date(attempt.lastFailure).getTime() + getLoginDelay(attempt.failures) - Date.now();
+    if (wait > 0) {
+        throw new LoginError(`Trop de tentatives. Réessayez dans ${Math.ceil(wait / 1000)} s.`);
+    }
+}
+
+/**
+ * Record Login Failure
+ * @function recordLoginFailure
+ * @param {string} email - Email typed by the user
+ * @returns {Promise<Object>} The updated attempt ({ failures, lastFailure, lockedUntil })
+ * @description Locks the email at LOGIN_THROTTLE.lockAfter failures.
+ * Entries that no longer apply are dropped on the way. The attempts
+ * are re-read first, so failures made in other tabs add up.
+ */
+async function recordLoginFailure(email) {
+    await reloadMeta('loginAttempts', {});
+    const key = loginAttemptKey(email);
+    const previous = getLoginAttempt(email);
+    const attempts = {};
+    Object.keys(getMeta('loginAttempts', {})).forEach(other => {
+        const kept = getLoginAttempt(other);
+        if (other !== key && kept) attempts[other] = kept;
+    });
+
+    const failures = (previous ? previous.failures : 0) + 1;
+    const now = new Date();
+    attempts[key] = {
+        failures,
+        lastFailure: now.toISOString(),
+        lockedUntil: failures >= LOGIN_THROTTLE.lockAfter
+            ? new Date(now.getTime() + LOGIN_THROTTLE.lockDuration).toISOString()
+            : null
+    };
+    await setMeta('loginAttempts', attempts);
+    return attempts[key];
+}
+
+/**
+ * Clear Login Failures
+ * @function clearLoginFailures
+ * @param {string} email - Email
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(email) {
+    const key = loginAttemptKey(email);
+    const attempts = await reloadMeta('loginAttempts', {});
+    if (!(key in attempts)) return;
+    const { [key]: removed, ...others } = attempts;
+    await setMeta('loginAttempts', others);
+}
+
+/**
+ * Get Locked Emails
+ * @function getLockedEmails
+ * @returns {Object<string, string>} Locked email (lower case) → lockedUntil
+ */
+function getLockedEmails() {
+    const locked = {};
+    Object.keys(getMeta('loginAttempts', {})).forEach(email => {
+        const attempt = getLoginAttempt(email);
+        if (attempt && attempt.lockedUntil) locked[email] = attempt.lockedUntil;
+    });
+    return locked;
+}
+
+/**
+ * Unlock Account
+ * @function unlockAccount
+ * @param {string} email - Email of the account
+ * @returns {Promise<void>}
+ * @throws {PermissionError} If the current user is not an admin
+ * @description Lifts the lock and forgets the failures.
+ */
+async function unlockAccount(email) {
+    if (getCurrentRole() !== SUPER_ROLE) {
+        throw new PermissionError('Seuls les administrateurs peuvent déverrouiller un compte');
+    }
+    await clearLoginFailures(email);
+}
+
+/* ------------------------------------------
+ * SECTION 4: ACCOUNTS
+ * ------------------------------------------ */
+
+/**
+ * Find User By Email
+ * @function findUserByEmail
+ * @param {string} email - Email typed by the user
+ * @returns {Object|null} Matching user record (case-insensitive)
+ */
+function findUserByEmail(email) {
+    const wanted = email.trim().toLowerCase();
+    return getRepository('users').find(user => user.email.toLowerCase() === wanted)[0] || null;
+}
+
+/**
+ * Authenticate User
+ * @function authenticateUser
+ * @param {string} email - Email
+ * @param {string} password - Clear password
+ * @param {string} [code] - TOTP or recovery code (accounts with 2FA)
+ * @returns {Promise<Object>} The user record
+ * @throws {TwoFactorRequiredError} Right password, code missing
+ * @throws {LoginError} Locked email, attempt too soon, unknown email,
+ *   wrong password, inactive account or wrong code
+ * @description Unknown email and wrong password give the same
+ * message, after the same hashing work (DUMMY_PASSWORD_HASH), so
+ * the form does not reveal which accounts exist.
+ * Failures (wrong password or code) are counted (LOGIN_THROTTLE);
+ * the count is reset once the password, and the code if the
+ * account has 2FA, are right.
+ */
+async function authenticateUser(email, password, code = '') {
+    // Attempts of other tabs count too
+    await reloadMeta('loginAttempts', {});
+    checkLoginThrottle(email);
+    const user = findUserByEmail(email);
+    const passwordHash = user && user.passwordHash;
+    const valid = await verifyPassword(password, passwordHash || DUMMY_PASSWORD_HASH) && Boolean(passwordHash);
+    if (!valid) {
+        const attempt = await recordLoginFailure(email);
+        throw new LoginError(attempt.lockedUntil
+            ? formatLockMessage(attempt.lockedUntil)
+            : 'Email ou mot de passe incorrect');
+    }
+    if (isTwoFactorEnabled(user)) {
+        if (!code) throw new TwoFactorRequiredError();
+        if (!await verifySecondFactor(user, code)) {
+            const attempt = await recordLoginFailure(email);
+            throw new LoginError(attempt.lockedUntil
+                ? formatLockMessage(attempt.lockedUntil)
+                : 'Code de vérification incorrect');
+        }
+    }
+    await clearLoginFailures(email);
+    if (user.status !== 'Actif') {
+        throw new LoginError('Ce compte est désactivé. Contactez un administrateur.');
+    }
+    return user;
+}
+
+/* ------------------------------------------
+ * SECTION 5: PASSWORD CHANGE & RESET
+ * ------------------------------------------
+ * Users may not hold 'users.update', and the
+ * reset has no session at all: both writes
+ * only touch the passwordHash of the account
+ * concerned, so they bypass permission checks.
+ * ------------------------------------------ */
+
+/**
+ * Check New Password
+ * @param {string} password - New clear password
+ * @throws {PasswordError} If it is too short
+ */
+function checkNewPassword(password) {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        throw new PasswordError(`Le mot de passe doit contenir au moins ${PASSWORD_MIN_LENGTH} caractères`);
+    }
+}
+
+/**
+ * Store Password
+ * @param {number} userId - User record ID
+ * @param {string} password - New clear password
+ * @returns {Promise<void>}
+ */
+async function storePassword(userId, password) {
+    const passwordHash = await hashPassword(password);
+    withoutPermissionChecks(() => getRepository('users').update(userId, { passwordHash }));
+}
+
+/**
+ * Change Password
+ * @function changePassword
+ * @param {string} currentPassword - Password typed to confirm identity
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ * @throws {PasswordError} Wrong current password, or invalid new one
+ * @description Changes the password of the logged-in user. Their
+ * other sessions end (passwordStamp, session.js); this one is
+ * signed again.
+ */
+async function changePassword(currentPassword, newPassword) {
+    const session = getCurrentUser();
+    const user = session ? getRepository('users').findById(session.id) : null;
+    if (!user) {
+        throw new PasswordError('Compte introuvable');
+    }
+    if (!await verifyPassword(currentPassword, user.passwordHash)) {
+        throw new PasswordError('Mot de passe actuel incorrect');
+    }
+    checkNewPassword(newPassword);
+    if (newPassword === currentPassword) {
+        throw new PasswordError('Le nouveau mot de passe doit être différent de l\'actuel');
+    }
+    await storePassword(user.id, newPassword);
+    await renewSession();
+}
+
+/**
+ * Hash Reset Token
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<string>} Key of meta 'passwordResets'
+ */
+async function hashResetToken(token) {
+    return bytesToBase64(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+/**
+ * Pending Password Resets
+ * @returns {Object<string, Object>} Unexpired entries of meta 'passwordResets'
+ */
+function getPendingResets() {
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(getMeta('passwordResets', {}))
+        .filter(([, reset]) => new Date(reset.expiresAt).getTime() > now));
+}
+
+/**
+ * Request Password Reset
+ * @function requestPasswordReset
+ * @param {string} email - Email typed on the login page
+ * @returns {Promise<void>}
+ * @description Sends a reset link to the outbox if an active
+ * account has this email; does nothing otherwise, so the caller
+ * shows the same answer either way. A new link replaces the
+ * previous one of the account.
+ */
+async function requestPasswordReset(email) {
+    const user = findUserByEmail(email);
+    if (!user || user.status !== 'Actif') return;
+
+    const token = Array.from(crypto.getRandomValues(new Uint8Array(32)),
+        byte => byte.toString(16).padStart(2, '0')).join('');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_LIFETIME).toISOString();
+
+    const resets = Object.fromEntries(Object.entries(getPendingResets())
+        .filter(([, reset]) => reset.userId !== user.id));
+    resets[await hashResetToken(token)] = { userId: user.id, expiresAt };
+    await setMeta('passwordResets', resets);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Réinitialisation de votre mot de passe',
+        body: `Bonjour ${user.name},\n\nPour choisir un nouveau mot de passe, ouvrez le lien ci-dessous. ` +
+            `Il est valable jusqu'au ${new Date(expiresAt).toLocaleString('fr-FR')} et ne peut servir qu'une fois.\n\n` +
+            'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message.',
+        link: `login.html?reset=${token}`
+    });
+}
+
+/**
+ * Find Password Reset
+ * @function findPasswordReset
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>} The account to reset, or null if the
+ * link is unknown, used or expired
+ */
+async function findPasswordReset(token) {
+    const reset = getPendingResets()[await hashResetToken(token)];
+    return reset ? getRepository('users').findById(reset.userId) : null;
+}
+
+/**
+ * Reset Password
+ * @function resetPassword
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ * @throws {PasswordError} Invalid link or new password
+ * @description Also lifts a login lock on the account. Sessions
+ * opened with the old password end at their next page load.
+ */
+async function resetPassword(token, newPassword) {
+    const user = await findPasswordReset(token);
+    if (!user) {
+        throw new PasswordError('Ce lien de réinitialisation est invalide ou a expiré');
+    }
+    checkNewPassword(newPassword);
+    await storePassword(user.id, newPassword);
+
+    const { [await hashResetToken(token)]: used, ...others } = getPendingResets();
+    await setMeta('passwordResets', others);
+    await clearLoginFailures(user.email);
+}
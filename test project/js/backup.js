@@ -0,0 +1,515 @@
+/* ==========================================
+ * GLOVOADMIN - BACKUP & RESTORE (backup.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Admin "Sauvegarde" page. Exports every entity plus the
+ * storefront cart into one versioned JSON archive with a
+ * SHA-256 checksum, and restores such an archive after
+ * validating it and showing what would change. Also hosts
+ * the "Données de démo" generator panel.
+ *
+ * Archive format:
+ *   {
+ *     format: 'deliverit-backup', version: 1,
+ *     schemaVersion, createdAt, createdBy,
+ *     checksum: SHA-256 (hex) of JSON.stringify(data),
+ *     data: { users, products, clients, orders, deliveries, cart }
+ *   }
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point (admins only)
+ *
+ * SECTION 2: CONFIGURATION & STATE
+ *   - BACKUP_FORMAT / BACKUP_VERSION / BACKUP_KEYS
+ *
+ * SECTION 3: ARCHIVE CREATION
+ *   - computeChecksum(): SHA-256 of the archive data
+ *   - buildArchive(): Snapshot of all data
+ *   - downloadArchive(): Export as a .json file
+ *
+ * SECTION 4: ARCHIVE VALIDATION
+ *   - validateArchive(): Format, version, checksum, records
+ *
+ * SECTION 5: DIFF SUMMARY
+ *   - diffRecords(): Added / changed / removed counts
+ *   - renderDiffSummary(): Summary table for the chosen mode
+ *
+ * SECTION 6: RESTORE
+ *   - handleFileSelected(): Read and check an archive
+ *   - restoreArchive(): Write in replace or merge mode
+ *
+ * SECTION 7: EVENT LISTENERS
+ *   - setupEventListeners(): Bind UI events
+ *
+ * SECTION 8: DEMO DATA
+ *   - initDemoPanel(): Presets of the "Données de démo" panel
+ *   - generateDemo(): Replace the data with a generated set
+ *   - resetDemo(): Back to the original sample data
+ *
+ * DEPENDENCIES:
+ * - script.js, repository.js, permissions.js, migrations.js, sync.js, demo-data.js (must be loaded first)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the backup page.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    if (!can('backup.manage')) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+    renderCurrentSummary();
+    setupEventListeners();
+    initDemoPanel();
+
+    // Counts and diff follow changes made in other tabs (sync.js)
+    onRemoteChange(null, () => {
+        renderCurrentSummary();
+        renderDiffSummary();
+    });
+});
+
+/* ------------------------------------------
+ * SECTION 2: CONFIGURATION & STATE
+ * ------------------------------------------ */
+
+/** @constant {string} Archive format identifier */
+const BACKUP_FORMAT = 'deliverit-backup';
+
+/** @constant {number} Archive format version */
+const BACKUP_VERSION = 1;
+
+/** @constant {Array<string>} Repository entities included in the archive */
+const BACKUP_ENTITIES = ['users', 'products', 'clients', 'orders', 'deliveries'];
+
+/** @constant {Array<string>} Every archived key (entities + raw localStorage 'cart') */
+const BACKUP_KEYS = [...BACKUP_ENTITIES, 'cart'];
+
+/** @constant {Object<string, string>} Display labels */
+const BACKUP_LABELS = {
+    users: 'Utilisateurs',
+    products: 'Produits',
+    clients: 'Clients',
+    orders: 'Commandes',
+    deliveries: 'Livraisons',
+    cart: 'Panier'
+};
+
+/** @type {Object|null} Archive loaded and validated, waiting to be restored */
+let pendingArchive = null;
+
+/* ------------------------------------------
+ * SECTION 3: ARCHIVE CREATION
+ * ------------------------------------------ */
+
+/**
+ * Compute Checksum
+ * @function computeChecksum
+ * @param {Object} data - Archive data
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+async function computeChecksum(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Read the current content of every archived key (trash included)
+ * @returns {Object<string, Array>} Key → records
+ */
+function readCurrentData() {
+    const data = {};
+    BACKUP_ENTITIES.forEach(entity => {
+        data[entity] = getRepository(entity).findAll();
+    });
+    data.cart = getData('cart') || [];
+    return data;
+}
+
+/**
+ * Build Archive
+ * @function buildArchive
+ * @returns {Promise<Object>} Complete archive
+ */
+async function buildArchive() {
+    const data = readCurrentData();
+    const user = getCurrentUser() || {};
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        createdBy: user.name || '',
+        checksum: await computeChecksum(data),
+        data
+    };
+}
+
+/**
+ * Download Archive
+ * @function downloadArchive
+ * @description Triggers the download of a .json archive.
+ */
+async function downloadArchive() {
+    try {
+        const archive = await buildArchive();
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `deliverit_sauvegarde_${archive.createdAt.split('T')[0]}.json`;
+        link.click();
+        showToast('Sauvegarde téléchargée', 'success');
+    } catch (err) {
+        console.error('[backup] Échec de l\'export', err);
+        showToast('Impossible de créer la sauvegarde', 'error');
+    }
+}
+
+/**
+ * Render Current Summary
+ * @function renderCurrentSummary
+ * @description Shows how many records each key currently holds.
+ */
+function renderCurrentSummary() {
+    const data = readCurrentData();
+    document.getElementById('currentSummary').innerHTML = BACKUP_KEYS.map(key => `
+        <div class="detail-item">
+            <label>${BACKUP_LABELS[key]}</label>
+            <span>${data[key].length}</span>
+        </div>
+    `).join('');
+}
+
+/* ------------------------------------------
+ * SECTION 4: ARCHIVE VALIDATION
+ * ------------------------------------------
+ * Nothing is written unless every check passes.
+ * ------------------------------------------ */
+
+/**
+ * Validate Archive
+ * @function validateArchive
+ * @param {Object} archive - Parsed archive
+ * @returns {Promise<Array<string>>} Error messages (empty when valid)
+ * @description Records are checked against the entity schemas
+ * when the archive has the current schema version. Older
+ * archives are upgraded by the migrations after restore.
+ */
+async function validateArchive(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT || !archive.data) {
+        return ['Ce fichier n\'est pas une sauvegarde Deliver It'];
+    }
+    if (archive.version > BACKUP_VERSION) {
+        return [`Version d'archive ${archive.version} non prise en charge`];
+    }
+    if (archive.schemaVersion > SCHEMA_VERSION) {
+        return ['Cette sauvegarde provient d\'une version plus récente de l\'application'];
+    }
+    if (archive.checksum !== await computeChecksum(archive.data)) {
+        return ['Somme de contrôle invalide : le fichier est corrompu ou a été modifié'];
+    }
+
+    const errors = [];
+    BACKUP_KEYS.forEach(key => {
+        const records = archive.data[key];
+        if (!Array.isArray(records)) {
+            errors.push(`${BACKUP_LABELS[key]} : liste manquante`);
+            return;
+        }
+        if (key === 'cart') return;
+
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object' || !Number.isInteger(record.id)) {
+                errors.push(`${BACKUP_LABELS[key]} n°${index + 1} : identifiant invalide`);
+                return;
+            }
+            if (archive.schemaVersion === SCHEMA_VERSION) {
+                validateRecord(key, record).forEach(message => {
+                    errors.push(`${BACKUP_LABELS[key]} #${record.id} : ${message}`);
+                });
+            }
+        });
+    });
+    return errors;
+}
+
+/* ------------------------------------------
+ * SECTION 5: DIFF SUMMARY
+ * ------------------------------------------ */
+
+/**
+ * Identity of a record (cart items fall back to the product name)
+ * @param {Object} record
+ * @returns {string}
+ */
+function recordKey(record) {
+    return String(record.id !== undefined ? record.id : record.name);
+}
+
+/**
+ * Diff Records
+ * @function diffRecords
+ * @param {Array<Object>} current - Stored records
+ * @param {Array<Object>} incoming - Archive records
+ * @param {string} mode - 'replace' | 'merge'
+ * @returns {{added: number, changed: number, removed: number}}
+ * @description In merge mode, stored records absent from the
+ * archive are kept, so nothing is removed.
+ */
+function diffRecords(current, incoming, mode) {
+    const currentByKey = new Map(current.map(record => [recordKey(record), record]));
+    const incomingKeys = new Set(incoming.map(recordKey));
+    let added = 0;
+    let changed = 0;
+
+    incoming.forEach(record => {
+        const existing = currentByKey.get(recordKey(record));
+        if (!existing) added++;
+        else if (JSON.stringify(existing) !== JSON.stringify(record)) changed++;
+    });
+
+    const removed = mode === 'replace'
+        ? current.filter(record => !incomingKeys.has(recordKey(record))).length
+        : 0;
+
+    return { added, changed, removed };
+}
+
+/**
+ * Render Diff Summary
+ * @function renderDiffSummary
+ * @description Fills the summary table for the pending archive
+ * and the selected restore mode.
+ */
+function renderDiffSummary() {
+    if (!pendingArchive) return;
+
+    const mode = document.getElementById('restoreMode').value;
+    const current = readCurrentData();
+
+    document.getElementById('diffTableBody').innerHTML = BACKUP_KEYS.map(key => {
+        const diff = diffRecords(current[key], pendingArchive.data[key], mode);
+        return `
+            <tr>
+                <td>${BACKUP_LABELS[key]}</td>
+                <td class="text-success">+${diff.added}</td>
+                <td class="text-warning">${diff.changed}</td>
+                <td class="text-danger">-${diff.removed}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/* ------------------------------------------
+ * SECTION 6: RESTORE
+ * ------------------------------------------ */
+
+/**
+ * Handle File Selected
+ * @function handleFileSelected
+ * @param {Event} e - Change event of the file input
+ * @description Parses and validates the archive, then shows
+ * the diff summary. Errors are listed instead.
+ */
+async function handleFileSelected(e) {
+    const file = e.target.files[0];
+    const errorsEl = document.getElementById('restoreErrors');
+    const previewEl = document.getElementById('restorePreview');
+
+    pendingArchive = null;
+    errorsEl.innerHTML = '';
+    previewEl.classList.add('hidden');
+    if (!file) return;
+
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch (err) {
+        errorsEl.innerHTML = '<p class="text-danger">Fichier JSON illisible</p>';
+        return;
+    }
+
+    const errors = await validateArchive(archive);
+    if (errors.length > 0) {
+        errorsEl.innerHTML = errors.slice(0, 10)
+            .map(message => `<p class="text-danger">${escapeHtml(message)}</p>`)
+            .join('') + (errors.length > 10 ? `<p class="text-muted">… et ${errors.length - 10} autre(s) erreur(s)</p>` : '');
+        return;
+    }
+
+    pendingArchive = archive;
+    document.getElementById('archiveInfo').textContent =
+        `Sauvegarde du ${formatDate(archive.createdAt)}${archive.createdBy ? ` par ${archive.createdBy}` : ''}`;
+    previewEl.classList.remove('hidden');
+    renderDiffSummary();
+}
+
+/**
+ * Merge incoming records into stored ones (incoming wins)
+ * @param {Array<Object>} current
+ * @param {Array<Object>} incoming
+ * @returns {Array<Object>}
+ */
+function mergeRecords(current, incoming) {
+    const merged = new Map(current.map(record => [recordKey(record), record]));
+    incoming.forEach(record => merged.set(recordKey(record), record));
+    return [...merged.values()];
+}
+
+/**
+ * Restore Archive
+ * @function restoreArchive
+ * @description Writes the pending archive in the selected mode.
+ * Archives from an older schema are written as-is, then
+ * upgraded by the migrations from their schema version.
+ */
+async function restoreArchive() {
+    if (!pendingArchive) return;
+
+    const mode = document.getElementById('restoreMode').value;
+    const upToDate = pendingArchive.schemaVersion === SCHEMA_VERSION;
+    const current = readCurrentData();
+
+    try {
+        BACKUP_ENTITIES.forEach(entity => {
+            const incoming = pendingArchive.data[entity];
+            const records = mode === 'merge' ? mergeRecords(current[entity], incoming) : incoming;
+            getRepository(entity).replaceAll(records, { validate: upToDate });
+        });
+        const cart = mode === 'merge' ? mergeRecords(current.cart, pendingArchive.data.cart) : pendingArchive.data.cart;
+        setData('cart', cart);
+
+        if (!upToDate) {
+            await setMeta('schemaVersion', pendingArchive.schemaVersion || 0);
+            await runMigrations();
+        }
+        await flushRepositories();
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    showToast(mode === 'merge' ? 'Sauvegarde fusionnée avec les données' : 'Données remplacées par la sauvegarde', 'success');
+    pendingArchive = null;
+    document.getElementById('archiveFile').value = '';
+    document.getElementById('restorePreview').classList.add('hidden');
+    renderCurrentSummary();
+}
+
+/* ------------------------------------------
+ * SECTION 7: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Setup Event Listeners
+ * @function setupEventListeners
+ * @description Binds click and change events to UI elements.
+ */
+function setupEventListeners() {
+    document.getElementById('exportBackupBtn').addEventListener('click', downloadArchive);
+    document.getElementById('archiveFile').addEventListener('change', handleFileSelected);
+    document.getElementById('restoreMode').addEventListener('change', renderDiffSummary);
+    document.getElementById('restoreBtn').addEventListener('click', () => {
+        const mode = document.getElementById('restoreMode').value;
+        const message = mode === 'merge'
+            ? 'Fusionner cette sauvegarde avec les données actuelles ?'
+            : 'Remplacer toutes les données actuelles par cette sauvegarde ?';
+        if (confirm(message)) restoreArchive();
+    });
+}
+
+/* ------------------------------------------
+ * SECTION 8: DEMO DATA
+ * ------------------------------------------
+ * Generator panel (see demo-data.js).
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Generator option → input id */
+const DEMO_FIELDS = {
+    clients: 'demoClients',
+    products: 'demoProducts',
+    orders: 'demoOrders',
+    months: 'demoMonths'
+};
+
+/**
+ * Initialize Demo Panel
+ * @function initDemoPanel
+ * @description Fills the preset list; picking a preset fills the
+ * inputs, editing an input switches to "Personnalisé".
+ */
+function initDemoPanel() {
+    const presetSelect = document.getElementById('demoPreset');
+    presetSelect.innerHTML = Object.keys(DEMO_PRESETS).map(key =>
+        `<option value="${key}">${DEMO_PRESETS[key].label}</option>`
+    ).join('') + '<option value="custom">Personnalisé</option>';
+
+    const applyPreset = () => {
+        const preset = DEMO_PRESETS[presetSelect.value];
+        if (!preset) return;
+        Object.keys(DEMO_FIELDS).forEach(option => {
+            document.getElementById(DEMO_FIELDS[option]).value = preset[option];
+        });
+    };
+    presetSelect.addEventListener('change', applyPreset);
+    Object.values(DEMO_FIELDS).forEach(id => {
+        document.getElementById(id).addEventListener('input', () => { presetSelect.value = 'custom'; });
+    });
+    applyPreset();
+
+    document.getElementById('generateDemoBtn').addEventListener('click', generateDemo);
+    document.getElementById('resetDemoBtn').addEventListener('click', resetDemo);
+}
+
+/**
+ * Generate Demo
+ * @function generateDemo
+ */
+async function generateDemo() {
+    const options = {};
+    for (const option of Object.keys(DEMO_FIELDS)) {
+        const input = document.getElementById(DEMO_FIELDS[option]);
+        const value = parseInt(input.value, 10);
+        if (!Number.isInteger(value) || value < Number(input.min) || value > Number(input.max)) {
+            showToast(`Valeur invalide pour « ${input.labels[0].textContent} » (${input.min} à ${input.max})`, 'error');
+            return;
+        }
+        options[option] = value;
+    }
+
+    if (!confirm('Remplacer les clients, produits, commandes et livraisons par des données générées ?')) return;
+
+    try {
+        const counts = await applyDemoData(options);
+        showToast(`Données générées : ${counts.clients} clients, ${counts.products} produits, ${counts.orders} commandes, ${counts.deliveries} livraisons`, 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    renderCurrentSummary();
+    renderDiffSummary();
+}
+
+/**
+ * Reset Demo
+ * @function resetDemo
+ */
+function resetDemo() {
+    if (!confirm('Remettre les données de démonstration d\'origine (clients, produits, commandes, livraisons) ?')) return;
+    resetDemoData();
+    showToast('Données de démonstration réinitialisées', 'success');
+    renderCurrentSummary();
+    renderDiffSummary();
+}
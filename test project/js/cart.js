@@ -5,11 +5,13 @@
  * DESCRIPTION:
  * Manages the shopping cart functionality for the public facing side.
  * Handles adding/removing items, updating quantities, and calculating totals.
+ * Signed-in customers check out here: the order is created with their
+ * saved address prefilled (customer.js); visitors are asked to sign in.
  * 
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: INITIALIZATION
- *   - DOMContentLoaded: Entry point
+ *   - onAppReady(): Entry point (after data is loaded)
  * 
  * SECTION 2: DATA MANAGEMENT
  *   - getCart(): Retrieve cart from localStorage
@@ -22,11 +24,14 @@
  *   - updateQuantity(): Increment/Decrement item count
  *   - removeItem(): Delete item from cart
  * 
- * SECTION 5: SECURITY
- *   - escapeHtml(): XSS prevention
+ * SECTION 5: CHECKOUT
+ *   - initCheckout(): Checkout form or sign-in prompt
+ *   - handleCheckoutSubmit(): Place the order
  * 
  * DEPENDENCIES:
  * - localStorage ('cart' key)
+ * - script.js (escapeHtml, showToast), customer.js (must be loaded first)
+ * - pricing.js (DEFAULT_DELIVERY_FEE, added to the total at checkout)
  * 
  * @author GlovoAdmin Team
  * @version 1.0.0
@@ -35,11 +40,12 @@
 /* ------------------------------------------
  * SECTION 1: INITIALIZATION
  * ------------------------------------------
- * Wait for the HTML to finish loading before running any JavaScript.
+ * Wait for the data to be loaded (see script.js) before running any JavaScript.
  * ------------------------------------------ */
 
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     renderCartPage();
+    initCheckout();
 });
 
 /* ------------------------------------------
@@ -143,8 +149,12 @@ function renderCartPage() {
         `;
     }).join('');
 
-    // Update the total price text at the bottom
-    totalEl.textContent = `Total: ${total.toFixed(2)} €`;
+    // Update the total price text at the bottom (the order adds the delivery fee)
+    totalEl.innerHTML = `
+        Sous-total: ${total.toFixed(2)} €<br>
+        Livraison: ${DEFAULT_DELIVERY_FEE.toFixed(2)} €<br>
+        Total TTC: ${(total + DEFAULT_DELIVERY_FEE).toFixed(2)} €
+    `;
 }
 
 /* ------------------------------------------
@@ -197,19 +207,46 @@ function removeItem(index) {
 }
 
 /* ------------------------------------------
- * SECTION 5: SECURITY
+ * SECTION 5: CHECKOUT
  * ------------------------------------------
- * Helper functions for security.
+ * Orders are placed by signed-in customers only.
  * ------------------------------------------ */
 
 /**
- * Escape HTML
- * @function escapeHtml
- * @description Prevents Cross-Site Scripting (XSS) by cleaning text before putting it in HTML.
- * @param {string} text - The text to escape.
- * @returns {string} The escaped text.
+ * Initialize Checkout
+ * @function initCheckout
+ * @description Shows the checkout form, with the customer's saved
+ * address, or the sign-in prompt for visitors.
  */
-function escapeHtml(text) {
-    if (!text) return '';
-    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
-}
\ No newline at end of file
+function initCheckout() {
+    const customer = getCurrentCustomer();
+    document.getElementById('checkoutForm').classList.toggle('hidden', !customer);
+    document.getElementById('checkoutSignIn').classList.toggle('hidden', Boolean(customer));
+    if (!customer) return;
+
+    document.getElementById('checkoutAddress').value = customer.address || '';
+    document.getElementById('checkoutForm').addEventListener('submit', handleCheckoutSubmit);
+}
+
+/**
+ * Checkout Submit Handler
+ * @function handleCheckoutSubmit
+ * @description Creates the order, empties the cart and opens
+ * "Mes commandes".
+ * @param {Event} e - The submit event.
+ */
+async function handleCheckoutSubmit(e) {
+    e.preventDefault();
+    let order;
+    try {
+        order = placeCustomerOrder(getCart(), document.getElementById('checkoutAddress').value, {
+            saveAddress: document.getElementById('saveAddress').checked
+        });
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    localStorage.removeItem('cart');
+    await flushRepositories();
+    window.location.href = `my-orders.html?placed=${order.id}`;
+}
@@ -9,11 +9,10 @@
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: INITIALIZATION
- *   - DOMContentLoaded: Entry point
+ *   - onAppReady(): Entry point (after data is loaded)
  * 
- * SECTION 2: DATA HELPERS
- *   - getData(): Retrieve data from localStorage
- *   - saveData(): Save data to localStorage
+ * SECTION 2: DATA ACCESS
+ *   - clientsRepository: Shared 'clients' repository
  * 
  * SECTION 3: RENDER TABLE
  *   - renderClientsTable(): Display clients with filters
@@ -33,7 +32,7 @@
  *   - deleteClient(): Remove client
  * 
  * DEPENDENCIES:
- * - localStorage ('clients' key)
+ * - script.js, repository.js, permissions.js, sync.js, history.js, conflict.js (must be loaded first)
  * 
  * @author GlovoAdmin Team
  * @version 1.0.0
@@ -45,34 +44,29 @@
  * Entry point for the clients page.
  * ------------------------------------------ */
 
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     renderClientsTable();
     setupEventListeners();
+    
+    // Refresh when another tab changes clients (sync.js)
+    onRemoteChange(['clients'], (change) => {
+        renderClientsTable();
+        warnIfEditedRecordChanged(change, document.getElementById('entityId').value);
+    });
+    
+    // Refresh after undo/redo (history.js)
+    onHistoryReplay(['clients'], renderClientsTable);
 });
 
 /* ------------------------------------------
- * SECTION 2: DATA HELPERS
+ * SECTION 2: DATA ACCESS
  * ------------------------------------------
- * Wrappers for LocalStorage interaction.
+ * Clients are read and written through the
+ * shared repository layer (repository.js).
  * ------------------------------------------ */
 
-/**
- * Get Data from Storage
- * @param {string} key - LocalStorage key
- * @returns {Array} Parsed data or empty array
- */
-function getData(key) {
-    return JSON.parse(localStorage.getItem(key)) || [];
-}
-
-/**
- * Save Data to Storage
- * @param {string} key - LocalStorage key
- * @param {Array} data - Data to save
- */
-function saveData(key, data) {
-    localStorage.setItem(key, JSON.stringify(data));
-}
+/** @type {Object} Repository for the 'clients' entity */
+const clientsRepository = getRepository('clients');
 
 /* ------------------------------------------
  * SECTION 3: RENDER TABLE
@@ -87,7 +81,7 @@ function saveData(key, data) {
  * Handles search, city filter, and type filter.
  */
 function renderClientsTable() {
-    const clients = getData('clients');
+    const clients = clientsRepository.find();
     const tbody = document.getElementById('tableBody');
     
     // Get current values from the search bar and dropdown filters
@@ -109,20 +103,24 @@ function renderClientsTable() {
         return matchSearch && matchCity && matchType;
     });
 
+    // Edit/delete buttons follow the permissions of the role
+    const canUpdate = can('clients.update');
+    const canDelete = can('clients.delete');
+
     // Convert the filtered data into HTML table rows
     tbody.innerHTML = filtered.map(client => `
         <tr>
             <td>#${client.id}</td>
-            <td>${client.name}</td>
-            <td>${client.email}</td>
-            <td>${client.phone || '-'}</td>
-            <td>${client.city || '-'}</td>
-            <td><span class="status-badge info">${client.type}</span></td>
+            <td>${escapeHtml(client.name)}</td>
+            <td>${escapeHtml(client.email)}</td>
+            <td>${escapeHtml(client.phone || '-')}</td>
+            <td>${escapeHtml(client.city || '-')}</td>
+            <td><span class="status-badge info">${escapeHtml(client.type || '-')}</span></td>
             <td>${client.orders || 0}</td>
             <td>
                 <div class="action-buttons">
-                    <button class="action-btn edit" onclick="editClient(${client.id})"><i class="fas fa-edit"></i></button>
-                    <button class="action-btn delete" onclick="deleteClient(${client.id})"><i class="fas fa-trash"></i></button>
+                    ${canUpdate ? `<button class="action-btn edit" onclick="editClient(${client.id})"><i class="fas fa-edit"></i></button>` : ''}
+                    ${canDelete ? `<button class="action-btn delete" onclick="deleteClient(${client.id})"><i class="fas fa-trash"></i></button>` : ''}
                 </div>
             </td>
         </tr>
@@ -144,7 +142,9 @@ function renderClientsTable() {
  * @description Binds click, input, and submit events to UI elements.
  */
 function setupEventListeners() {
-    document.getElementById('addNewBtn').addEventListener('click', () => openModal());
+    document.getElementById('addNewBtn').addEventListener('click', () => {
+        if (requirePermission('clients.create')) openModal();
+    });
     document.getElementById('modalClose').addEventListener('click', closeModal);
     document.getElementById('cancelBtn').addEventListener('click', closeModal);
     document.getElementById('entityForm').addEventListener('submit', handleFormSubmit);
@@ -181,6 +181,7 @@ function openModal(client = null) {
         // EDIT MODE: Fill the form with existing data
         title.textContent = 'Modifier Client';
         document.getElementById('entityId').value = client.id;
+        setEditBase(client);
         document.getElementById('name').value = client.name;
         document.getElementById('email').value = client.email;
         document.getElementById('phone').value = client.phone;
@@ -193,9 +194,11 @@ function openModal(client = null) {
         title.textContent = 'Ajouter Client';
         form.reset();
         document.getElementById('entityId').value = '';
+        setEditBase(null);
     }
     
     // Show the modal via CSS class
+    clearConflictWarning();
     modal.classList.add('show');
 }
 
@@ -223,14 +226,12 @@ function closeModal() {
 function handleFormSubmit(e) {
     // Prevent page reload
     e.preventDefault();
-    const clients = getData('clients');
     // Check if we have a hidden ID (Edit mode) or not (Add mode)
     const id = document.getElementById('entityId').value;
     
     // Create the client object from form values
+    // (the repository generates the ID for new clients)
     const clientData = {
-        // If ID exists, keep it. If not, generate a new one.
-        id: id ? parseInt(id) : generateId('clients'),
         name: document.getElementById('name').value,
         email: document.getElementById('email').value,
         phone: document.getElementById('phone').value,
@@ -240,19 +241,29 @@ function handleFormSubmit(e) {
         address: document.getElementById('address').value
     };
 
+    // Refresh once saved
+    const onSaved = () => {
+        showUndoToast(id ? 'Client mis à jour avec succès' : 'Client ajouté avec succès');
+        closeModal();
+        renderClientsTable();
+    };
+
     if (id) {
-        // UPDATE: Find index and replace
-        const index = clients.findIndex(c => c.id == id);
-        clients[index] = clientData;
-    } else {
-        // CREATE: Add to end of array
-        clients.push(clientData);
+        // UPDATE: Merge form values over the stored client,
+        // unless someone changed it since the modal opened
+        saveEditedRecord(clientsRepository, id, clientData, document.getElementById('entityVersion').value, onSaved);
+        return;
     }
 
-    // Save and refresh
-    saveData('clients', clients);
-    closeModal();
-    renderClientsTable();
+    try {
+        // CREATE: Add a new client
+        clientsRepository.insert(clientData);
+    } catch (err) {
+        // Invalid data is never written
+        showToast(err.message, 'error');
+        return;
+    }
+    onSaved();
 }
 
 /* ------------------------------------------
@@ -268,8 +279,8 @@ function handleFormSubmit(e) {
  * @param {number} id - The ID of the client to edit.
  */
 window.editClient = function(id) {
-    const clients = getData('clients');
-    const client = clients.find(c => c.id === id);
+    if (!requirePermission('clients.update')) return;
+    const client = clientsRepository.findById(id);
     if (client) openModal(client);
 };
 
@@ -280,11 +291,15 @@ window.editClient = function(id) {
  * @param {number} id - The ID of the client to delete.
  */
 window.deleteClient = function(id) {
-    if (confirm('Êtes-vous sûr de vouloir supprimer ce client ?')) {
-        const clients = getData('clients');
-        // Filter out the client with the matching ID
-        const newClients = clients.filter(c => c.id !== id);
-        saveData('clients', newClients);
-        renderClientsTable();
+    if (!requirePermission('clients.delete')) return;
+    if (!confirmDeletion('clients', id, 'Êtes-vous sûr de vouloir supprimer ce client ?')) return;
+
+    try {
+        clientsRepository.remove(id);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
     }
+    showUndoToast('Client déplacé dans la corbeille');
+    renderClientsTable();
 };
\ No newline at end of file
@@ -0,0 +1,313 @@
+/* ==========================================
+ * GLOVOADMIN - EDIT CONFLICTS (conflict.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Saves edit forms with optimistic concurrency. The edit
+ * modal keeps the record it was opened with (setEditBase(),
+ * its version in #entityVersion); the repository rejects
+ * the save if someone changed the record since. The form
+ * values are then merged with the saved record, field by
+ * field, against the values the modal opened with:
+ *   - changed by the other side only: their value is kept
+ *   - changed by this user only: the form value is kept
+ *   - changed by both, differently: the user picks one
+ * Without a conflicting field, the merge is saved directly.
+ * Order totals (quantity, amount) are not merged: they are
+ * computed again from the merged lines and pricing.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - CONFLICT_FIELD_LABELS: Field → label
+ *   - CONFLICT_DERIVED_FIELDS: Order totals, computed after the merge
+ *
+ * SECTION 2: SAVE
+ *   - setEditBase(): Record the edit modal opens with
+ *   - saveEditedRecord(): Update with a version check
+ *   - mergeEdit(): Three-way merge of a stale save
+ *   - withOrderTotals(): Totals of the merged lines
+ *
+ * SECTION 3: RESOLUTION DIALOG
+ *   - showConflictDialog(): Fields changed on both sides
+ *
+ * DEPENDENCIES:
+ * - script.js (showToast, escapeHtml, formatOrderItems)
+ * - repository.js (ConflictError, cloneRecord)
+ * - pricing.js (getOrderTotals)
+ *
+ * USED BY:
+ * - clients.js, deliveries.js, orders.js, products.js, users.js
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Form field → label shown in the comparison */
+const CONFLICT_FIELD_LABELS = {
+    name: 'Nom',
+    email: 'Email',
+    phone: 'Téléphone',
+    type: 'Type',
+    city: 'Ville',
+    address: 'Adresse',
+    orders: 'Commandes',
+    role: 'Rôle',
+    status: 'Statut',
+    category: 'Catégorie',
+    price: 'Prix',
+    stock: 'Stock',
+    supplier: 'Fournisseur',
+    available: 'Disponible',
+    clientId: 'Client',
+    clientName: 'Nom du client',
+    items: 'Articles',
+    quantity: 'Quantité',
+    amount: 'Montant',
+    paymentStatus: 'Paiement',
+    notes: 'Notes',
+    orderId: 'Commande',
+    driverId: 'N° livreur',
+    driver: 'Livreur',
+    duration: 'Durée',
+    passwordHash: 'Mot de passe'
+};
+
+/** @constant {Array<string>} Fields shown masked in the comparison */
+const CONFLICT_SECRET_FIELDS = ['passwordHash'];
+
+/** @constant {Array<string>} Order fields computed from the lines (getOrderTotals, pricing.js) */
+const CONFLICT_DERIVED_FIELDS = ['quantity', 'amount'];
+
+/* ------------------------------------------
+ * SECTION 2: SAVE
+ * ------------------------------------------ */
+
+/** @type {Object|null} Record the edit modal was opened with (merge base) */
+let editBase = null;
+
+/**
+ * Set Edit Base
+ * @function setEditBase
+ * @param {Object|null} record - Record the edit modal opens with
+ *   (null for a new record)
+ * @description Fills #entityVersion and keeps a copy of the record,
+ * so a stale save can tell which fields each side changed.
+ */
+function setEditBase(record) {
+    editBase = record ? cloneRecord(record) : null;
+    document.getElementById('entityVersion').value = record ? record.version || '' : '';
+}
+
+/**
+ * Save Edited Record
+ * @function saveEditedRecord
+ * @param {Object} repository - Entity repository
+ * @param {number|string} id - Record ID
+ * @param {Object} changes - Form values
+ * @param {string} version - #entityVersion value (version the modal was opened with)
+ * @param {Function} onSaved - Called once the record is saved
+ * @param {Object|null} [base] - Record the values were edited from
+ *   (default: the one given to setEditBase())
+ * @description Invalid values are reported with a toast and
+ * nothing is written. A stale save is merged with the saved
+ * record (mergeEdit()); fields changed on both sides open the
+ * resolution dialog, and onSaved runs only when the user saves
+ * from it.
+ */
+function saveEditedRecord(repository, id, changes, version, onSaved, base = editBase) {
+    try {
+        const expectedVersion = version ? Number(version) : undefined;
+        if (!repository.update(id, changes, { expectedVersion })) {
+            showToast('Cet enregistrement a été supprimé entre-temps', 'error');
+            return;
+        }
+    } catch (err) {
+        if (!(err instanceof ConflictError)) {
+            showToast(err.message, 'error');
+            return;
+        }
+        const current = err.current;
+        const merge = mergeEdit(changes, base && base.id === Number(id) ? base : null, current);
+        // The saved record is the base of the next attempt
+        const retry = (resolved) => saveEditedRecord(repository, id, withOrderTotals(resolved, current), String(current.version), onSaved, current);
+        if (merge.conflicts.length > 0) {
+            showConflictDialog(merge, current, retry);
+            return;
+        }
+        if (merge.taken.length > 0) {
+            showToast(`Modifications de ${current.updatedBy || 'un autre utilisateur'} conservées : ${formatConflictFields(merge.taken)}`, 'info');
+        }
+        retry(merge.resolved);
+        return;
+    }
+    onSaved();
+}
+
+/**
+ * Same field value (a missing value equals an empty one)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isSameFieldValue(a, b) {
+    const normalize = value => (value === undefined || value === null ? '' : value);
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Merge Edit
+ * @function mergeEdit
+ * @param {Object} mine - Form values
+ * @param {Object|null} base - Record the form was opened with (null
+ *   if unknown: every differing field is then a conflict)
+ * @param {Object} current - Record as saved by the other user
+ * @returns {{resolved: Object, conflicts: Array<string>, taken: Array<string>}}
+ *   Form values with the other side's changes applied, fields both
+ *   sides changed differently, and fields taken from the saved record
+ */
+function mergeEdit(mine, base, current) {
+    const resolved = { ...mine };
+    const conflicts = [];
+    const taken = [];
+    // Order totals follow the merged lines (withOrderTotals())
+    const derived = Array.isArray(mine.items) ? CONFLICT_DERIVED_FIELDS : [];
+    Object.keys(mine).forEach(field => {
+        if (derived.includes(field) || isSameFieldValue(mine[field], current[field])) return;
+        if (base && isSameFieldValue(mine[field], base[field])) {
+            // Only the other side changed it
+            resolved[field] = current[field];
+            taken.push(field);
+        } else if (!base || !isSameFieldValue(current[field], base[field])) {
+            conflicts.push(field);
+        }
+        // Otherwise only this user changed it: the form value is kept
+    });
+    return { resolved, conflicts, taken };
+}
+
+/**
+ * With Order Totals
+ * @function withOrderTotals
+ * @param {Object} values - Merged form values
+ * @param {Object} current - Saved record (fields the form does not send)
+ * @returns {Object} The values; for an order, with quantity and amount
+ *   computed again from the merged lines, discount and delivery fee
+ */
+function withOrderTotals(values, current) {
+    if (!Array.isArray(values.items)) return values;
+    return { ...values, ...getOrderTotals({ ...current, ...values }) };
+}
+
+/* ------------------------------------------
+ * SECTION 3: RESOLUTION DIALOG
+ * ------------------------------------------ */
+
+/**
+ * Format one value for the comparison
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Escaped HTML
+ */
+function formatConflictValue(field, value) {
+    if (value === null || value === undefined || value === '') return '<em>vide</em>';
+    if (CONFLICT_SECRET_FIELDS.includes(field)) return '••••••';
+    if (typeof value === 'boolean') return value ? 'Oui' : 'Non';
+    if (field === 'items') return escapeHtml(formatOrderItems(value));
+    return escapeHtml(String(value));
+}
+
+/**
+ * Format a list of fields
+ * @param {Array<string>} fields - Field names
+ * @returns {string} Their labels, e.g. "Statut, Ville"
+ */
+function formatConflictFields(fields) {
+    return fields.map(field => CONFLICT_FIELD_LABELS[field] || field).join(', ');
+}
+
+/**
+ * Show Conflict Dialog
+ * @function showConflictDialog
+ * @param {Object} merge - Result of mergeEdit()
+ * @param {Object} current - Record as saved by the other user
+ * @param {Function} onResolve - Receives the values to save
+ * @description Lists the fields both sides changed, with no value
+ * selected: the user picks one per field. The fields only the
+ * other side changed are named; their saved value is kept.
+ */
+function showConflictDialog(merge, current, onResolve) {
+    const mine = merge.resolved;
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay show';
+    overlay.id = 'conflictModalOverlay';
+    overlay.innerHTML = `
+        <div class="modal conflict-modal">
+            <div class="modal-header">
+                <h2>Conflit de modification</h2>
+                <button class="modal-close" data-action="cancel">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="conflict-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <span>${escapeHtml(current.updatedBy || 'Un autre utilisateur')} a modifié cet enregistrement
+                    ${current.updatedAt ? `le ${new Date(current.updatedAt).toLocaleString('fr-FR')}` : ''}
+                    pendant que vous l'éditiez. Choisissez la valeur à garder pour chaque champ modifié des deux côtés.</span>
+                </div>
+                ${merge.taken.length > 0 ? `<p>Modifications conservées de la version enregistrée : ${escapeHtml(formatConflictFields(merge.taken))}.</p>` : ''}
+                ${Array.isArray(mine.items) ? '<p>La quantité et le montant seront recalculés d\'après les articles et la remise retenus.</p>' : ''}
+                <table class="data-table conflict-table">
+                    <thead>
+                        <tr>
+                            <th>Champ</th>
+                            <th>Votre saisie</th>
+                            <th>Version enregistrée</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${merge.conflicts.map(field => `
+                            <tr>
+                                <td>${CONFLICT_FIELD_LABELS[field] || escapeHtml(field)}</td>
+                                <td><label><input type="radio" name="conflict-${field}" value="mine"> ${formatConflictValue(field, mine[field])}</label></td>
+                                <td><label><input type="radio" name="conflict-${field}" value="current"> ${formatConflictValue(field, current[field])}</label></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-action="cancel">Annuler</button>
+                <button type="button" class="btn btn-primary" data-action="save">Enregistrer la sélection</button>
+            </div>
+        </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (e.target !== overlay && !button) return;
+        if (!button || button.dataset.action !== 'save') {
+            overlay.remove();
+            return;
+        }
+
+        const choices = merge.conflicts.map(field => overlay.querySelector(`input[name="conflict-${field}"]:checked`));
+        if (choices.some(choice => !choice)) {
+            showToast('Choisissez la valeur à garder pour chaque champ', 'error');
+            return;
+        }
+        const resolved = { ...mine };
+        merge.conflicts.forEach((field, i) => {
+            if (choices[i].value === 'current') resolved[field] = current[field];
+        });
+        overlay.remove();
+        onResolve(resolved);
+    });
+
+    document.body.appendChild(overlay);
+}
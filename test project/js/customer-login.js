@@ -0,0 +1,146 @@
+/* ==========================================
+ * GLOVOADMIN - CUSTOMER SIGN-IN (customer-login.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Storefront sign-in and sign-up page. Signing up
+ * creates a customer account linked to a clients record
+ * (customer.js) and signs the customer in. Afterwards,
+ * the customer goes back to the page that sent them here
+ * (?next=cart.html at checkout) or to "Mes commandes".
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Redirect if already signed in
+ *   - getNextPage(): Page to open once signed in
+ *
+ * SECTION 2: EVENT LISTENERS
+ *   - showCustomerView(): Switch between the two forms
+ *   - handleSignInSubmit() / handleSignUpSubmit()
+ *
+ * DEPENDENCIES:
+ * - script.js (login, getHomePage, onAppReady), auth.js, totp.js, customer.js
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------ */
+
+/** @constant {Array<string>} Pages ?next= may send the customer back to */
+const CUSTOMER_NEXT_PAGES = ['cart.html', 'my-orders.html', 'index.html'];
+
+onAppReady(() => {
+    if (getCurrentCustomer()) {
+        window.location.href = getNextPage(getCurrentUser());
+        return;
+    }
+    document.querySelectorAll('.customer-auth-tab').forEach(tab => {
+        tab.addEventListener('click', () => showCustomerView(tab.dataset.view));
+    });
+    document.getElementById('signInForm').addEventListener('submit', handleSignInSubmit);
+    document.getElementById('signUpForm').addEventListener('submit', handleSignUpSubmit);
+});
+
+/**
+ * Get Next Page
+ * @function getNextPage
+ * @param {Object} user - Session user
+ * @returns {string} The ?next= page for customers (if allowed),
+ * otherwise the home page of the account
+ */
+function getNextPage(user) {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (String(user.role).toLowerCase() === 'client' && CUSTOMER_NEXT_PAGES.includes(next)) return next;
+    return getHomePage(user);
+}
+
+/* ------------------------------------------
+ * SECTION 2: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Show Customer View
+ * @function showCustomerView
+ * @param {string} formId - 'signInForm' or 'signUpForm'
+ */
+function showCustomerView(formId) {
+    ['signInForm', 'signUpForm'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== formId);
+    });
+    document.querySelectorAll('.customer-auth-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === formId);
+    });
+}
+
+/**
+ * Show a form error
+ * @param {string} elementId - Error element
+ * @param {string} message - Text shown, or '' to hide it
+ */
+function showCustomerError(elementId, message) {
+    const errorMsg = document.getElementById(elementId);
+    errorMsg.textContent = message;
+    errorMsg.classList.toggle('show', Boolean(message));
+}
+
+/**
+ * Sign-In Submit Handler
+ * @function handleSignInSubmit
+ * @param {Event} e - The submit event
+ * @description Same checks as the admin login (throttling,
+ * inactive accounts).
+ */
+async function handleSignInSubmit(e) {
+    e.preventDefault();
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    showCustomerError('signInError', '');
+    submitBtn.disabled = true;
+    try {
+        const user = await login(
+            document.getElementById('signInEmail').value,
+            document.getElementById('signInPassword').value,
+            { remember: document.getElementById('rememberMe').checked }
+        );
+        window.location.href = getNextPage(user);
+    } catch (err) {
+        showCustomerError('signInError', err instanceof LoginError ? err.message : 'Connexion impossible, réessayez');
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Sign-Up Submit Handler
+ * @function handleSignUpSubmit
+ * @param {Event} e - The submit event
+ */
+async function handleSignUpSubmit(e) {
+    e.preventDefault();
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+    const password = document.getElementById('signUpPassword').value;
+    showCustomerError('signUpError', '');
+    if (password !== document.getElementById('signUpConfirm').value) {
+        showCustomerError('signUpError', 'Les deux mots de passe ne correspondent pas');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        const user = await signUpCustomer({
+            name: document.getElementById('signUpName').value,
+            email: document.getElementById('signUpEmail').value,
+            phone: document.getElementById('signUpPhone').value,
+            address: document.getElementById('signUpAddress').value,
+            city: document.getElementById('signUpCity').value,
+            password
+        });
+        window.location.href = getNextPage(user);
+    } catch (err) {
+        const known = err instanceof SignUpError || err instanceof PasswordError || err instanceof ValidationError;
+        showCustomerError('signUpError', known ? err.message : 'Inscription impossible, réessayez');
+        submitBtn.disabled = false;
+    }
+}
@@ -0,0 +1,260 @@
+/* ==========================================
+ * GLOVOADMIN - STOREFRONT CUSTOMERS (customer.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Customer accounts of the storefront (index.html,
+ * cart.html). A customer is a user with role Client
+ * whose clientId points to their clients record: the
+ * record holds the name, phone and saved address, and
+ * their orders reference it (orders.clientId).
+ *
+ * Customers sign in with the same sessions as the back
+ * office (session.js), but only use the storefront
+ * pages; permissions.js sends them back there.
+ *
+ * Storefront writes (sign-up, checkout) are made by the
+ * application on behalf of the customer, who holds no
+ * write permission: they run through
+ * withoutPermissionChecks() and only touch the
+ * customer's own records.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - SignUpError
+ *
+ * SECTION 2: ACCOUNT
+ *   - signUpCustomer(): Create the account (and clients record)
+ *   - getCurrentCustomer(): clients record of the session
+ *   - logoutCustomer(): End the session, back to the storefront
+ *
+ * SECTION 3: ORDERS
+ *   - getCustomerOrders(): Orders of the customer
+ *   - placeCustomerOrder(): Checkout
+ *
+ * SECTION 4: NAVBAR
+ *   - initCustomerNav(): Sign-in link or account menu (#customerNav,
+ *     filled on every page that loads this file)
+ *
+ * DEPENDENCIES:
+ * - script.js (getCurrentUser, login), session.js (clearSession)
+ * - pricing.js (getVatRate, getOrderTotals, DEFAULT_DELIVERY_FEE)
+ * - repository.js (getRepository, flushRepositories), permissions.js (withoutPermissionChecks)
+ * - auth.js (hashPassword, checkNewPassword, findUserByEmail)
+ *
+ * USED BY:
+ * - customer-login.js, my-orders.js, cart.js, index.html
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+onAppReady(initCustomerNav);
+
+/**
+ * Sign-Up Error
+ * @class SignUpError
+ * @extends Error
+ * @description Thrown by signUpCustomer() with the message shown
+ * to the user.
+ */
+class SignUpError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignUpError';
+    }
+}
+
+/* ------------------------------------------
+ * SECTION 2: ACCOUNT
+ * ------------------------------------------ */
+
+/**
+ * Sign Up Customer
+ * @function signUpCustomer
+ * @param {Object} details - Form values
+ * @param {string} details.name - Full name
+ * @param {string} details.email - Email (sign-in identifier)
+ * @param {string} details.password - Clear password
+ * @param {string} [details.phone]
+ * @param {string} [details.address] - Saved delivery address
+ * @param {string} [details.city]
+ * @returns {Promise<Object>} The session user (signed in)
+ * @throws {SignUpError} If an account already uses the email
+ * @throws {PasswordError} If the password is too short
+ * @throws {ValidationError} If a field is invalid
+ * @description A clients record with the same email (a customer
+ * who ordered before having an account) is reused; otherwise one
+ * is created.
+ */
+async function signUpCustomer({ name, email, password, phone = '', address = '', city = '' }) {
+    email = email.trim();
+    if (findUserByEmail(email)) {
+        throw new SignUpError('Un compte existe déjà avec cet email. Connectez-vous.');
+    }
+    checkNewPassword(password);
+    const passwordHash = await hashPassword(password);
+
+    const clients = getRepository('clients');
+    const now = new Date().toISOString();
+    withoutPermissionChecks(() => {
+        const existing = clients.find(client => client.email.toLowerCase() === email.toLowerCase())[0];
+        const client = existing || clients.insert({
+            name: name.trim(),
+            email,
+            phone: phone.trim(),
+            address: address.trim(),
+            city: city.trim(),
+            type: 'Particulier',
+            orders: 0,
+            createdAt: now
+        });
+        getRepository('users').insert({
+            name: name.trim(),
+            email,
+            phone: phone.trim(),
+            role: 'Client',
+            status: 'Actif',
+            clientId: client.id,
+            passwordHash,
+            createdAt: now
+        });
+    });
+    await flushRepositories();
+    return login(email, password);
+}
+
+/**
+ * Get Current Customer
+ * @function getCurrentCustomer
+ * @returns {Object|null} clients record of the signed-in customer,
+ * or null (nobody signed in, not a customer, or no linked record)
+ */
+function getCurrentCustomer() {
+    const session = getCurrentUser();
+    if (!session || String(session.role).toLowerCase() !== 'client') return null;
+    const user = getRepository('users').findById(session.id);
+    return user && user.clientId ? getRepository('clients').findById(user.clientId) : null;
+}
+
+/**
+ * Logout Customer
+ * @function logoutCustomer
+ * @description Like logout(), but stays on the storefront.
+ */
+function logoutCustomer() {
+    clearSession();
+    window.location.href = 'index.html';
+}
+
+/* ------------------------------------------
+ * SECTION 3: ORDERS
+ * ------------------------------------------ */
+
+/**
+ * Get Customer Orders
+ * @function getCustomerOrders
+ * @returns {Array<Object>} Orders of the signed-in customer, newest first
+ */
+function getCustomerOrders() {
+    const customer = getCurrentCustomer();
+    if (!customer) return [];
+    return getRepository('orders').find(order => order.clientId === customer.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Place Customer Order
+ * @function placeCustomerOrder
+ * @param {Array<Object>} cart - Cart items ({ id, name, quantity, ... }: copies of the products)
+ * @param {string} address - Delivery address
+ * @param {Object} [options]
+ * @param {boolean} [options.saveAddress=false] - Store the address on the clients record
+ * @returns {Object} The new order (status and payment 'En attente',
+ *   with the standard delivery fee)
+ * @throws {Error} If nobody is signed in, the cart or address is empty,
+ *   or a product of the cart is no longer in the catalog (or unavailable)
+ * @description Names, prices and VAT rates come from the catalog, not
+ * from the cart: it is a copy in localStorage, editable by the
+ * visitor and outdated once a price changes.
+ */
+function placeCustomerOrder(cart, address, { saveAddress = false } = {}) {
+    const customer = getCurrentCustomer();
+    if (!customer) throw new Error('Connectez-vous pour passer commande');
+    if (cart.length === 0) throw new Error('Votre panier est vide');
+    address = address.trim();
+    if (!address) throw new Error('Indiquez une adresse de livraison');
+
+    const products = getRepository('products');
+    const items = cart.map(item => {
+        const product = products.findById(item.id);
+        if (!product || product.available === false) {
+            throw new Error(`« ${item.name} » n'est plus disponible, retirez-le du panier`);
+        }
+        return {
+            productId: product.id,
+            name: product.name,
+            unitPrice: product.price,
+            quantity: item.quantity || 1,
+            vatRate: getVatRate(product.category)
+        };
+    });
+    const pricing = { items, discountType: '', discountValue: 0, deliveryFee: DEFAULT_DELIVERY_FEE };
+
+    const orders = getRepository('orders');
+    return withoutPermissionChecks(() => {
+        const order = orders.insert({
+            clientId: customer.id,
+            clientName: customer.name,
+            ...pricing,
+            ...getOrderTotals(pricing),
+            status: 'En attente',
+            paymentStatus: 'En attente',
+            address,
+            notes: '',
+            createdAt: new Date().toISOString()
+        });
+        const changes = { orders: orders.find(record => record.clientId === customer.id).length };
+        if (saveAddress) changes.address = address;
+        getRepository('clients').update(customer.id, changes);
+        return order;
+    });
+}
+
+/* ------------------------------------------
+ * SECTION 4: NAVBAR
+ * ------------------------------------------ */
+
+/**
+ * Initialize Customer Nav
+ * @function initCustomerNav
+ * @description Fills #customerNav: a sign-in link, or the
+ * customer's name with "Mes commandes" and logout.
+ */
+function initCustomerNav() {
+    const nav = document.getElementById('customerNav');
+    if (!nav) return;
+    const customer = getCurrentCustomer();
+    if (!customer) {
+        nav.innerHTML = `
+            <a href="customer-login.html" class="customer-link">
+                <i class="fas fa-user"></i> Se connecter
+            </a>
+        `;
+        return;
+    }
+    nav.innerHTML = `
+        <a href="my-orders.html" class="customer-link" title="Mes commandes">
+            <i class="fas fa-receipt"></i> ${escapeHtml(customer.name)}
+        </a>
+        <button type="button" class="customer-link" id="customerLogoutBtn" title="Déconnexion">
+            <i class="fas fa-sign-out-alt"></i>
+        </button>
+    `;
+    document.getElementById('customerLogoutBtn').addEventListener('click', logoutCustomer);
+}
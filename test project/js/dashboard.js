@@ -9,8 +9,9 @@
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: INITIALIZATION
- *   - DOMContentLoaded: Entry point
+ *   - onAppReady(): Entry point
  *   - initDashboard(): Master init function
+ *   - refreshDashboard(): Redraw after a change in another tab
  * 
  * SECTION 2: KPIs UPDATE
  *   - updateKPIs(): Calculate and display metrics
@@ -29,11 +30,13 @@
  *   - renderRecentOrders(): Display latest orders
  * 
  * DEPENDENCIES:
- * - script.js (getData, formatCurrency, formatDate, getStatusBadgeClass)
+ * - script.js (formatCurrency, formatDate, formatOrderItems, getStatusBadgeClass)
+ * - repository.js (getRepository)
+ * - sync.js (onRemoteChange)
  * - Chart.js (loaded via CDN in dashboard.html)
  * 
  * DATA SOURCES:
- * - LocalStorage: users, orders, clients, products, deliveries
+ * - Repositories: users, orders, clients, products, deliveries
  * 
  * @author GlovoAdmin Team
  * @version 1.0.0
@@ -42,21 +45,19 @@
 /* ------------------------------------------
  * SECTION 1: INITIALIZATION
  * ------------------------------------------
- * Dashboard entry point with slight delay
- * to ensure script.js has initialized first.
+ * Dashboard entry point, run once script.js
+ * has loaded the data and seeded samples.
  * ------------------------------------------ */
 
 /**
- * DOMContentLoaded Event Handler
- * @description Waits 100ms for script.js to initialize
- * sample data before rendering dashboard.
+ * App Ready Handler
+ * @description Renders the dashboard once storage
+ * is loaded and sample data is initialized.
  */
-document.addEventListener('DOMContentLoaded', () => {
-    // Small delay to ensure script.js has initialized
-    setTimeout(() => {
-        initDashboard();
-    }, 100);
-});
+onAppReady(initDashboard);
+
+/** @type {Array<Chart>} Chart instances, destroyed before a refresh */
+const dashboardCharts = [];
 
 /**
  * Initialize Dashboard
@@ -68,6 +69,22 @@ function initDashboard() {
     updateKPIs();
     initCharts();
     renderRecentOrders();
+    
+    // Another tab changed the data (sync.js)
+    onRemoteChange(null, refreshDashboard);
+}
+
+/**
+ * Refresh Dashboard
+ * @function refreshDashboard
+ * @description Recomputes KPIs, rebuilds the charts and the
+ * recent orders table from the current data.
+ */
+function refreshDashboard() {
+    updateKPIs();
+    dashboardCharts.splice(0).forEach(chart => chart.destroy());
+    initCharts();
+    renderRecentOrders();
 }
 
 /* ------------------------------------------
@@ -87,8 +104,8 @@ function initDashboard() {
  * - Pending Orders count
  */
 function updateKPIs() {
-    const users = getData('users') || [];
-    const orders = getData('orders') || [];
+    const users = getRepository('users').find();
+    const orders = getRepository('orders').find();
     
     // Total Users - display count
     const totalUsersEl = document.getElementById('totalUsers');
@@ -161,7 +178,7 @@ function createOrdersChart() {
     const ctx = document.getElementById('ordersChart');
     if (!ctx) return;
     
-    const orders = getData('orders') || [];
+    const orders = getRepository('orders').find();
     
     // Generate last 7 days labels
     // Logic: Create an array of the last 7 dates to use as X-axis labels
@@ -190,7 +207,7 @@ function createOrdersChart() {
     const chartData = last7Days.map(date => ordersByDate[date]);
     
     // Create Chart.js instance
-    new Chart(ctx, {
+    dashboardCharts.push(new Chart(ctx, {
         type: 'line',
         data: {
             labels: last7Days.map(d => formatDate(d)),
@@ -223,7 +240,7 @@ function createOrdersChart() {
                 }
             }
         }
-    });
+    }));
 }
 
 /**
@@ -241,7 +258,7 @@ function createStatusChart() {
     const ctx = document.getElementById('statusChart');
     if (!ctx) return;
     
-    const orders = getData('orders') || [];
+    const orders = getRepository('orders').find();
     
     // Count orders by status
     const statusCounts = {
@@ -257,7 +274,7 @@ function createStatusChart() {
         }
     });
     
-    new Chart(ctx, {
+    dashboardCharts.push(new Chart(ctx, {
         type: 'doughnut',
         data: {
             labels: Object.keys(statusCounts),
@@ -284,7 +301,7 @@ function createStatusChart() {
             },
             cutout: '65%'   // Donut hole size
         }
-    });
+    }));
 }
 
 /**
@@ -302,7 +319,7 @@ function createRevenueChart() {
     const ctx = document.getElementById('revenueChart');
     if (!ctx) return;
     
-    const orders = getData('orders') || [];
+    const orders = getRepository('orders').find();
     
     // Calculate revenue for last 6 months
     const months = [];
@@ -328,7 +345,7 @@ function createRevenueChart() {
         revenueData.push(monthlySum);
     }
     
-    new Chart(ctx, {
+    dashboardCharts.push(new Chart(ctx, {
         type: 'bar',
         data: {
             labels: months,
@@ -361,20 +378,20 @@ function createRevenueChart() {
                 }
             }
         }
-    });
+    }));
 }
 
 /**
  * Chart 4: Products by Category (Pie Chart)
  * @function createCategoriesChart
  * @description Pie chart showing product distribution by category.
- * Uses actual product data from localStorage.
+ * Uses actual product data from the products repository.
  */
 function createCategoriesChart() {
     const ctx = document.getElementById('categoriesChart');
     if (!ctx) return;
     
-    const products = getData('products') || [];
+    const products = getRepository('products').find();
     
     // Count products per category
     const categoryCounts = {};
@@ -389,7 +406,7 @@ function createCategoriesChart() {
         '#a8edea', '#fed6e3', '#5ee7df', '#b490ca'
     ];
     
-    new Chart(ctx, {
+    dashboardCharts.push(new Chart(ctx, {
         type: 'pie',
         data: {
             labels: Object.keys(categoryCounts),
@@ -414,7 +431,7 @@ function createCategoriesChart() {
                 }
             }
         }
-    });
+    }));
 }
 
 /**
@@ -427,17 +444,19 @@ function createDeliveryChart() {
     const ctx = document.getElementById('deliveryChart');
     if (!ctx) return;
     
-    const deliveries = getData('deliveries') || [];
+    const deliveries = getRepository('deliveries').find();
     
     // Calculate performance per driver
     const driverPerformance = {};
     deliveries.forEach(delivery => {
-        if (!driverPerformance[delivery.driver]) {
-            driverPerformance[delivery.driver] = { completed: 0, total: 0 };
+        // Driver cleared when their account was deleted
+        const driver = delivery.driver || 'Non assigné';
+        if (!driverPerformance[driver]) {
+            driverPerformance[driver] = { completed: 0, total: 0 };
         }
-        driverPerformance[delivery.driver].total++;
+        driverPerformance[driver].total++;
         if (delivery.status === 'Livrée') {
-            driverPerformance[delivery.driver].completed++;
+            driverPerformance[driver].completed++;
         }
     });
     
@@ -445,7 +464,7 @@ function createDeliveryChart() {
     const completed = drivers.map(d => driverPerformance[d].completed);
     const pending = drivers.map(d => driverPerformance[d].total - driverPerformance[d].completed);
     
-    new Chart(ctx, {
+    dashboardCharts.push(new Chart(ctx, {
         type: 'bar',
         data: {
             labels: drivers,
@@ -485,7 +504,7 @@ function createDeliveryChart() {
                 }
             }
         }
-    });
+    }));
 }
 
 /* ------------------------------------------
@@ -504,7 +523,7 @@ function renderRecentOrders() {
     const tableBody = document.getElementById('recentOrdersBody');
     if (!tableBody) return;
     
-    const orders = getData('orders') || [];
+    const orders = getRepository('orders').find();
     
     // Get last 5 orders (most recent first)
     const recentOrders = orders.slice(-5).reverse();
@@ -513,7 +532,7 @@ function renderRecentOrders() {
         <tr>
             <td>#${order.id}</td>
             <td>${escapeHtml(order.clientName)}</td>
-            <td>${escapeHtml(order.products)}</td>
+            <td>${escapeHtml(formatOrderItems(order.items))}</td>
             <td>${formatCurrency(order.amount)}</td>
             <td><span class="status-badge ${getStatusBadgeClass(order.status)}">${order.status}</span></td>
             <td>${formatDate(order.createdAt)}</td>
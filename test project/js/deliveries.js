@@ -9,11 +9,10 @@
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: INITIALIZATION
- *   - DOMContentLoaded: Entry point
+ *   - onAppReady(): Entry point (after data is loaded)
  * 
- * SECTION 2: DATA HELPERS
- *   - getData(): Retrieve data from localStorage
- *   - saveData(): Save data to localStorage
+ * SECTION 2: DATA ACCESS
+ *   - deliveriesRepository: Shared 'deliveries' repository
  * 
  * SECTION 3: RENDER TABLE
  *   - renderDeliveriesTable(): Display deliveries with filters
@@ -34,7 +33,8 @@
  *   - deleteDelivery(): Remove delivery
  * 
  * DEPENDENCIES:
- * - localStorage ('deliveries', 'orders', 'users' keys)
+ * - script.js, repository.js, permissions.js, sync.js, history.js, conflict.js (must be loaded first)
+ * - Repositories: 'deliveries', 'orders', 'users'
  * 
  * @author GlovoAdmin Team
  * @version 1.0.0
@@ -46,34 +46,29 @@
  * Entry point for the deliveries page.
  * ------------------------------------------ */
 
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     renderDeliveriesTable();
     setupEventListeners();
+    
+    // Refresh when another tab changes deliveries (sync.js)
+    onRemoteChange(['deliveries'], (change) => {
+        renderDeliveriesTable();
+        warnIfEditedRecordChanged(change, document.getElementById('entityId').value);
+    });
+    
+    // Refresh after undo/redo (history.js)
+    onHistoryReplay(['deliveries'], renderDeliveriesTable);
 });
 
 /* ------------------------------------------
- * SECTION 2: DATA HELPERS
+ * SECTION 2: DATA ACCESS
  * ------------------------------------------
- * Wrappers for LocalStorage interaction.
+ * Deliveries are read and written through the
+ * shared repository layer (repository.js).
  * ------------------------------------------ */
 
-/**
- * Get Data from Storage
- * @param {string} key - LocalStorage key
- * @returns {Array} Parsed data or empty array
- */
-function getData(key) {
-    return JSON.parse(localStorage.getItem(key)) || [];
-}
-
-/**
- * Save Data to Storage
- * @param {string} key - LocalStorage key
- * @param {Array} data - Data to save
- */
-function saveData(key, data) {
-    localStorage.setItem(key, JSON.stringify(data));
-}
+/** @type {Object} Repository for the 'deliveries' entity */
+const deliveriesRepository = getRepository('deliveries');
 
 /* ------------------------------------------
  * SECTION 3: RENDER TABLE
@@ -89,7 +84,7 @@ function saveData(key, data) {
  * Dynamically populates the driver filter dropdown if empty.
  */
 function renderDeliveriesTable() {
-    const deliveries = getData('deliveries');
+    const deliveries = deliveriesRepository.find();
     const tbody = document.getElementById('tableBody');
     const search = document.getElementById('searchInput').value.toLowerCase();
     const statusFilter = document.getElementById('filterStatus').value;
@@ -99,12 +94,11 @@ function renderDeliveriesTable() {
     // If the driver dropdown is empty (length <= 1), fill it with drivers from 'users' data
     const driverSelect = document.getElementById('filterDriver');
     if (driverSelect.options.length <= 1) {
-        const users = getData('users');
         // Find only users who are 'Livreur' (Driver)
-        const drivers = users.filter(u => u.role === 'Livreur');
+        const drivers = getRepository('users').find(u => u.role === 'Livreur');
         drivers.forEach(d => {
             const opt = document.createElement('option');
-            opt.value = d.name;
+            opt.value = d.id;
             opt.textContent = d.name;
             driverSelect.appendChild(opt);
         });
@@ -115,23 +109,27 @@ function renderDeliveriesTable() {
         const matchSearch = (delivery.address || '').toLowerCase().includes(search) || 
                           (delivery.orderId || '').toString().includes(search);
         const matchStatus = !statusFilter || delivery.status === statusFilter;
-        const matchDriver = !driverFilter || delivery.driver === driverFilter;
+        const matchDriver = !driverFilter || delivery.driverId === Number(driverFilter);
         return matchSearch && matchStatus && matchDriver;
     });
 
+    // Edit/delete buttons follow the permissions of the role
+    const canUpdate = can('deliveries.update');
+    const canDelete = can('deliveries.delete');
+
     tbody.innerHTML = filtered.map(delivery => `
         <tr>
             <td>#${delivery.id}</td>
-            <td>#${delivery.orderId}</td>
-            <td>${delivery.driver}</td>
-            <td>${delivery.address}</td>
+            <td>${delivery.orderId ? `#${delivery.orderId}` : '-'}</td>
+            <td>${escapeHtml(delivery.driver || 'Non assigné')}</td>
+            <td>${escapeHtml(delivery.address)}</td>
             <td><span class="status-badge ${getStatusBadgeClass(delivery.status)}">${delivery.status}</span></td>
-            <td>${new Date(delivery.date).toLocaleDateString()}</td>
+            <td>${new Date(delivery.createdAt).toLocaleDateString()}</td>
             <td>${delivery.duration} min</td>
             <td>
                 <div class="action-buttons">
-                    <button class="action-btn edit" onclick="editDelivery(${delivery.id})"><i class="fas fa-edit"></i></button>
-                    <button class="action-btn delete" onclick="deleteDelivery(${delivery.id})"><i class="fas fa-trash"></i></button>
+                    ${canUpdate ? `<button class="action-btn edit" onclick="editDelivery(${delivery.id})"><i class="fas fa-edit"></i></button>` : ''}
+                    ${canDelete ? `<button class="action-btn delete" onclick="deleteDelivery(${delivery.id})"><i class="fas fa-trash"></i></button>` : ''}
                 </div>
             </td>
         </tr>
@@ -169,7 +167,9 @@ function getStatusBadgeClass(status) {
  * @description Binds click, input, and submit events to UI elements.
  */
 function setupEventListeners() {
-    document.getElementById('addNewBtn').addEventListener('click', () => openModal());
+    document.getElementById('addNewBtn').addEventListener('click', () => {
+        if (requirePermission('deliveries.create')) openModal();
+    });
     document.getElementById('modalClose').addEventListener('click', closeModal);
     document.getElementById('cancelBtn').addEventListener('click', closeModal);
     document.getElementById('entityForm').addEventListener('submit', handleFormSubmit);
@@ -205,9 +205,8 @@ function openModal(delivery = null) {
     // LOAD DATA FOR DROPDOWNS
     // We need 'orders' to select which order to deliver
     // We need 'users' to select which driver will take it
-    const orders = getData('orders');
-    const users = getData('users');
-    const drivers = users.filter(u => u.role === 'Livreur');
+    const orders = getRepository('orders').find();
+    const drivers = getRepository('users').find(u => u.role === 'Livreur');
     
     const orderSelect = document.getElementById('orderId');
     const driverSelect = document.getElementById('driver');
@@ -232,15 +231,16 @@ function openModal(delivery = null) {
     driverSelect.innerHTML = '<option value="">Sélectionner un livreur</option>';
     drivers.forEach(driver => {
         const option = document.createElement('option');
-        option.value = driver.name;
+        option.value = driver.id;
         option.textContent = driver.name;
-        if (delivery && delivery.driver === driver.name) option.selected = true;
+        if (delivery && delivery.driverId === driver.id) option.selected = true;
         driverSelect.appendChild(option);
     });
     
     if (delivery) {
         title.textContent = 'Modifier Livraison';
         document.getElementById('entityId').value = delivery.id;
+        setEditBase(delivery);
         document.getElementById('status').value = delivery.status;
         document.getElementById('duration').value = delivery.duration;
         document.getElementById('address').value = delivery.address;
@@ -249,8 +249,10 @@ function openModal(delivery = null) {
         title.textContent = 'Nouvelle Livraison';
         form.reset();
         document.getElementById('entityId').value = '';
+        setEditBase(null);
     }
     
+    clearConflictWarning();
     modal.classList.add('show');
 }
 
@@ -277,30 +279,39 @@ function closeModal() {
  */
 function handleFormSubmit(e) {
     e.preventDefault();
-    const deliveries = getData('deliveries');
     const id = document.getElementById('entityId').value;
+    // Linked by user id, with the name as displayed
+    const driver = getRepository('users').findById(document.getElementById('driver').value);
     
     const deliveryData = {
-        id: id ? parseInt(id) : generateId('deliveries'),
-        orderId: document.getElementById('orderId').value,
-        driver: document.getElementById('driver').value,
+        orderId: parseInt(document.getElementById('orderId').value, 10),
+        driverId: driver ? driver.id : null,
+        driver: driver ? driver.name : null,
         status: document.getElementById('status').value,
-        duration: document.getElementById('duration').value,
+        duration: parseFloat(document.getElementById('duration').value) || 0,
         address: document.getElementById('address').value,
-        notes: document.getElementById('notes').value,
-        date: id ? deliveries.find(d => d.id == id).date : new Date().toISOString()
+        notes: document.getElementById('notes').value
+    };
+
+    const onSaved = () => {
+        showUndoToast(id ? 'Livraison mise à jour avec succès' : 'Livraison ajoutée avec succès');
+        closeModal();
+        renderDeliveriesTable();
     };
 
     if (id) {
-        const index = deliveries.findIndex(d => d.id == id);
-        deliveries[index] = deliveryData;
-    } else {
-        deliveries.push(deliveryData);
+        // Original date is kept by the merge
+        saveEditedRecord(deliveriesRepository, id, deliveryData, document.getElementById('entityVersion').value, onSaved);
+        return;
     }
 
-    saveData('deliveries', deliveries);
-    closeModal();
-    renderDeliveriesTable();
+    try {
+        deliveriesRepository.insert({ ...deliveryData, createdAt: new Date().toISOString() });
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    onSaved();
 }
 
 /* ------------------------------------------
@@ -316,8 +327,8 @@ function handleFormSubmit(e) {
  * @param {number} id - The ID of the delivery to edit.
  */
 window.editDelivery = function(id) {
-    const deliveries = getData('deliveries');
-    const delivery = deliveries.find(d => d.id === id);
+    if (!requirePermission('deliveries.update')) return;
+    const delivery = deliveriesRepository.findById(id);
     if (delivery) openModal(delivery);
 };
 
@@ -328,10 +339,15 @@ window.editDelivery = function(id) {
  * @param {number} id - The ID of the delivery to delete.
  */
 window.deleteDelivery = function(id) {
+    if (!requirePermission('deliveries.delete')) return;
     if (confirm('Êtes-vous sûr de vouloir supprimer cette livraison ?')) {
-        const deliveries = getData('deliveries');
-        const newDeliveries = deliveries.filter(d => d.id !== id);
-        saveData('deliveries', newDeliveries);
+        try {
+            deliveriesRepository.remove(id);
+        } catch (err) {
+            showToast(err.message, 'error');
+            return;
+        }
+        showUndoToast('Livraison déplacée dans la corbeille');
         renderDeliveriesTable();
     }
 };
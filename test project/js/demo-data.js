@@ -0,0 +1,393 @@
+/* ==========================================
+ * GLOVOADMIN - DEMO DATA GENERATOR (demo-data.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Builds large, realistic datasets for demos and load
+ * testing: N clients, products, orders and deliveries
+ * with French names, cities and addresses, statuses
+ * spread like real activity, dates spread over the
+ * last M months, and consistent references (orders →
+ * clients, deliveries → orders and active drivers).
+ *
+ * The generator is seeded, so the same options always
+ * produce the same records (dates are relative to today). Used by the "Données de
+ * démo" panel of the Sauvegarde page (backup.js).
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - DEMO_PRESETS: Ready-made sizes
+ *   - DEMO_* word lists (names, cities, catalog)
+ *
+ * SECTION 2: RANDOM HELPERS
+ *   - createRandom(): Seeded random number generator
+ *
+ * SECTION 3: GENERATOR
+ *   - generateDemoData(): Build a complete dataset
+ *
+ * SECTION 4: APPLY / RESET
+ *   - applyDemoData(): Replace the current data
+ *   - resetDemoData(): Back to the original sample data
+ *   - withLinkedClients(): Keep the clients of storefront accounts
+ *
+ * DEPENDENCIES:
+ * - sample-data.js (SAMPLE_DATA)
+ * - script.js (reserveIds)
+ * - pricing.js (getVatRate, getOrderTotals, DEFAULT_DELIVERY_FEE)
+ * - repository.js (getRepository)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/**
+ * Demo Presets
+ * @constant {Object<string, Object>}
+ * @description Preset key → { label, clients, products, orders, months }.
+ */
+const DEMO_PRESETS = {
+    small: { label: 'Petit (démo)', clients: 50, products: 20, orders: 200, months: 3 },
+    medium: { label: 'Moyen', clients: 300, products: 40, orders: 2000, months: 6 },
+    large: { label: 'Charge (test de performance)', clients: 2000, products: 60, orders: 20000, months: 12 }
+};
+
+/** @constant {Array<string>} First names */
+const DEMO_FIRST_NAMES = [
+    'Marie', 'Jean', 'Sophie', 'Pierre', 'Emma', 'Lucas', 'Camille', 'Thomas', 'Julie', 'Antoine',
+    'Léa', 'Hugo', 'Chloé', 'Louis', 'Manon', 'Gabriel', 'Inès', 'Arthur', 'Sarah', 'Nathan',
+    'Clara', 'Jules', 'Zoé', 'Paul', 'Alice', 'Maxime', 'Louise', 'Théo', 'Anaïs', 'Mathieu'
+];
+
+/** @constant {Array<string>} Last names */
+const DEMO_LAST_NAMES = [
+    'Martin', 'Bernard', 'Dubois', 'Thomas', 'Robert', 'Richard', 'Petit', 'Durand', 'Leroy', 'Moreau',
+    'Simon', 'Laurent', 'Lefèvre', 'Michel', 'Garcia', 'David', 'Bertrand', 'Roux', 'Vincent', 'Fournier',
+    'Morel', 'Girard', 'André', 'Mercier', 'Dupont', 'Lambert', 'Bonnet', 'François', 'Martinez', 'Legrand'
+];
+
+/** @constant {Array<string>} Business name patterns ({name} = last name) */
+const DEMO_COMPANIES = [
+    'Restaurant {name}', 'Café {name}', 'Boulangerie {name}', 'Hôtel {name}',
+    'Traiteur {name}', 'Brasserie {name}', 'Épicerie {name}', 'Bistrot {name}'
+];
+
+/** @constant {Array<{city: string, postcode: string}>} Cities */
+const DEMO_CITIES = [
+    { city: 'Paris', postcode: '75011' },
+    { city: 'Lyon', postcode: '69003' },
+    { city: 'Marseille', postcode: '13001' },
+    { city: 'Toulouse', postcode: '31000' },
+    { city: 'Nice', postcode: '06000' },
+    { city: 'Nantes', postcode: '44000' },
+    { city: 'Montpellier', postcode: '34000' },
+    { city: 'Strasbourg', postcode: '67000' },
+    { city: 'Bordeaux', postcode: '33000' },
+    { city: 'Lille', postcode: '59000' },
+    { city: 'Rennes', postcode: '35000' },
+    { city: 'Grenoble', postcode: '38000' }
+];
+
+/** @constant {Array<string>} Street names */
+const DEMO_STREETS = [
+    'Rue de la République', 'Avenue Jean Jaurès', 'Rue Victor Hugo', 'Boulevard Gambetta',
+    'Rue du Commerce', 'Place de la Mairie', 'Rue des Lilas', 'Avenue de la Gare',
+    'Rue Pasteur', 'Quai des Chartrons', 'Rue Nationale', 'Boulevard Voltaire'
+];
+
+/**
+ * Product catalog
+ * @constant {Array<Object>}
+ * @description { name, category, price, supplier }. Larger
+ * product counts reuse it with size variants.
+ */
+const DEMO_CATALOG = [
+    { name: 'Pizza Margherita', category: 'Pizza', price: 12.99, supplier: 'Pizzeria Roma' },
+    { name: 'Pizza Regina', category: 'Pizza', price: 13.99, supplier: 'Pizzeria Roma' },
+    { name: 'Pizza 4 Fromages', category: 'Pizza', price: 14.50, supplier: 'Pizzeria Roma' },
+    { name: 'Burger Classic', category: 'Burger', price: 9.99, supplier: 'Burger House' },
+    { name: 'Burger Bacon', category: 'Burger', price: 11.50, supplier: 'Burger House' },
+    { name: 'Salade César', category: 'Salade', price: 8.50, supplier: 'Fresh Garden' },
+    { name: 'Salade Niçoise', category: 'Salade', price: 9.50, supplier: 'Fresh Garden' },
+    { name: 'Sushi Mix', category: 'Japonais', price: 18.99, supplier: 'Tokyo Sushi' },
+    { name: 'Ramen', category: 'Japonais', price: 13.50, supplier: 'Tokyo Sushi' },
+    { name: 'Tacos Mexicain', category: 'Mexicain', price: 11.50, supplier: 'Casa Mexico' },
+    { name: 'Pasta Carbonara', category: 'Italien', price: 13.99, supplier: 'Pizzeria Roma' },
+    { name: 'Kebab Complet', category: 'Oriental', price: 8.99, supplier: 'Istanbul Grill' },
+    { name: 'Falafel Wrap', category: 'Oriental', price: 9.50, supplier: 'Istanbul Grill' },
+    { name: 'Poke Bowl', category: 'Healthy', price: 14.50, supplier: 'Fresh Garden' },
+    { name: 'Pad Thai', category: 'Asiatique', price: 12.50, supplier: 'Thai Express' },
+    { name: 'Crêpe Complète', category: 'Français', price: 10.99, supplier: 'Crêperie Bretonne' },
+    { name: 'Croque-Monsieur', category: 'Français', price: 7.50, supplier: 'Crêperie Bretonne' },
+    { name: 'Fish & Chips', category: 'Britannique', price: 11.99, supplier: 'British Corner' },
+    { name: 'Tiramisu', category: 'Dessert', price: 5.50, supplier: 'Pizzeria Roma' },
+    { name: 'Limonade Artisanale', category: 'Boisson', price: 3.50, supplier: 'Fresh Garden' }
+];
+
+/** @constant {Array<{suffix: string, factor: number}>} Size variants */
+const DEMO_VARIANTS = [
+    { suffix: '', factor: 1 },
+    { suffix: ' XL', factor: 1.4 },
+    { suffix: ' Mini', factor: 0.7 }
+];
+
+/**
+ * Order status weights, with the payment and delivery
+ * status that go with each, and the statuses the order
+ * went through (STATUS_WORKFLOWS, repository.js)
+ * @constant {Array<Object>}
+ */
+const DEMO_ORDER_STATUSES = [
+    { status: 'Livrée', weight: 60, payment: 'Payée', deliveries: ['Livrée', 'Livrée', 'Livrée', 'Livrée', 'Échec'], path: ['En attente', 'En cours', 'Livrée'] },
+    { status: 'En cours', weight: 15, payment: 'Payée', deliveries: ['En cours'], path: ['En attente', 'En cours'] },
+    { status: 'En attente', weight: 15, payment: 'En attente', deliveries: ['En attente', null], path: ['En attente'] },
+    { status: 'Annulée', weight: 10, payment: 'Remboursée', deliveries: [null], path: ['En attente', 'Annulée'] }
+];
+
+/** @constant {number} Time between two status changes of a demo order (ms) */
+const DEMO_STATUS_STEP = 20 * 60000;
+
+/* ------------------------------------------
+ * SECTION 2: RANDOM HELPERS
+ * ------------------------------------------ */
+
+/**
+ * Create Random
+ * @function createRandom
+ * @param {number} seed - Any integer
+ * @returns {Object} { next, int, pick, weighted }
+ * @description Small seeded generator (mulberry32).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        /** Integer in [min, max] */
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: list => list[Math.floor(next() * list.length)],
+        weighted: list => {
+            let roll = next() * list.reduce((sum, item) => sum + item.weight, 0);
+            return list.find(item => (roll -= item.weight) < 0) || list[list.length - 1];
+        }
+    };
+}
+
+/**
+ * Lowercase ASCII slug for emails ("Léa Dubois" → "lea.dubois")
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.|\.$/g, '');
+}
+
+/* ------------------------------------------
+ * SECTION 3: GENERATOR
+ * ------------------------------------------ */
+
+/**
+ * Generate Demo Data
+ * @function generateDemoData
+ * @param {Object} options
+ * @param {number} options.clients - Number of clients
+ * @param {number} options.products - Number of products
+ * @param {number} options.orders - Number of orders
+ * @param {number} options.months - Orders are spread over the last N months
+ * @param {Array<{id: number, name: string}>} options.drivers - Drivers deliveries are assigned to
+ * @param {Object<string, number>} options.firstIds - First id per entity
+ * @param {number} [options.seed=42] - Random seed
+ * @returns {{clients: Array, products: Array, orders: Array, deliveries: Array}}
+ */
+function generateDemoData({ clients, products, orders, months, drivers, firstIds, seed = 42 }) {
+    const random = createRandom(seed);
+    const now = Date.now();
+    const start = new Date(now);
+    start.setMonth(start.getMonth() - months);
+    const span = now - start.getTime();
+
+    // Clients (70% individuals, 30% businesses)
+    const clientRecords = Array.from({ length: clients }, (_, i) => {
+        const id = firstIds.clients + i;
+        const lastName = random.pick(DEMO_LAST_NAMES);
+        const isCompany = random.next() < 0.3;
+        const name = isCompany
+            ? random.pick(DEMO_COMPANIES).replace('{name}', lastName)
+            : `${random.pick(DEMO_FIRST_NAMES)} ${lastName}`;
+        const { city, postcode } = random.pick(DEMO_CITIES);
+        return {
+            id,
+            name,
+            // The id keeps generated emails unique
+            email: isCompany ? `contact.${id}@${slugify(name).replace(/\./g, '')}.fr` : `${slugify(name)}.${id}@email.com`,
+            phone: `0${isCompany ? random.pick(['1', '4', '5']) : random.pick(['6', '7'])}${String(random.int(0, 99999999)).padStart(8, '0')}`,
+            address: `${random.int(1, 150)} ${random.pick(DEMO_STREETS)}, ${postcode} ${city}`,
+            city,
+            type: isCompany ? 'Entreprise' : 'Particulier',
+            createdAt: new Date(start.getTime() - random.int(0, 180) * 86400000).toISOString()
+        };
+    });
+
+    // Products (catalog, then size variants)
+    const productRecords = Array.from({ length: products }, (_, i) => {
+        const base = DEMO_CATALOG[i % DEMO_CATALOG.length];
+        const variant = DEMO_VARIANTS[Math.floor(i / DEMO_CATALOG.length) % DEMO_VARIANTS.length];
+        const stock = random.next() < 0.1 ? 0 : random.int(5, 80);
+        return {
+            id: firstIds.products + i,
+            name: `${base.name}${variant.suffix}${i >= DEMO_CATALOG.length * DEMO_VARIANTS.length ? ` ${i + 1}` : ''}`,
+            category: base.category,
+            price: Math.round(base.price * variant.factor * 100) / 100,
+            stock,
+            supplier: base.supplier,
+            available: stock > 0
+        };
+    });
+
+    // Orders, sorted by date so ids follow time
+    const orderDates = Array.from({ length: orders }, () => start.getTime() + Math.floor(random.next() * span)).sort((a, b) => a - b);
+    const deliveryRecords = [];
+    const orderRecords = orderDates.map((time, i) => {
+        const client = random.pick(clientRecords);
+        const lineCount = client.type === 'Entreprise' ? random.int(1, 4) : random.int(1, 2);
+        const items = Array.from({ length: lineCount }, () => {
+            const product = random.pick(productRecords);
+            return {
+                productId: product.id,
+                name: product.name,
+                unitPrice: product.price,
+                quantity: client.type === 'Entreprise' ? random.int(2, 20) : random.int(1, 3),
+                vatRate: getVatRate(product.category)
+            };
+        });
+        // Recent orders are more likely to be still open
+        const age = (now - time) / 86400000;
+        const outcome = age > 2 ? random.weighted(DEMO_ORDER_STATUSES.filter(s => s.status === 'Livrée' || s.status === 'Annulée'))
+            : random.weighted(DEMO_ORDER_STATUSES);
+        const order = {
+            id: firstIds.orders + i,
+            clientId: client.id,
+            clientName: client.name,
+            items,
+            deliveryFee: DEFAULT_DELIVERY_FEE,
+            ...getOrderTotals({ items, deliveryFee: DEFAULT_DELIVERY_FEE }),
+            status: outcome.status,
+            // Fixed steps: no random draw, so the rest of the data stays the same for a seed
+            statusHistory: outcome.path.map((status, step) => ({
+                from: step === 0 ? null : outcome.path[step - 1],
+                to: status,
+                at: new Date(time + step * DEMO_STATUS_STEP).toISOString(),
+                by: 'Système'
+            })),
+            paymentStatus: outcome.payment,
+            address: client.address,
+            createdAt: new Date(time).toISOString()
+        };
+
+        const deliveryStatus = random.pick(outcome.deliveries);
+        if (deliveryStatus && drivers.length > 0) {
+            const driver = random.pick(drivers);
+            deliveryRecords.push({
+                id: firstIds.deliveries + deliveryRecords.length,
+                orderId: order.id,
+                driverId: driver.id,
+                driver: driver.name,
+                address: order.address,
+                status: deliveryStatus,
+                duration: random.int(15, 60),
+                notes: deliveryStatus === 'Échec' ? random.pick(['Client absent', 'Adresse introuvable']) : '',
+                createdAt: new Date(time + random.int(5, 30) * 60000).toISOString()
+            });
+        }
+        return order;
+    });
+
+    return { clients: clientRecords, products: productRecords, orders: orderRecords, deliveries: deliveryRecords };
+}
+
+/* ------------------------------------------
+ * SECTION 4: APPLY / RESET
+ * ------------------------------------------ */
+
+/** @constant {Array<string>} Entities replaced by the generator (users are kept) */
+const DEMO_ENTITIES = ['clients', 'products', 'orders', 'deliveries'];
+
+/**
+ * With Linked Clients
+ * @function withLinkedClients
+ * @param {Array<Object>} clients - Clients about to replace the current ones
+ * @returns {Array<Object>} The same, plus the current clients record of
+ *   every storefront account (users.clientId) they do not contain, with
+ *   no orders (orders are replaced too)
+ * @description replaceAll() skips the integrity rules: without this,
+ * customers would keep a clientId that no longer exists and be seen
+ * as signed out by the storefront (getCurrentCustomer(), customer.js).
+ */
+function withLinkedClients(clients) {
+    const ids = new Set(clients.map(client => client.id));
+    const linked = new Map();
+    getRepository('users').find(user => user.clientId && !ids.has(user.clientId)).forEach(user => {
+        const client = getRepository('clients').findById(user.clientId);
+        if (client) linked.set(client.id, { ...client, orders: 0 });
+    });
+    return [...clients, ...linked.values()];
+}
+
+/**
+ * Apply Demo Data
+ * @function applyDemoData
+ * @param {Object} options - { clients, products, orders, months, seed }
+ * @returns {Promise<Object<string, number>>} Entity → records written
+ * @throws {Error} If there is no active driver to assign deliveries to
+ * @description Replaces clients, products, orders and deliveries.
+ * New ids are taken from the entity sequences, so they never
+ * reuse the id of a record that existed before. The clients of
+ * storefront accounts are kept (withLinkedClients()).
+ */
+async function applyDemoData(options) {
+    const drivers = getRepository('users')
+        .find(user => user.role === 'Livreur' && user.status === 'Actif')
+        .map(user => ({ id: user.id, name: user.name }));
+    if (drivers.length === 0) {
+        throw new Error('Aucun livreur actif : ajoutez un utilisateur « Livreur » avant de générer des données');
+    }
+
+    const firstIds = {};
+    for (const entity of DEMO_ENTITIES) {
+        // Upper bound for deliveries: one per order
+        const count = entity === 'deliveries' ? options.orders : options[entity];
+        firstIds[entity] = await reserveIds(entity, count);
+    }
+
+    const data = generateDemoData({ ...options, drivers, firstIds });
+    const counts = {};
+    DEMO_ENTITIES.forEach(entity => {
+        getRepository(entity).replaceAll(entity === 'clients' ? withLinkedClients(data.clients) : data[entity]);
+        counts[entity] = data[entity].length;
+    });
+    return counts;
+}
+
+/**
+ * Reset Demo Data
+ * @function resetDemoData
+ * @description Puts back the original sample data (SAMPLE_DATA) of
+ * the generated entities. Users and id sequences are left as they are,
+ * and so are the clients of storefront accounts (withLinkedClients()).
+ */
+function resetDemoData() {
+    DEMO_ENTITIES.forEach(entity => {
+        getRepository(entity).replaceAll(entity === 'clients' ? withLinkedClients(SAMPLE_DATA.clients) : SAMPLE_DATA[entity]);
+    });
+}
@@ -0,0 +1,314 @@
+/* ==========================================
+ * GLOVOADMIN - DRIVER PORTAL (driver.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * "Mes livraisons" page for drivers (role Livreur), made
+ * for a phone. Lists only the deliveries whose driver is
+ * the logged-in user, as cards with the address, the
+ * client and the order contents. The driver moves each
+ * delivery along with one tap (DRIVER_STATUS_TRANSITIONS)
+ * and keeps notes on it.
+ *
+ * Deliveries are matched on the driver's user id
+ * (delivery.driverId), so a rename does not hide them.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point
+ *
+ * SECTION 2: DATA ACCESS
+ *   - DRIVER_STATUS_TRANSITIONS: Allowed next statuses
+ *   - getDriverDeliveries(): Deliveries of the driver
+ *
+ * SECTION 3: RENDER CARDS
+ *   - renderDriverDeliveries(): Display the current tab
+ *   - renderDeliveryCard(): One delivery
+ *
+ * SECTION 4: ACTIONS
+ *   - setDeliveryStatus(): One-tap status change
+ *   - saveDeliveryNotes(): Store the notes
+ *
+ * SECTION 5: EVENT LISTENERS
+ *   - setupEventListeners(): Bind UI events
+ *
+ * DEPENDENCIES:
+ * - script.js (escapeHtml, formatCurrency, formatOrderItems, getStatusBadgeClass), repository.js, permissions.js, sync.js, history.js, conflict.js (must be loaded first)
+ * - Repositories: 'deliveries', 'orders', 'clients'
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the driver portal.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    renderDriverDeliveries();
+    setupEventListeners();
+
+    // Refresh when dispatch changes deliveries in another tab (sync.js)
+    onRemoteChange(['deliveries', 'orders', 'clients'], renderDriverDeliveries);
+
+    // Refresh after undo/redo (history.js)
+    onHistoryReplay(['deliveries'], renderDriverDeliveries);
+});
+
+/* ------------------------------------------
+ * SECTION 2: DATA ACCESS
+ * ------------------------------------------ */
+
+/** @type {Object} Repository for the 'deliveries' entity */
+const deliveriesRepository = getRepository('deliveries');
+
+/**
+ * Driver Status Transitions
+ * @constant {Object<string, Array<Object>>}
+ * @description Current status → buttons offered to the driver.
+ * Livrée and Échec are final.
+ */
+const DRIVER_STATUS_TRANSITIONS = {
+    'En attente': [
+        { status: 'En cours', label: 'Démarrer', icon: 'fa-play', className: 'btn-primary' }
+    ],
+    'En cours': [
+        { status: 'Livrée', label: 'Livrée', icon: 'fa-check', className: 'btn-success' },
+        { status: 'Échec', label: 'Échec', icon: 'fa-times', className: 'btn-danger' }
+    ]
+};
+
+/** @constant {Array<string>} Statuses listed under "À faire" */
+const DRIVER_ACTIVE_STATUSES = ['En cours', 'En attente'];
+
+/** @type {string} Current tab: 'active' or 'done' */
+let currentDriverTab = 'active';
+
+/**
+ * Get Driver Deliveries
+ * @function getDriverDeliveries
+ * @returns {Array<Object>} Deliveries assigned to the logged-in user,
+ * newest first
+ */
+function getDriverDeliveries() {
+    const user = getCurrentUser();
+    if (!user) return [];
+    return deliveriesRepository.find(delivery => delivery.driverId === user.id)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Find the delivery of an action button
+ * @param {number|string} id - Delivery ID
+ * @returns {Object|null} The delivery, if it is still assigned to the driver
+ */
+function findDriverDelivery(id) {
+    return getDriverDeliveries().find(delivery => delivery.id === Number(id)) || null;
+}
+
+/* ------------------------------------------
+ * SECTION 3: RENDER CARDS
+ * ------------------------------------------ */
+
+/**
+ * Render Driver Deliveries
+ * @function renderDriverDeliveries
+ * @description Active deliveries are sorted in progress first.
+ * Notes being typed survive the refresh.
+ */
+function renderDriverDeliveries() {
+    const container = document.getElementById('driverDeliveries');
+    const drafts = {};
+    container.querySelectorAll('textarea[data-notes]').forEach(textarea => {
+        if (textarea.value !== textarea.defaultValue) drafts[textarea.dataset.notes] = textarea.value;
+    });
+
+    const deliveries = getDriverDeliveries();
+    const active = deliveries
+        .filter(delivery => DRIVER_ACTIVE_STATUSES.includes(delivery.status))
+        .sort((a, b) => DRIVER_ACTIVE_STATUSES.indexOf(a.status) - DRIVER_ACTIVE_STATUSES.indexOf(b.status));
+    const done = deliveries.filter(delivery => !DRIVER_ACTIVE_STATUSES.includes(delivery.status));
+    const shown = currentDriverTab === 'active' ? active : done;
+
+    document.getElementById('activeCount').textContent = active.length;
+    document.getElementById('doneCount').textContent = done.length;
+    document.querySelectorAll('.driver-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === currentDriverTab);
+    });
+
+    if (shown.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-${currentDriverTab === 'active' ? 'mug-hot' : 'truck'}"></i>
+                <h3>${currentDriverTab === 'active' ? 'Aucune livraison à faire' : 'Aucune livraison terminée'}</h3>
+                <p>Les livraisons qui vous sont assignées apparaîtront ici</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = shown.map(renderDeliveryCard).join('');
+    Object.entries(drafts).forEach(([id, value]) => {
+        const textarea = container.querySelector(`textarea[data-notes="${id}"]`);
+        if (textarea) textarea.value = value;
+    });
+}
+
+/**
+ * Render Delivery Card
+ * @function renderDeliveryCard
+ * @param {Object} delivery - Delivery record
+ * @returns {string} Card HTML
+ */
+function renderDeliveryCard(delivery) {
+    const order = delivery.orderId ? getRepository('orders').findById(delivery.orderId) : null;
+    const client = order && order.clientId ? getRepository('clients').findById(order.clientId) : null;
+    const clientName = (client && client.name) || (order && order.clientName) || '';
+    const transitions = DRIVER_STATUS_TRANSITIONS[delivery.status] || [];
+
+    return `
+        <article class="driver-card">
+            <div class="driver-card-header">
+                <strong>Livraison #${delivery.id}</strong>
+                <span class="status-badge ${getStatusBadgeClass(delivery.status)}">${escapeHtml(delivery.status)}</span>
+            </div>
+
+            <div class="driver-card-section">
+                <i class="fas fa-map-marker-alt"></i>
+                <div>
+                    <div class="driver-address">${escapeHtml(delivery.address)}</div>
+                    ${clientName ? `<div>${escapeHtml(clientName)}</div>` : ''}
+                    ${client && client.phone ? `
+                        <a href="tel:${escapeHtml(client.phone)}" class="driver-phone">
+                            <i class="fas fa-phone"></i> ${escapeHtml(client.phone)}
+                        </a>
+                    ` : ''}
+                </div>
+            </div>
+
+            <div class="driver-card-section">
+                <i class="fas fa-shopping-bag"></i>
+                ${order ? `
+                    <div>
+                        <div>${escapeHtml(formatOrderItems(order.items))}</div>
+                        <div class="text-muted">
+                            Commande #${order.id} · ${formatCurrency(order.amount)}
+                            ${order.paymentStatus ? ` · ${escapeHtml(order.paymentStatus)}` : ''}
+                        </div>
+                        ${order.notes ? `<div class="text-muted">${escapeHtml(order.notes)}</div>` : ''}
+                    </div>
+                ` : '<div class="text-muted">Aucune commande liée</div>'}
+            </div>
+
+            <div class="form-group mb-0">
+                <label for="notes-${delivery.id}">Notes</label>
+                <textarea id="notes-${delivery.id}" data-notes="${delivery.id}" rows="2">${escapeHtml(delivery.notes || '')}</textarea>
+                <button type="button" class="btn btn-secondary" data-save-notes="${delivery.id}">
+                    <i class="fas fa-save"></i>
+                    Enregistrer les notes
+                </button>
+            </div>
+
+            ${transitions.length ? `
+                <div class="driver-actions">
+                    ${transitions.map(transition => `
+                        <button type="button" class="btn ${transition.className}"
+                            data-delivery="${delivery.id}" data-status="${escapeHtml(transition.status)}">
+                            <i class="fas ${transition.icon}"></i>
+                            ${transition.label}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </article>
+    `;
+}
+
+/* ------------------------------------------
+ * SECTION 4: ACTIONS
+ * ------------------------------------------
+ * Saved with the version the card was shown
+ * with: a delivery changed meanwhile by the
+ * dispatch opens the conflict dialog.
+ * ------------------------------------------ */
+
+/**
+ * Set Delivery Status
+ * @function setDeliveryStatus
+ * @param {number|string} id - Delivery ID
+ * @param {string} status - New status
+ * @description Only the transitions of DRIVER_STATUS_TRANSITIONS
+ * are allowed. The typed notes are saved along.
+ */
+function setDeliveryStatus(id, status) {
+    const delivery = findDriverDelivery(id);
+    if (!delivery) {
+        showToast('Cette livraison ne vous est plus assignée', 'error');
+        renderDriverDeliveries();
+        return;
+    }
+    const allowed = (DRIVER_STATUS_TRANSITIONS[delivery.status] || []).some(transition => transition.status === status);
+    if (!allowed) {
+        showToast(`Passage de "${delivery.status}" à "${status}" impossible`, 'error');
+        renderDriverDeliveries();
+        return;
+    }
+
+    const changes = { status };
+    const textarea = document.querySelector(`textarea[data-notes="${delivery.id}"]`);
+    if (textarea) changes.notes = textarea.value.trim();
+
+    saveEditedRecord(deliveriesRepository, delivery.id, changes, String(delivery.version || ''), () => {
+        showUndoToast(`Livraison #${delivery.id} : ${status}`);
+        renderDriverDeliveries();
+    }, delivery);
+}
+
+/**
+ * Save Delivery Notes
+ * @function saveDeliveryNotes
+ * @param {number|string} id - Delivery ID
+ */
+function saveDeliveryNotes(id) {
+    const delivery = findDriverDelivery(id);
+    if (!delivery) {
+        showToast('Cette livraison ne vous est plus assignée', 'error');
+        renderDriverDeliveries();
+        return;
+    }
+    const notes = document.querySelector(`textarea[data-notes="${delivery.id}"]`).value.trim();
+    saveEditedRecord(deliveriesRepository, delivery.id, { notes }, String(delivery.version || ''), () => {
+        showUndoToast('Notes enregistrées');
+        renderDriverDeliveries();
+    }, delivery);
+}
+
+/* ------------------------------------------
+ * SECTION 5: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Setup Event Listeners
+ * @function setupEventListeners
+ */
+function setupEventListeners() {
+    document.querySelectorAll('.driver-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            currentDriverTab = tab.dataset.tab;
+            renderDriverDeliveries();
+        });
+    });
+
+    document.getElementById('driverDeliveries').addEventListener('click', (e) => {
+        const statusButton = e.target.closest('[data-status]');
+        if (statusButton) {
+            setDeliveryStatus(statusButton.dataset.delivery, statusButton.dataset.status);
+            return;
+        }
+        const notesButton = e.target.closest('[data-save-notes]');
+        if (notesButton) saveDeliveryNotes(notesButton.dataset.saveNotes);
+    });
+}
@@ -0,0 +1,421 @@
+/* ==========================================
+ * GLOVOADMIN - UNDO / REDO HISTORY (history.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Command history for every entity mutation made in this
+ * tab (create, edit, delete). Repository writes made during
+ * the same user action (same event handler) form one
+ * command. Commands can be undone and redone with the
+ * toolbar buttons (#undoBtn / #redoBtn), Ctrl+Z /
+ * Ctrl+Shift+Z, or the "Annuler" action of success toasts.
+ *
+ * The stacks are kept in sessionStorage, so the history
+ * follows the user from page to page within the tab.
+ *
+ * A command is only replayed over the records it left: if
+ * another user or tab changed one since (record versions),
+ * nothing is written and the command is dropped from the
+ * history with an error toast.
+ *
+ * Secret fields (password hashes, AUDIT_MASKED_FIELDS) are
+ * never kept in the stacks: undo and redo leave the stored
+ * values of these fields as they are.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION & STATE
+ *
+ * SECTION 2: RECORDING
+ *   - initHistory(): Start recording local writes
+ *   - recordChange(): Group writes into commands
+ *
+ * SECTION 3: UNDO / REDO
+ *   - undoLastAction(): Revert the last command
+ *   - redoLastAction(): Re-apply the last undone command
+ *
+ * SECTION 4: UI
+ *   - showUndoToast(): Success toast with "Annuler"
+ *   - onHistoryReplay(): Refresh a page after undo/redo
+ *   - updateHistoryButtons(): Toolbar button state
+ *
+ * DEPENDENCIES:
+ * - script.js (onAppReady, showToast)
+ * - repository.js (getRepository, onRepositoryChange, ConflictError)
+ * - audit.js (AUDIT_MASKED_FIELDS)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION & STATE
+ * ------------------------------------------ */
+
+/** @constant {number} Maximum number of commands kept */
+const HISTORY_LIMIT = 50;
+
+/** @constant {Object<string, string>} Entity labels used in messages */
+const HISTORY_ENTITY_LABELS = {
+    users: 'utilisateur',
+    products: 'produit',
+    clients: 'client',
+    orders: 'commande',
+    deliveries: 'livraison'
+};
+
+/** @constant {Object<string, string>} Change type labels */
+const HISTORY_TYPE_LABELS = {
+    insert: 'Ajout',
+    update: 'Modification',
+    remove: 'Suppression',
+    restore: 'Restauration',
+    purge: 'Suppression définitive',
+    replace: 'Remplacement'
+};
+
+/** @type {Array<Object>} Changes of the user action in progress */
+let pendingChanges = [];
+
+/** @type {boolean} True while undo/redo writes (not recorded) */
+let isReplayingHistory = false;
+
+/** @type {Array<Function>} Page refresh callbacks */
+const historyReplayListeners = [];
+
+/**
+ * Read a stack from sessionStorage
+ * @param {string} key - 'undoStack' | 'redoStack'
+ * @returns {Array<Object>}
+ */
+function readHistoryStack(key) {
+    return JSON.parse(sessionStorage.getItem(key)) || [];
+}
+
+/**
+ * Write a stack to sessionStorage (oldest commands are dropped if full)
+ * @param {string} key - 'undoStack' | 'redoStack'
+ * @param {Array<Object>} stack
+ */
+function writeHistoryStack(key, stack) {
+    let kept = stack.slice(-HISTORY_LIMIT);
+    while (kept.length > 0) {
+        try {
+            sessionStorage.setItem(key, JSON.stringify(kept));
+            return;
+        } catch (err) {
+            // Quota exceeded: drop the oldest command
+            kept = kept.slice(1);
+        }
+    }
+    sessionStorage.removeItem(key);
+}
+
+/* ------------------------------------------
+ * SECTION 2: RECORDING
+ * ------------------------------------------ */
+
+/**
+ * Initialize History
+ * @function initHistory
+ * @description Started once data is loaded (startup writes are
+ * not recorded). Binds toolbar buttons and keyboard shortcuts.
+ */
+function initHistory() {
+    onRepositoryChange(change => {
+        if (change.source === 'local' && !isReplayingHistory) {
+            recordChange(change);
+        }
+    });
+
+    document.getElementById('undoBtn')?.addEventListener('click', undoLastAction);
+    document.getElementById('redoBtn')?.addEventListener('click', redoLastAction);
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        // Form fields keep their native undo
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        e.preventDefault();
+        if (e.shiftKey) redoLastAction();
+        else undoLastAction();
+    });
+
+    updateHistoryButtons();
+}
+
+onAppReady(initHistory);
+
+/**
+ * Record Change
+ * @function recordChange
+ * @param {Object} change - Local repository change
+ * @description Changes made in the same task are grouped into
+ * one command, pushed once the task is over.
+ */
+function recordChange(change) {
+    pendingChanges.push(maskHistoryChange(change));
+    if (pendingChanges.length > 1) return;
+
+    queueMicrotask(() => {
+        const changes = pendingChanges;
+        pendingChanges = [];
+        writeHistoryStack('undoStack', [...readHistoryStack('undoStack'), {
+            label: describeChanges(changes),
+            changes
+        }]);
+        // A new action makes the undone ones unreachable
+        sessionStorage.removeItem('redoStack');
+        updateHistoryButtons();
+    });
+}
+
+/**
+ * Copy of a change without secret fields
+ * @param {Object} change - Repository change
+ * @returns {Object} Change safe to keep in sessionStorage
+ */
+function maskHistoryChange(change) {
+    const mask = state => (Array.isArray(state) ? state.map(maskHistoryRecord) : maskHistoryRecord(state));
+    return { ...change, before: mask(change.before), after: mask(change.after) };
+}
+
+/**
+ * Copy of a record without its secret fields
+ * @param {Object|null} record
+ * @returns {Object|null}
+ */
+function maskHistoryRecord(record) {
+    if (!record) return record;
+    const masked = { ...record };
+    AUDIT_MASKED_FIELDS.forEach(field => delete masked[field]);
+    return masked;
+}
+
+/**
+ * Put back the secret fields of the stored record
+ * @param {Object} record - Recorded state (masked)
+ * @param {Object|undefined} stored - Stored record with the same id
+ * @returns {Object} Record to write
+ */
+function unmaskHistoryRecord(record, stored) {
+    const secrets = {};
+    AUDIT_MASKED_FIELDS.forEach(field => {
+        if (stored && field in stored) secrets[field] = stored[field];
+    });
+    return { ...record, ...secrets };
+}
+
+/**
+ * Describe a command, e.g. "Suppression commande #3"
+ * @param {Array<Object>} changes
+ * @returns {string}
+ */
+function describeChanges(changes) {
+    const [first] = changes;
+    const entityLabel = HISTORY_ENTITY_LABELS[first.entity] || first.entity;
+    const label = first.type === 'replace'
+        ? `${HISTORY_TYPE_LABELS.replace} des données (${entityLabel})`
+        : `${HISTORY_TYPE_LABELS[first.type]} ${entityLabel} #${first.id}`;
+    return changes.length > 1 ? `${label} (+${changes.length - 1})` : label;
+}
+
+/* ------------------------------------------
+ * SECTION 3: UNDO / REDO
+ * ------------------------------------------ */
+
+/**
+ * Key of the record a change touched
+ * @param {Object} change - Recorded change
+ * @returns {string} e.g. "orders#3"
+ */
+function getHistoryKey(change) {
+    return `${change.entity}#${change.id}`;
+}
+
+/**
+ * Read the replayed versions (sessionStorage 'historyVersions')
+ * @returns {Object<string, number>} "orders#3@2" → version now holding
+ *   the state recorded as version 2 (put() stamps a new version when
+ *   undo/redo writes a recorded state back)
+ */
+function readHistoryVersions() {
+    return JSON.parse(sessionStorage.getItem('historyVersions')) || {};
+}
+
+/**
+ * Stored version of a recorded state
+ * @param {Object} change - Recorded change
+ * @param {Object|null} state - change.before or change.after
+ * @returns {number|null} Version the record has while in this state
+ *   (null: the record does not exist)
+ */
+function getStateVersion(change, state) {
+    if (!state) return null;
+    const versions = readHistoryVersions();
+    const key = `${getHistoryKey(change)}@${state.version}`;
+    return key in versions ? versions[key] : state.version;
+}
+
+/**
+ * Check History Versions
+ * @param {Array<Object>} changes - Changes in replay order
+ * @param {boolean} forward - Direction
+ * @throws {ConflictError} If a record was changed since the command
+ *   left it (checked before anything is written)
+ */
+function checkHistoryVersions(changes, forward) {
+    const checked = new Set();
+    changes.forEach(change => {
+        const key = getHistoryKey(change);
+        // Later changes of the same record follow this replay's own writes
+        if (change.type === 'replace' || checked.has(key)) return;
+        checked.add(key);
+        const stored = getRepository(change.entity).findAll().find(item => item.id === change.id) || null;
+        if ((stored ? stored.version : null) !== getStateVersion(change, forward ? change.before : change.after)) {
+            throw new ConflictError(change.entity, stored);
+        }
+    });
+}
+
+/**
+ * Apply one change backwards or forwards
+ * @param {Object} change - Recorded change
+ * @param {boolean} forward - true to redo, false to undo
+ */
+function applyHistoryChange(change, forward) {
+    const repository = getRepository(change.entity);
+    const target = forward ? change.after : change.before;
+
+    const stored = repository.findAll();
+    if (change.type === 'replace') {
+        repository.replaceAll(target.map(record => unmaskHistoryRecord(record, stored.find(item => item.id === record.id))));
+        return;
+    }
+    const expectedVersion = getStateVersion(change, forward ? change.before : change.after);
+    if (target) {
+        const written = repository.put(unmaskHistoryRecord(target, stored.find(item => item.id === change.id)), { expectedVersion });
+        const versions = readHistoryVersions();
+        versions[`${getHistoryKey(change)}@${target.version}`] = written.version;
+        sessionStorage.setItem('historyVersions', JSON.stringify(versions));
+    } else {
+        // Undoing an insert, or redoing a purge
+        repository.purge(change.id, { expectedVersion });
+    }
+}
+
+/**
+ * Move the last command of one stack to the other, applying it
+ * @param {string} from - Stack the command is taken from
+ * @param {string} to - Stack it is pushed to
+ * @param {boolean} forward - Direction
+ * @returns {Object|null} The command, or null if the stack was empty
+ */
+function replayCommand(from, to, forward) {
+    const stack = readHistoryStack(from);
+    const command = stack.pop();
+    if (!command) return null;
+
+    const changes = forward ? command.changes : [...command.changes].reverse();
+    isReplayingHistory = true;
+    try {
+        checkHistoryVersions(changes, forward);
+        changes.forEach(change => applyHistoryChange(change, forward));
+    } catch (err) {
+        if (err instanceof ConflictError) {
+            // It can never be replayed: keep the commands under it reachable
+            writeHistoryStack(from, stack);
+            updateHistoryButtons();
+            showToast(`Impossible ${forward ? 'de rétablir' : 'd\'annuler'} « ${command.label} » : ${err.message}. L'action est retirée de l'historique.`, 'error');
+        } else {
+            showToast(err.message, 'error');
+        }
+        return null;
+    } finally {
+        isReplayingHistory = false;
+    }
+
+    writeHistoryStack(from, stack);
+    writeHistoryStack(to, [...readHistoryStack(to), command]);
+    updateHistoryButtons();
+
+    const entities = [...new Set(command.changes.map(change => change.entity))];
+    historyReplayListeners.forEach(({ watched, callback }) => {
+        if (!watched || entities.some(entity => watched.includes(entity))) callback();
+    });
+    return command;
+}
+
+/**
+ * Undo Last Action
+ * @function undoLastAction
+ */
+function undoLastAction() {
+    const command = replayCommand('undoStack', 'redoStack', false);
+    if (command) {
+        showToast(`Annulé : ${command.label}`, 'info', {
+            action: { label: 'Rétablir', onClick: redoLastAction }
+        });
+    }
+}
+
+/**
+ * Redo Last Action
+ * @function redoLastAction
+ */
+function redoLastAction() {
+    const command = replayCommand('redoStack', 'undoStack', true);
+    if (command) {
+        showToast(`Rétabli : ${command.label}`, 'info', {
+            action: { label: 'Annuler', onClick: undoLastAction }
+        });
+    }
+}
+
+/* ------------------------------------------
+ * SECTION 4: UI
+ * ------------------------------------------ */
+
+/**
+ * Show Undo Toast
+ * @function showUndoToast
+ * @param {string} message - Success message
+ * @description Success toast with an "Annuler" action that
+ * undoes the last command.
+ */
+function showUndoToast(message) {
+    showToast(message, 'success', {
+        action: { label: 'Annuler', onClick: undoLastAction }
+    });
+}
+
+/**
+ * On History Replay
+ * @function onHistoryReplay
+ * @param {Array<string>|null} entities - Entities to watch (null for all)
+ * @param {Function} callback - Page refresh, called after undo/redo
+ */
+function onHistoryReplay(entities, callback) {
+    historyReplayListeners.push({ watched: entities, callback });
+}
+
+/**
+ * Update History Buttons
+ * @function updateHistoryButtons
+ * @description Enables #undoBtn / #redoBtn when possible and
+ * shows the command they would revert in their tooltip.
+ */
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastUndo = readHistoryStack('undoStack').pop();
+    const lastRedo = readHistoryStack('redoStack').pop();
+
+    if (undoBtn) {
+        undoBtn.disabled = !lastUndo;
+        undoBtn.title = lastUndo ? `Annuler : ${lastUndo.label} (Ctrl+Z)` : 'Rien à annuler';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !lastRedo;
+        redoBtn.title = lastRedo ? `Rétablir : ${lastRedo.label} (Ctrl+Shift+Z)` : 'Rien à rétablir';
+    }
+}
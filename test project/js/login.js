@@ -1,53 +1,241 @@
 /* ==========================================
  * GLOVOADMIN - LOGIN MANAGEMENT (login.js)
  * ==========================================
- * 
+ *
  * DESCRIPTION:
  * Manages the authentication process for the admin panel.
  * Handles form submission, validation, and redirection.
- * 
+ * Accounts are the records of the users entity; inactive
+ * accounts are refused. "Se souvenir de moi" gives a
+ * longer session (session.js). Accounts with two-factor
+ * authentication are asked for a code once the password
+ * is accepted (totp.js).
+ * Also hosts the forgotten password flow: request a
+ * reset link (sent to the local outbox), then choose a
+ * new password from that link (login.html?reset=...).
+ *
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
- * SECTION 1: EVENT LISTENERS
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Redirect if already logged in
+ *   - showLogoutReason(): Explain an ended session
+ *
+ * SECTION 2: EVENT LISTENERS
  *   - Form Submit: Handle login attempt
- * 
+ *
+ * SECTION 3: PASSWORD RESET
+ *   - showLoginView(): Switch between the three forms
+ *   - handleForgotSubmit(): Request a reset link
+ *   - openResetForm() / handleResetSubmit(): Choose a new password
+ *
  * DEPENDENCIES:
- * - localStorage ('user' key)
- * 
+ * - script.js (login, onAppReady), repository.js, auth.js, totp.js, session.js, mail.js
+ *
  * @author GlovoAdmin Team
  * @version 1.0.0
  * ========================================== */
 
 /* ------------------------------------------
- * SECTION 1: EVENT LISTENERS
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Users are loaded before the form is enabled.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    const resetToken = new URLSearchParams(window.location.search).get('reset');
+    // Redirect if already authenticated (unless a reset link is opened)
+    if (getCurrentUser() && !resetToken) {
+        window.location.href = getHomePage(getCurrentUser());
+        return;
+    }
+    showLogoutReason();
+    document.getElementById('loginForm').addEventListener('submit', handleLoginSubmit);
+    document.getElementById('forgotForm').addEventListener('submit', handleForgotSubmit);
+    document.getElementById('resetForm').addEventListener('submit', handleResetSubmit);
+    document.querySelectorAll('.login-link[data-view]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showLoginView(link.dataset.view);
+        });
+    });
+
+    // Opened from a reset link
+    if (resetToken) openResetForm(resetToken);
+});
+
+/** @constant {Object<string, string>} logout() reason → message */
+const LOGOUT_MESSAGES = {
+    idle: 'Vous avez été déconnecté après une période d\'inactivité.',
+    expired: 'Votre session a expiré. Veuillez vous reconnecter.',
+    revoked: 'Votre compte a été modifié depuis votre connexion. Veuillez vous reconnecter.'
+};
+
+/**
+ * Show Logout Reason
+ * @function showLogoutReason
+ * @description Shows once why the previous session ended, if it
+ * ended by itself (set by clearSession, session.js).
+ */
+function showLogoutReason() {
+    const reason = sessionStorage.getItem('logoutReason');
+    sessionStorage.removeItem('logoutReason');
+    if (!LOGOUT_MESSAGES[reason]) return;
+
+    const errorMsg = document.getElementById('errorMessage');
+    errorMsg.textContent = LOGOUT_MESSAGES[reason];
+    errorMsg.classList.add('show');
+}
+
+/* ------------------------------------------
+ * SECTION 2: EVENT LISTENERS
  * ------------------------------------------
  * Handle the login form submission.
  * ------------------------------------------ */
 
 /**
  * Login Form Submit Handler
- * @description Listens for the 'submit' event on the form with ID 'loginForm'.
- * Validates credentials and redirects to dashboard on success.
+ * @function handleLoginSubmit
+ * @param {Event} e - The submit event
+ * @description Validates credentials and redirects to the home page on success
+ * (getHomePage(): the driver portal for drivers, the dashboard otherwise).
+ * If the account has two-factor authentication, the code field is
+ * shown and the form is submitted again with the code.
  */
-document.getElementById('loginForm').addEventListener('submit', function(e) {
+async function handleLoginSubmit(e) {
     // Prevent the browser from reloading the page (default form behavior)
     e.preventDefault();
-    
+
     // Get the values typed by the user
     const email = document.getElementById('email').value;
     const password = document.getElementById('password').value;
-    
-    // Simple mock authentication check
-    // In a real app, this would send data to a server
-    if (email === 'admin@app.com' && password === 'admin123') {
-        // Success: Save user info to Local Storage so other pages know we are logged in
-        localStorage.setItem('user', JSON.stringify({name: 'Admin', role: 'admin', email: email}));
-        // Redirect to the dashboard
-        window.location.href = 'dashboard.html';
-    } else {
+    const remember = document.getElementById('rememberMe').checked;
+    const code = document.getElementById('totpCode').value.trim();
+    const errorMsg = document.getElementById('errorMessage');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    errorMsg.classList.remove('show');
+    document.getElementById('successMessage').classList.remove('show');
+    submitBtn.disabled = true;
+    try {
+        const user = await login(email, password, { remember, code });
+        // Redirect to the dashboard (drivers: to their deliveries)
+        window.location.href = getHomePage(user);
+    } catch (err) {
+        if (err instanceof TwoFactorRequiredError) {
+            // Password accepted: ask for the code
+            document.getElementById('totpGroup').classList.remove('hidden');
+            document.getElementById('totpCode').focus();
+        }
         // Failure: Show error message
+        errorMsg.textContent = err instanceof LoginError ? err.message : 'Connexion impossible, réessayez';
+        errorMsg.classList.add('show');
+        submitBtn.disabled = false;
+    }
+}
+
+/* ------------------------------------------
+ * SECTION 3: PASSWORD RESET
+ * ------------------------------------------
+ * The reset link comes from the local outbox
+ * (mail.js), read by an administrator.
+ * ------------------------------------------ */
+
+/** @type {string|null} Token of the reset link being used */
+let activeResetToken = null;
+
+/**
+ * Show Login View
+ * @function showLoginView
+ * @param {string} formId - 'loginForm', 'forgotForm' or 'resetForm'
+ * @param {string} [notice] - Success message shown on the login form
+ */
+function showLoginView(formId, notice = '') {
+    ['loginForm', 'forgotForm', 'resetForm'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== formId);
+    });
+    document.getElementById('errorMessage').classList.remove('show');
+    const successMsg = document.getElementById('successMessage');
+    successMsg.textContent = notice;
+    successMsg.classList.toggle('show', Boolean(notice));
+}
+
+/**
+ * Forgot Password Submit Handler
+ * @function handleForgotSubmit
+ * @param {Event} e - The submit event
+ * @description Gives the same answer whether the account exists or not.
+ */
+async function handleForgotSubmit(e) {
+    e.preventDefault();
+    const email = document.getElementById('forgotEmail').value;
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    submitBtn.disabled = true;
+    try {
+        await requestPasswordReset(email);
+    } catch (err) {
+        console.error('[login] Échec de la demande de réinitialisation', err);
+    }
+    submitBtn.disabled = false;
+    e.target.reset();
+    document.getElementById('email').value = email;
+    showLoginView('loginForm', 'Si un compte actif correspond à cet email, un lien de réinitialisation ' +
+        'a été déposé dans la boîte d\'envoi. Demandez-le à un administrateur.');
+}
+
+/**
+ * Open Reset Form
+ * @function openResetForm
+ * @param {string} token - Token from the reset link
+ * @description Shows the new password form, or an error on the
+ * login form if the link is invalid or expired.
+ */
+async function openResetForm(token) {
+    const user = await findPasswordReset(token);
+    if (!user) {
         const errorMsg = document.getElementById('errorMessage');
-        errorMsg.textContent = 'Identifiants incorrects. Essayez admin@app.com / admin123';
-        errorMsg.style.display = 'block';
+        errorMsg.textContent = 'Ce lien de réinitialisation est invalide ou a expiré';
+        errorMsg.classList.add('show');
+        return;
+    }
+    activeResetToken = token;
+    document.getElementById('resetIntro').textContent = `Choisissez un nouveau mot de passe pour ${user.email}.`;
+    document.getElementById('email').value = user.email;
+    showLoginView('resetForm');
+}
+
+/**
+ * Reset Password Submit Handler
+ * @function handleResetSubmit
+ * @param {Event} e - The submit event
+ * @description On success, the link is removed from the address bar
+ * and the login form is shown.
+ */
+async function handleResetSubmit(e) {
+    e.preventDefault();
+    const password = document.getElementById('newPassword').value;
+    const errorMsg = document.getElementById('resetError');
+    const submitBtn = e.target.querySelector('button[type="submit"]');
+
+    errorMsg.classList.remove('show');
+    if (password !== document.getElementById('confirmPassword').value) {
+        errorMsg.textContent = 'Les deux mots de passe ne correspondent pas';
+        errorMsg.classList.add('show');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+        await resetPassword(activeResetToken, password);
+    } catch (err) {
+        errorMsg.textContent = err instanceof PasswordError ? err.message : 'Réinitialisation impossible, réessayez';
+        errorMsg.classList.add('show');
+        submitBtn.disabled = false;
+        return;
     }
-});
\ No newline at end of file
+    activeResetToken = null;
+    e.target.reset();
+    submitBtn.disabled = false;
+    window.history.replaceState(null, '', 'login.html');
+    showLoginView('loginForm', 'Mot de passe modifié. Vous pouvez vous connecter.');
+}
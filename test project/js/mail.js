@@ -0,0 +1,77 @@
+/* ==========================================
+ * GLOVOADMIN - LOCAL OUTBOX (mail.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * The application has no mail server: emails it sends
+ * (password reset links, ...) are kept in a local outbox
+ * instead, stored in meta 'outbox', newest first. Admins
+ * read it on the "Boîte d'envoi" page (outbox.js) and
+ * pass the messages on. The outbox is read from the
+ * backend each time, since other tabs (the login page)
+ * add to it.
+ *
+ * Message format:
+ *   { id, createdAt, to, subject, body, link }
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *
+ * SECTION 2: OUTBOX
+ *   - sendMail(): Add a message to the outbox
+ *   - loadOutbox(): All messages, newest first
+ *
+ * DEPENDENCIES:
+ * - storage.js (getStorageBackend, setMeta)
+ *
+ * USED BY:
+ * - auth.js (password reset), outbox.js (page)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {number} Messages kept; older ones are dropped */
+const OUTBOX_LIMIT = 200;
+
+/* ------------------------------------------
+ * SECTION 2: OUTBOX
+ * ------------------------------------------ */
+
+/**
+ * Send Mail
+ * @function sendMail
+ * @param {Object} message
+ * @param {string} message.to - Recipient email
+ * @param {string} message.subject - Subject
+ * @param {string} message.body - Plain text
+ * @param {string} [message.link] - Link the recipient should open
+ * @returns {Promise<Object>} The stored message
+ */
+async function sendMail({ to, subject, body, link = '' }) {
+    const message = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: new Date().toISOString(),
+        to,
+        subject,
+        body,
+        link
+    };
+    await setMeta('outbox', [message, ...await loadOutbox()].slice(0, OUTBOX_LIMIT));
+    return message;
+}
+
+/**
+ * Load Outbox
+ * @function loadOutbox
+ * @returns {Promise<Array<Object>>} Messages, newest first
+ */
+async function loadOutbox() {
+    const meta = await getStorageBackend().loadMeta();
+    return meta.outbox || [];
+}
@@ -0,0 +1,360 @@
+/* ==========================================
+ * GLOVOADMIN - SCHEMA MIGRATIONS (migrations.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Upgrades stored records when the shape of an entity
+ * changes. The schema version of the stored data is kept
+ * in the storage metadata ('schemaVersion'). At startup,
+ * every migration newer than that version runs in order,
+ * is logged to the console, and bumps the version.
+ *
+ * Adding a migration: append an entry to MIGRATIONS with
+ * the next version number. Never edit or reorder a
+ * migration that has already shipped.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: MIGRATION HELPERS
+ *   - migrateRecords(): Rewrite the records of one entity
+ *   - parseOrderProducts(): Order lines from a "products" string
+ *
+ * SECTION 2: MIGRATIONS
+ *   - MIGRATIONS: Ordered list of migrations
+ *   - SCHEMA_VERSION: Latest schema version
+ *
+ * SECTION 3: MIGRATION RUNNER
+ *   - runMigrations(): Apply pending migrations
+ *
+ * DEPENDENCIES:
+ * - storage.js (getMeta, setMeta)
+ * - repository.js (getRepository, ENTITY_SCHEMAS)
+ * - script.js (advanceIdSequence)
+ * - sample-data.js (SAMPLE_DATA)
+ * - pricing.js (getVatRate)
+ *
+ * USED BY:
+ * - script.js (bootstrapApp)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: MIGRATION HELPERS
+ * ------------------------------------------ */
+
+/**
+ * Migrate Records
+ * @function migrateRecords
+ * @param {string} entity - Entity name
+ * @param {Function} upgrade - Receives a record copy, returns true if it changed it
+ * @returns {number} Number of records changed
+ * @description Entities that were never stored are skipped.
+ * The entity is rewritten only if a record changed. Records are
+ * not validated here: later migrations may still have to fix them.
+ */
+function migrateRecords(entity, upgrade) {
+    const repository = getRepository(entity);
+    if (!repository.isInitialized()) return 0;
+
+    const records = repository.findAll();
+    const changed = records.filter(record => upgrade(record)).length;
+    if (changed > 0) {
+        repository.replaceAll(records, { validate: false });
+    }
+    return changed;
+}
+
+/**
+ * Convert a numeric string field to a number
+ * @param {Object} record - Record to modify
+ * @param {string} field - Field name
+ * @returns {boolean} True if the field was converted
+ */
+function toNumberField(record, field) {
+    const value = record[field];
+    if (typeof value !== 'string' || value.trim() === '' || isNaN(value)) return false;
+    record[field] = Number(value);
+    return true;
+}
+
+/**
+ * Parse an order "products" string into order lines
+ * @param {Object} order - Order with products ("Pizza Margherita x2, Poke Bowl")
+ * @param {Array<Object>} catalog - Every product (trash included)
+ * @returns {Array<Object>} Lines { productId, name, unitPrice, quantity }
+ * @description Names are matched against the catalog (case-insensitive)
+ * for productId and unitPrice. Lines matching no product share what is
+ * left of the stored amount. A single line takes the quantity of the
+ * order (the old form stored it apart) and the price actually charged.
+ */
+function parseOrderProducts(order, catalog) {
+    const byName = new Map(catalog.map(product => [product.name.trim().toLowerCase(), product]));
+    const lines = String(order.products || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(.*?)\s+x(\d+)$/i);
+        const name = match ? match[1].trim() : part;
+        const product = byName.get(name.toLowerCase());
+        return {
+            productId: product ? product.id : null,
+            name: product ? product.name : name,
+            unitPrice: product ? product.price : null,
+            quantity: match ? Number(match[2]) : 1,
+            counted: Boolean(match)
+        };
+    });
+    if (lines.length === 0) {
+        lines.push({ productId: null, name: 'Article', unitPrice: null, quantity: 1, counted: false });
+    }
+
+    const amount = typeof order.amount === 'number' ? order.amount : null;
+    if (lines.length === 1) {
+        const line = lines[0];
+        if (!line.counted && Number.isInteger(order.quantity) && order.quantity > 0) line.quantity = order.quantity;
+        if (amount !== null) line.unitPrice = Math.round(amount / line.quantity * 100) / 100;
+    } else {
+        const unknown = lines.filter(line => line.unitPrice === null);
+        const knownTotal = lines.reduce((sum, line) => sum + (line.unitPrice || 0) * line.quantity, 0);
+        const unknownUnits = unknown.reduce((sum, line) => sum + line.quantity, 0);
+        const share = amount !== null && unknownUnits > 0 ? Math.max(0, amount - knownTotal) / unknownUnits : 0;
+        unknown.forEach(line => { line.unitPrice = Math.round(share * 100) / 100; });
+    }
+    return lines.map(({ productId, name, unitPrice, quantity }) => ({ productId, name, unitPrice: unitPrice || 0, quantity }));
+}
+
+/* ------------------------------------------
+ * SECTION 2: MIGRATIONS
+ * ------------------------------------------
+ * Each migration returns the number of records
+ * it changed (for the log).
+ * ------------------------------------------ */
+
+/**
+ * Migrations
+ * @constant {Array<{version: number, description: string, migrate: Function}>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Livraisons : champ "date" renommé en "createdAt"',
+        migrate() {
+            return migrateRecords('deliveries', delivery => {
+                if (!('date' in delivery)) return false;
+                if (!delivery.createdAt) delivery.createdAt = delivery.date;
+                delete delivery.date;
+                return true;
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Ajout de "createdAt" manquant (utilisateurs, clients, commandes, livraisons)',
+        migrate() {
+            const today = new Date().toISOString().split('T')[0];
+            return ['users', 'clients', 'orders', 'deliveries'].reduce((total, entity) =>
+                total + migrateRecords(entity, record => {
+                    if (record.createdAt) return false;
+                    record.createdAt = today;
+                    return true;
+                }), 0);
+        }
+    },
+    {
+        version: 3,
+        description: 'Livraisons : "orderId" et "duration" convertis en nombres',
+        migrate() {
+            return migrateRecords('deliveries', delivery => {
+                const orderId = toNumberField(delivery, 'orderId');
+                const duration = toNumberField(delivery, 'duration');
+                return orderId || duration;
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Utilisateurs : ajout du champ "phone"',
+        migrate() {
+            return migrateRecords('users', user => {
+                if (user.phone !== undefined) return false;
+                user.phone = '';
+                return true;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Séquences d\'identifiants par entité (les ids existants sont conservés)',
+        migrate() {
+            // Start each sequence after the highest id ever stored (trash included)
+            Object.keys(ENTITY_SCHEMAS).forEach(entity => {
+                const ids = getRepository(entity).findAll().map(record => record.id);
+                if (ids.length > 0) advanceIdSequence(entity, Math.max(...ids));
+            });
+            return 0;
+        }
+    },
+    {
+        version: 6,
+        description: 'Versions d\'enregistrement (version, updatedAt, updatedBy)',
+        migrate() {
+            return Object.keys(ENTITY_SCHEMAS).reduce((total, entity) =>
+                total + migrateRecords(entity, record => {
+                    if (record.version) return false;
+                    record.version = 1;
+                    record.updatedAt = record.createdAt || new Date().toISOString();
+                    record.updatedBy = 'Système';
+                    return true;
+                }), 0);
+        }
+    },
+    {
+        version: 7,
+        description: 'Utilisateurs : mot de passe de démonstration de admin@app.com (admin123)',
+        migrate() {
+            // Accounts now sign in with a hashed password: keep the demo admin usable
+            const demoAdmin = SAMPLE_DATA.users.find(user => user.email === 'admin@app.com');
+            return migrateRecords('users', user => {
+                if (user.passwordHash || !demoAdmin || user.email !== demoAdmin.email) return false;
+                user.passwordHash = demoAdmin.passwordHash;
+                return true;
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Utilisateurs : mot de passe de démonstration des livreurs (livreur123)',
+        migrate() {
+            // Drivers sign in to the driver portal (driver.html)
+            const demoDrivers = SAMPLE_DATA.users.filter(user => user.role === 'Livreur' && user.passwordHash);
+            return migrateRecords('users', user => {
+                const demoDriver = demoDrivers.find(driver => driver.email === user.email);
+                if (user.passwordHash || user.role !== 'Livreur' || !demoDriver) return false;
+                user.passwordHash = demoDriver.passwordHash;
+                return true;
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'Livraisons : identifiant du livreur "driverId" (compte Livreur du même nom)',
+        migrate() {
+            // The driver portal matches on the id: renames no longer hide deliveries.
+            // A name shared by several drivers, or no longer used, gives no link:
+            // those deliveries are reported, to be reassigned by hand.
+            const drivers = getRepository('users').find(user => user.role === 'Livreur');
+            const unlinked = {};
+            const changed = migrateRecords('deliveries', delivery => {
+                if (delivery.driverId !== undefined) return false;
+                const matches = drivers.filter(driver => driver.name === delivery.driver);
+                delivery.driverId = matches.length === 1 ? matches[0].id : null;
+                if (matches.length !== 1 && delivery.driver) {
+                    const reason = matches.length
+                        ? `${matches.length} livreurs nommés "${delivery.driver}"`
+                        : `aucun livreur nommé "${delivery.driver}"`;
+                    (unlinked[reason] = unlinked[reason] || []).push(`#${delivery.id}`);
+                }
+                return true;
+            });
+            Object.entries(unlinked).forEach(([reason, ids]) => {
+                console.warn(`[migrations] Livraison(s) ${ids.join(', ')} sans livreur lié (${reason}) : à réassigner depuis la page Livraisons`);
+            });
+            return changed;
+        }
+    },
+    {
+        version: 10,
+        description: 'Utilisateurs clients : lien vers la fiche client (même email) et mot de passe de démonstration de marie.martin@email.com (client123)',
+        migrate() {
+            // Customers sign in on the storefront (customer.js)
+            const clients = getRepository('clients').find();
+            const demoCustomer = SAMPLE_DATA.users.find(user => user.role === 'Client' && user.passwordHash);
+            return migrateRecords('users', user => {
+                if (user.role !== 'Client') return false;
+                let changed = false;
+                if (user.clientId === undefined) {
+                    const client = clients.find(record => record.email.toLowerCase() === user.email.toLowerCase());
+                    user.clientId = client ? client.id : null;
+                    changed = true;
+                }
+                if (!user.passwordHash && user.email === demoCustomer.email) {
+                    user.passwordHash = demoCustomer.passwordHash;
+                    changed = true;
+                }
+                return changed;
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Commandes : texte "products" remplacé par des lignes "items" (produits du catalogue)',
+        migrate() {
+            // Amounts are kept: they are what the clients were charged
+            const catalog = getRepository('products').findAll();
+            return migrateRecords('orders', order => {
+                if (Array.isArray(order.items)) return false;
+                order.items = parseOrderProducts(order, catalog);
+                order.quantity = order.items.reduce((sum, item) => sum + item.quantity, 0);
+                delete order.products;
+                return true;
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'Commandes : statuts "En préparation" et "En livraison" remplacés par "En cours" (cycle des statuts)',
+        migrate() {
+            // Offered by the old order form, outside the workflow (STATUS_WORKFLOWS)
+            const renamed = ['En préparation', 'En livraison'];
+            return migrateRecords('orders', order => {
+                if (!renamed.includes(order.status)) return false;
+                order.status = 'En cours';
+                return true;
+            });
+        }
+    },
+    {
+        version: 13,
+        description: 'Lignes de commande : taux de TVA "vatRate" selon la catégorie du produit',
+        migrate() {
+            // Amounts are kept: catalog prices already included VAT, with no fee or discount
+            const categories = new Map(getRepository('products').findAll().map(product => [product.id, product.category]));
+            return migrateRecords('orders', order => {
+                const missing = (order.items || []).filter(item => typeof item.vatRate !== 'number');
+                missing.forEach(item => { item.vatRate = getVatRate(categories.get(item.productId)); });
+                return missing.length > 0;
+            });
+        }
+    }
+];
+
+/** @constant {number} Latest schema version */
+const SCHEMA_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+/* ------------------------------------------
+ * SECTION 3: MIGRATION RUNNER
+ * ------------------------------------------ */
+
+/**
+ * Run Migrations
+ * @function runMigrations
+ * @returns {Promise<void>}
+ * @description Applies, in order, every migration newer than
+ * the stored 'schemaVersion'. The version is saved after each
+ * migration, so a failing migration stops the run and is
+ * retried on next load without replaying the earlier ones.
+ */
+async function runMigrations() {
+    const currentVersion = getMeta('schemaVersion', 0);
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+    for (const migration of pending) {
+        try {
+            const changed = migration.migrate();
+            console.info(`[migrations] v${migration.version} : ${migration.description} (${changed} enregistrement(s) modifié(s))`);
+        } catch (err) {
+            console.error(`[migrations] Échec de la migration v${migration.version}`, err);
+            return;
+        }
+        await setMeta('schemaVersion', migration.version);
+    }
+}
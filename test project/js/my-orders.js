@@ -0,0 +1,94 @@
+/* ==========================================
+ * GLOVOADMIN - CUSTOMER ORDERS (my-orders.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Storefront "Mes commandes" page: the orders of the
+ * signed-in customer (customer.js), newest first, with
+ * their status and payment badges. Visitors who are not
+ * signed in are sent to the sign-in page.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point (customers only)
+ *
+ * SECTION 2: RENDER
+ *   - renderCustomerOrders(): Order cards
+ *
+ * DEPENDENCIES:
+ * - script.js (escapeHtml, formatDate, formatCurrency, formatOrderItems, getStatusBadgeClass)
+ * - customer.js (getCurrentCustomer, getCustomerOrders)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    const customer = getCurrentCustomer();
+    if (!customer) {
+        window.location.href = 'customer-login.html?next=my-orders.html';
+        return;
+    }
+
+    // Order just placed from the cart (cart.js)
+    const placed = new URLSearchParams(window.location.search).get('placed');
+    if (placed) {
+        const notice = document.getElementById('orderPlaced');
+        notice.textContent = `Merci ! Votre commande #${placed} a bien été enregistrée.`;
+        notice.classList.add('show');
+    }
+    document.getElementById('savedAddress').textContent = customer.address
+        ? `Adresse de livraison enregistrée : ${customer.address}`
+        : '';
+
+    renderCustomerOrders();
+});
+
+/* ------------------------------------------
+ * SECTION 2: RENDER
+ * ------------------------------------------ */
+
+/**
+ * Render Customer Orders
+ * @function renderCustomerOrders
+ */
+function renderCustomerOrders() {
+    const container = document.getElementById('customerOrders');
+    const orders = getCustomerOrders();
+
+    if (orders.length === 0) {
+        container.innerHTML = `
+            <div class="empty-cart">
+                <i class="fas fa-receipt fa-4x mb-3 text-light"></i>
+                <p>Vous n'avez pas encore passé de commande.</p>
+                <a href="index.html" class="btn btn-primary mt-3">Découvrir nos produits</a>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = orders.map(order => `
+        <div class="cart-item customer-order">
+            <div class="cart-item-info">
+                <h3 class="cart-item-title">Commande #${order.id}</h3>
+                <p class="text-muted mb-0">${formatDate(order.createdAt)}</p>
+                <p class="mb-0">${escapeHtml(formatOrderItems(order.items))}</p>
+                ${order.address ? `<p class="text-muted mb-0"><i class="fas fa-map-marker-alt"></i> ${escapeHtml(order.address)}</p>` : ''}
+            </div>
+            <div class="customer-order-status">
+                <span class="price-display">${formatCurrency(order.amount)}</span>
+                <span class="status-badge ${getStatusBadgeClass(order.status)}">${escapeHtml(order.status)}</span>
+                ${order.paymentStatus ? `
+                    <span class="status-badge ${getStatusBadgeClass(order.paymentStatus)}">
+                        Paiement : ${escapeHtml(order.paymentStatus)}
+                    </span>
+                ` : ''}
+            </div>
+        </div>
+    `).join('');
+}
@@ -5,17 +5,19 @@
  * PURPOSE:
  * Handles all order-related operations including:
  * - Display orders in a sortable, paginated table
- * - Create new orders (Nouvelle Commande)
+ * - Create new orders (Nouvelle Commande), with a line per product
  * - View order details
  * - Edit existing orders (Admin only)
  * - Delete orders (Admin only)
  * - Filter and search orders
+ * - Status changes limited to the workflow (STATUS_WORKFLOWS,
+ *   repository.js), with their history as a timeline
  * - Export orders to CSV
  * 
  * DEPENDENCIES:
- * - script.js (must be loaded first)
- *   - getData(), setData() - localStorage operations
- *   - generateId() - unique ID generation
+ * - script.js, repository.js, permissions.js, sync.js, history.js, conflict.js (must be loaded first)
+ * - pricing.js - VAT rates, discount and delivery fee (computeOrderPricing())
+ *   - getRepository() - entity data access
  *   - formatDate(), formatCurrency() - formatting
  *   - showToast() - notifications
  *   - initTableSorting(), sortData() - table sorting
@@ -24,11 +26,14 @@
  *   - debounce() - input debouncing
  *   - exportToCSV() - CSV export
  *   - initAuth() - authentication check
+ *   - onAppReady() - wait for data to be loaded
  * 
  * HTML ELEMENTS REQUIRED:
  * - #addNewBtn - Button to open new order modal
  * - #modalOverlay, #viewModalOverlay, #deleteModalOverlay - Modal containers
  * - #entityForm - Order form
+ * - #orderItems, #product - Order lines editor
+ * - #discountType, #discountValue, #deliveryFee, #orderPricing - Order pricing
  * - #dataTable, #tableBody - Data table
  * - #searchInput, #filterStatus, #filterPayment - Filters
  * - #rowsPerPage - Pagination control
@@ -59,6 +64,12 @@ let editingId = null;
 /** @type {number|null} ID of order pending deletion */
 let deleteId = null;
 
+/** @type {Array<Object>} Lines of the order in the form ({ productId, name, unitPrice, quantity, vatRate }) */
+let orderItems = [];
+
+/** @type {Object} Repository for the 'orders' entity */
+const ordersRepository = getRepository('orders');
+
 /* ------------------------------------------
  * SECTION 2: INITIALIZATION
  * ------------------------------------------
@@ -66,11 +77,11 @@ let deleteId = null;
  */
 
 /**
- * DOM Content Loaded Handler
+ * App Ready Handler
  * Entry point for orders page initialization.
- * Checks authentication before proceeding.
+ * Runs once data is loaded; checks authentication before proceeding.
  */
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     // Verify user is authenticated (redirects to login if not)
     if (!initAuth()) return;
     
@@ -95,12 +106,22 @@ function initOrdersPage() {
     
     // Initialize modal dialogs
     initModal();
+    initOrderItemsEditor();
     
     // Initialize table column sorting
     initTableSorting('dataTable', (sort) => {
         currentSort = sort;
         renderTable();
     });
+    
+    // Refresh when another tab changes orders (sync.js)
+    onRemoteChange(['orders'], (change) => {
+        renderTable();
+        warnIfEditedRecordChanged(change, editingId);
+    });
+    
+    // Refresh after undo/redo (history.js)
+    onHistoryReplay(['orders'], renderTable);
 }
 
 /* ------------------------------------------
@@ -111,14 +132,14 @@ function initOrdersPage() {
 
 /**
  * Populate Client Select Dropdown
- * Loads clients from localStorage and creates options.
+ * Loads clients from the repository and creates options.
  * Used in the order form for client selection.
  * 
  * NOTE: HTML element ID is 'client' (not 'clientId')
  */
 function populateClientSelect() {
     // Get clients from storage
-    const clients = getData('clients') || [];
+    const clients = getRepository('clients').find();
     const clientSelect = document.getElementById('client');
     
     // Safety check - exit if element not found
@@ -138,13 +159,14 @@ function populateClientSelect() {
 
 /**
  * Populate Product Select Dropdown
- * Loads available products from localStorage.
+ * Loads available products from the repository.
  * Only shows products marked as available.
+ * Choosing one adds it as an order line (initOrderItemsEditor).
  * 
  * NOTE: HTML element ID is 'product' (not 'products')
  */
 function populateProductSelect() {
-    const products = getData('products') || [];
+    const products = getRepository('products').find();
     const productSelect = document.getElementById('product');
     
     // Safety check - exit if element not found
@@ -158,12 +180,27 @@ function populateProductSelect() {
         .filter(p => p.available)
         .forEach(product => {
             const option = document.createElement('option');
-            option.value = product.name;
+            option.value = product.id;
             option.textContent = `${product.name} - ${formatCurrency(product.price)}`;
             productSelect.appendChild(option);
         });
 }
 
+/**
+ * Populate Status Select
+ * Offers the current status and the ones the workflow allows next
+ * (only the initial status for a new order).
+ * 
+ * @param {string|null} current - Status of the edited order, null for a new one
+ */
+function populateStatusSelect(current) {
+    const statuses = getNextStatuses('orders', current);
+    const options = current === null ? statuses : [current, ...statuses];
+    document.getElementById('status').innerHTML = options
+        .map(status => `<option value="${escapeHtml(status)}">${escapeHtml(status)}</option>`)
+        .join('');
+}
+
 /* ------------------------------------------
  * SECTION 4: TABLE RENDERING
  * ------------------------------------------
@@ -185,32 +222,25 @@ function renderTable() {
         return;
     }
     
-    // Get orders data from localStorage
-    let data = getData('orders') || [];
-    
-    // Apply search and filter criteria
-    data = applyFilters(data);
-    
-    // Apply column sorting
-    if (currentSort.column) {
-        data = sortData(data, currentSort.column, currentSort.direction);
-    }
-    
-    // Calculate pagination
-    const totalItems = data.length;
+    // Query orders: filter, sort and paginate in one call
     // Logic: Page 1 starts at index 0, Page 2 starts at index 10 (if 10 per page)
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const paginatedData = data.slice(startIndex, startIndex + itemsPerPage);
+    const { items: paginatedData, total: totalItems } = ordersRepository.query({
+        where: matchesFilters(),
+        sort: currentSort,
+        offset: (currentPage - 1) * itemsPerPage,
+        limit: itemsPerPage
+    });
     
-    // Check if user is admin (controls edit/delete visibility)
-    const isAdmin = window.currentUserRole === 'admin';
+    // Edit/delete buttons follow the permissions of the role
+    const canUpdate = can('orders.update');
+    const canDelete = can('orders.delete');
     
     // Render table rows
     tableBody.innerHTML = paginatedData.map(order => `
         <tr>
             <td>#${order.id}</td>
             <td>${escapeHtml(order.clientName)}</td>
-            <td>${escapeHtml(order.products)}</td>
+            <td>${escapeHtml(formatOrderItems(order.items))}</td>
             <td>${order.quantity}</td>
             <td>${formatCurrency(order.amount)}</td>
             <td><span class="status-badge ${getStatusBadgeClass(order.status)}">${order.status}</span></td>
@@ -221,10 +251,12 @@ function renderTable() {
                     <button class="action-btn view" onclick="viewItem(${order.id})" title="Voir">
                         <i class="fas fa-eye"></i>
                     </button>
-                    ${isAdmin ? `
+                    ${canUpdate ? `
                         <button class="action-btn edit" onclick="editItem(${order.id})" title="Modifier">
                             <i class="fas fa-edit"></i>
                         </button>
+                    ` : ''}
+                    ${canDelete ? `
                         <button class="action-btn delete" onclick="deleteItem(${order.id})" title="Supprimer">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -275,23 +307,22 @@ function escapeHtml(text) {
  */
 
 /**
- * Apply Filters to Data
- * Filters orders based on search term, status, and payment method.
+ * Build Filter Predicate
+ * Matches orders against search term, status, and payment method.
  * 
- * @param {Array<Object>} data - Orders array to filter
- * @returns {Array<Object>} Filtered orders array
+ * @returns {Function} Predicate for ordersRepository.query()
  */
-function applyFilters(data) {
+function matchesFilters() {
     // Get filter values from UI elements
     const searchTerm = document.getElementById('searchInput')?.value.toLowerCase() || '';
     const statusFilter = document.getElementById('filterStatus')?.value || '';
     const paymentFilter = document.getElementById('filterPayment')?.value || '';
     
-    return data.filter(item => {
-        // Search matches: client name, products, or order ID
+    return item => {
+        // Search matches: client name, product of a line, or order ID
         const matchesSearch = !searchTerm || 
             item.clientName.toLowerCase().includes(searchTerm) ||
-            item.products.toLowerCase().includes(searchTerm) ||
+            item.items.some(line => line.name.toLowerCase().includes(searchTerm)) ||
             item.id.toString().includes(searchTerm);
         
         // Status filter match
@@ -302,7 +333,7 @@ function applyFilters(data) {
         
         // Return true only if all conditions match
         return matchesSearch && matchesStatus && matchesPayment;
-    });
+    };
 }
 
 /**
@@ -359,15 +390,45 @@ function initFilters() {
 
 /**
  * Handle CSV Export
- * Exports all orders (unfiltered) to a CSV file.
+ * Exports all orders (unfiltered) to a CSV file,
+ * one row per order with its lines on one cell.
  */
 function handleExportCSV() {
-    const data = getData('orders') || [];
-    const headers = ['ID', 'Client', 'Produits', 'Quantité', 'Montant', 'Statut', 'Paiement', 'Date'];
+    // Keyed by header in lower case (see exportToCSV)
+    const data = ordersRepository.find().map(order => ({
+        id: order.id,
+        client: order.clientName,
+        produits: formatOrderItems(order.items),
+        'quantité': order.quantity,
+        ...getCsvPricing(order),
+        statut: order.status,
+        paiement: order.paymentStatus,
+        date: order.createdAt
+    }));
+    const headers = ['ID', 'Client', 'Produits', 'Quantité', 'Remise', 'Livraison', 'Total HT', 'TVA', 'Total TTC', 'Statut', 'Paiement', 'Date'];
     exportToCSV(data, 'commandes', headers);
     showToast('Export CSV réussi', 'success');
 }
 
+/**
+ * Get CSV Pricing
+ * Pricing columns of an order, in euros with two decimals
+ * (as strings, so that 0 is not exported as an empty cell).
+ * 
+ * @param {Object} order - Order record
+ * @returns {Object} remise, livraison, totalht, tva, totalttc
+ */
+function getCsvPricing(order) {
+    const pricing = computeOrderPricing(order);
+    return {
+        remise: pricing.discountAmount.toFixed(2),
+        livraison: pricing.deliveryFee.toFixed(2),
+        totalht: pricing.amountHT.toFixed(2),
+        tva: pricing.vatAmount.toFixed(2),
+        totalttc: pricing.amount.toFixed(2)
+    };
+}
+
 /* ------------------------------------------
  * SECTION 6: MODAL HANDLING
  * ------------------------------------------
@@ -406,6 +467,8 @@ function initModal() {
     // ========== ADD NEW BUTTON - Opens empty form ==========
     if (addNewBtn) {
         addNewBtn.addEventListener('click', () => {
+            if (!requirePermission('orders.create')) return;
+            
             // Reset editing state
             editingId = null;
             
@@ -414,6 +477,10 @@ function initModal() {
             
             // Reset form fields
             if (entityForm) entityForm.reset();
+            document.getElementById('deliveryFee').value = DEFAULT_DELIVERY_FEE;
+            populateStatusSelect(null);
+            setOrderItems([]);
+            clearConflictWarning();
             
             // Show modal
             modalOverlay.classList.add('show');
@@ -487,14 +554,16 @@ function initModal() {
 /**
  * Handle Form Submit
  * Processes the order form for both create and update operations.
- * Validates input, builds order object, and saves to localStorage.
+ * Validates input, builds order object, and saves it through the repository.
  * 
  * @param {Event} e - Form submit event
  * 
  * BUG FIX: Changed element IDs to match HTML:
  * - 'clientId' → 'client'
- * - 'products' → 'product'
  * - 'paymentStatus' → 'payment'
+ *
+ * Quantity and amount (TTC) are computed from the lines,
+ * discount and delivery fee (getOrderTotals(), pricing.js).
  */
 function handleFormSubmit(e) {
     // Prevent form from submitting normally
@@ -506,53 +575,64 @@ function handleFormSubmit(e) {
     // Get selected client ID and find client name
     // We need the name because we display it in the table
     const clientId = parseInt(document.getElementById('client').value, 10);
-    const clients = getData('clients') || [];
-    const client = clients.find(c => c.id === clientId);
+    const client = getRepository('clients').findById(clientId);
+    
+    // Copy the lines: later edits of the editor must not change the saved order
+    const items = orderItems.map(item => ({ ...item }));
+    
+    // ========== VALIDATE DATA ==========
+    if (!clientId || items.length === 0) {
+        showToast('Veuillez choisir un client et ajouter au moins un article', 'error');
+        return;
+    }
+    if (items.some(item => !Number.isInteger(item.quantity) || item.quantity < 1 || !(item.unitPrice >= 0))) {
+        showToast('Vérifiez la quantité et le prix de chaque article', 'error');
+        return;
+    }
+    const pricing = { items, ...readOrderPricing() };
+    if (!(pricing.discountValue >= 0) || !(pricing.deliveryFee >= 0)
+        || (pricing.discountType === 'percent' && pricing.discountValue > 100)) {
+        showToast('Vérifiez la remise (0 à 100 %) et les frais de livraison', 'error');
+        return;
+    }
     
     // Build order data object
     const formData = {
         clientId: clientId,
         clientName: client ? client.name : 'Client inconnu',
-        products: document.getElementById('product').value,
-        quantity: parseInt(document.getElementById('quantity').value, 10),
-        amount: parseFloat(document.getElementById('amount').value),
+        ...pricing,
+        ...getOrderTotals(pricing),
         status: document.getElementById('status').value,
         paymentStatus: document.getElementById('payment').value, // Fixed: was 'paymentStatus'
         address: document.getElementById('address').value,
         notes: document.getElementById('notes')?.value || ''
     };
     
-    // ========== VALIDATE DATA ==========
-    if (!formData.clientId || !formData.products || !formData.amount) {
-        showToast('Veuillez remplir tous les champs obligatoires', 'error');
+    // Close modal and refresh table once saved
+    const onSaved = () => {
+        showUndoToast(editingId ? 'Commande mise à jour avec succès' : 'Commande ajoutée avec succès');
+        document.getElementById('modalOverlay').classList.remove('show');
+        renderTable();
+    };
+    
+    // ========== SAVE THROUGH REPOSITORY ==========
+    if (editingId) {
+        // UPDATE EXISTING ORDER (merged with existing record,
+        // conflict dialog if it changed since the modal opened)
+        saveEditedRecord(ordersRepository, editingId, formData, document.getElementById('entityVersion').value, onSaved);
         return;
     }
     
-    // ========== SAVE TO LOCALSTORAGE ==========
-    let data = getData('orders') || [];
-    
-    if (editingId) {
-        // UPDATE EXISTING ORDER
-        const index = data.findIndex(item => item.id === editingId);
-        if (index !== -1) {
-            // Merge new data with existing record
-            data[index] = { ...data[index], ...formData };
-            showToast('Commande mise à jour avec succès', 'success');
-        }
-    } else {
-        // CREATE NEW ORDER
-        formData.id = generateId('orders');
+    try {
+        // CREATE NEW ORDER (ID generated by the repository)
         formData.createdAt = new Date().toISOString().split('T')[0];
-        data.push(formData);
-        showToast('Commande ajoutée avec succès', 'success');
+        ordersRepository.insert(formData);
+    } catch (err) {
+        // Schema validation failed: nothing was written
+        showToast(err.message, 'error');
+        return;
     }
-    
-    // Save updated data
-    setData('orders', data);
-    
-    // Close modal and refresh table
-    document.getElementById('modalOverlay').classList.remove('show');
-    renderTable();
+    onSaved();
 }
 
 /**
@@ -562,8 +642,7 @@ function handleFormSubmit(e) {
  * @param {number} id - Order ID to view
  */
 function viewItem(id) {
-    const data = getData('orders') || [];
-    const item = data.find(o => o.id === id);
+    const item = ordersRepository.findById(id);
     
     if (!item) {
         showToast('Commande non trouvée', 'error');
@@ -583,16 +662,27 @@ function viewItem(id) {
                 <span>${escapeHtml(item.clientName)}</span>
             </div>
             <div class="detail-item full-width">
-                <label>Produits</label>
-                <span>${escapeHtml(item.products)}</span>
+                <label>Articles</label>
+                <table class="order-items-table">
+                    <tbody>
+                        ${item.items.map(line => `
+                            <tr>
+                                <td>${escapeHtml(line.name)}</td>
+                                <td>${line.quantity} × ${formatCurrency(line.unitPrice)}</td>
+                                <td class="text-muted">TVA ${formatVatRate(line.vatRate)}</td>
+                                <td>${formatCurrency(line.unitPrice * line.quantity)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>
             <div class="detail-item">
                 <label>Quantité</label>
                 <span>${item.quantity}</span>
             </div>
-            <div class="detail-item">
+            <div class="detail-item full-width">
                 <label>Montant</label>
-                <span>${formatCurrency(item.amount)}</span>
+                ${renderPricingSummary(computeOrderPricing(item))}
             </div>
             <div class="detail-item">
                 <label>Statut</label>
@@ -610,6 +700,10 @@ function viewItem(id) {
                 <label>Date de commande</label>
                 <span>${formatDate(item.createdAt)}</span>
             </div>
+            <div class="detail-item full-width">
+                <label>Historique du statut</label>
+                ${renderStatusTimeline(item.statusHistory)}
+            </div>
             ${item.notes ? `
                 <div class="detail-item full-width">
                     <label>Notes</label>
@@ -623,6 +717,33 @@ function viewItem(id) {
     document.getElementById('viewModalOverlay').classList.add('show');
 }
 
+/**
+ * Render Status Timeline
+ * One entry per status change, oldest first.
+ * 
+ * @param {Array<Object>} [history] - statusHistory of the order
+ * @returns {string} Timeline HTML
+ */
+function renderStatusTimeline(history) {
+    if (!history || history.length === 0) {
+        return '<span class="text-muted">Aucun changement enregistré (commande antérieure au suivi des statuts)</span>';
+    }
+    return `
+        <ol class="status-timeline">
+            ${history.map(entry => `
+                <li>
+                    <span class="status-badge ${getStatusBadgeClass(entry.to)}">${escapeHtml(entry.to)}</span>
+                    <span class="text-muted">
+                        ${entry.from ? `depuis ${escapeHtml(entry.from)}` : 'Création'}
+                        · ${new Date(entry.at).toLocaleString('fr-FR')}
+                        · ${escapeHtml(entry.by || 'Inconnu')}${entry.impersonatedBy ? ` (par ${escapeHtml(entry.impersonatedBy)})` : ''}
+                    </span>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
 /**
  * Edit Order
  * Opens edit modal with pre-filled form data.
@@ -631,8 +752,8 @@ function viewItem(id) {
  * @param {number} id - Order ID to edit
  */
 function editItem(id) {
-    const data = getData('orders') || [];
-    const item = data.find(o => o.id === id);
+    if (!requirePermission('orders.update')) return;
+    const item = ordersRepository.findById(id);
     
     if (!item) {
         showToast('Commande non trouvée', 'error');
@@ -648,10 +769,13 @@ function editItem(id) {
     // Fill form fields with existing data
     // NOTE: Using correct HTML element IDs
     document.getElementById('entityId').value = item.id;
+    setEditBase(item);
     document.getElementById('client').value = item.clientId;
-    document.getElementById('product').value = item.products;
-    document.getElementById('quantity').value = item.quantity;
-    document.getElementById('amount').value = item.amount;
+    document.getElementById('discountType').value = item.discountType || '';
+    document.getElementById('discountValue').value = item.discountValue || 0;
+    document.getElementById('deliveryFee').value = item.deliveryFee || 0;
+    setOrderItems(item.items);
+    populateStatusSelect(item.status);
     document.getElementById('status').value = item.status;
     document.getElementById('payment').value = item.paymentStatus;
     document.getElementById('address').value = item.address;
@@ -661,6 +785,7 @@ function editItem(id) {
     if (notesField) notesField.value = item.notes || '';
     
     // Show edit modal
+    clearConflictWarning();
     document.getElementById('modalOverlay').classList.add('show');
 }
 
@@ -672,6 +797,19 @@ function editItem(id) {
  * @param {number} id - Order ID to delete
  */
 function deleteItem(id) {
+    if (!requirePermission('orders.delete')) return;
+    
+    // Records the integrity rules will change (deliveries of the order)
+    const { blocked, affected } = describeDeletePlan('orders', id);
+    if (blocked.length > 0) {
+        showToast(`Suppression impossible, enregistrements liés : ${blocked.join(', ')}`, 'error');
+        return;
+    }
+    document.getElementById('deleteDependents').innerHTML = affected.length > 0 ? `
+        <p>Éléments concernés :</p>
+        <ul>${affected.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    ` : '';
+
     // Store ID for confirmation
     deleteId = id;
     // Show confirmation modal
@@ -686,17 +824,16 @@ function deleteItem(id) {
 function confirmDelete() {
     if (!deleteId) return;
     
-    // Get current data
-    let data = getData('orders') || [];
-    
-    // Filter out the deleted item
-    data = data.filter(item => item.id !== deleteId);
-    
-    // Save updated data
-    setData('orders', data);
+    // Remove the order (and its deliveries, per the integrity rules)
+    try {
+        ordersRepository.remove(deleteId);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
     
     // Show success message
-    showToast('Commande supprimée avec succès', 'success');
+    showUndoToast('Commande déplacée dans la corbeille');
     
     // Close modal and refresh
     document.getElementById('deleteModalOverlay').classList.remove('show');
@@ -706,17 +843,197 @@ function confirmDelete() {
     deleteId = null;
 }
 
+/* ------------------------------------------
+ * SECTION 8: ORDER LINES EDITOR
+ * ------------------------------------------
+ * Lines of the order in the form: one per
+ * product, with its unit price (copied from
+ * the catalog, editable), quantity and VAT
+ * rate; below them, the pricing of the order.
+ */
+
+/**
+ * Set Order Items
+ * Loads lines into the editor (copies, so the record is untouched).
+ * 
+ * @param {Array<Object>} items - Order lines
+ */
+function setOrderItems(items) {
+    orderItems = items.map(item => ({ ...item }));
+    renderOrderItems();
+}
+
+/**
+ * Add Order Item
+ * Adds one unit of a product: a new line, or one more on its line.
+ * 
+ * @param {number} productId - Product ID
+ */
+function addOrderItem(productId) {
+    const product = getRepository('products').findById(productId);
+    if (!product) return;
+    
+    const line = orderItems.find(item => item.productId === product.id);
+    if (line) {
+        line.quantity = (line.quantity || 0) + 1;
+    } else {
+        orderItems.push({
+            productId: product.id,
+            name: product.name,
+            unitPrice: product.price,
+            quantity: 1,
+            vatRate: getVatRate(product.category)
+        });
+    }
+    renderOrderItems();
+}
+
+/**
+ * Render Order Items
+ * Rebuilds the lines of the editor and the pricing.
+ */
+function renderOrderItems() {
+    const container = document.getElementById('orderItems');
+    
+    container.innerHTML = orderItems.length === 0
+        ? '<p class="text-muted">Aucun article : choisissez un produit ci-dessous.</p>'
+        : orderItems.map((item, index) => `
+            <div class="order-item-row" data-index="${index}">
+                <span class="order-item-name">
+                    ${escapeHtml(item.name)}
+                    <small class="text-muted">TVA ${formatVatRate(item.vatRate)}</small>
+                </span>
+                <span class="order-item-price text-muted" title="Prix unitaire (catalogue)">${formatCurrency(item.unitPrice)}</span>
+                <input type="number" data-field="quantity" value="${item.quantity}" step="1" min="1" title="Quantité">
+                <span class="order-item-total">${formatCurrency(item.unitPrice * item.quantity || 0)}</span>
+                <button type="button" class="action-btn delete" data-remove title="Retirer">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    
+    updateOrderPricing();
+}
+
+/**
+ * Read Order Pricing
+ * Discount and delivery fee fields of the form.
+ * 
+ * @returns {Object} { discountType, discountValue, deliveryFee }
+ *   (discountValue 0 without a discount; NaN if a field is invalid)
+ */
+function readOrderPricing() {
+    const discountType = document.getElementById('discountType').value;
+    return {
+        discountType,
+        discountValue: discountType ? parseFloat(document.getElementById('discountValue').value || '0') : 0,
+        deliveryFee: parseFloat(document.getElementById('deliveryFee').value || '0')
+    };
+}
+
+/**
+ * Update Order Pricing
+ * Refreshes the pricing below the lines (invalid values count as 0).
+ */
+function updateOrderPricing() {
+    const { discountType, discountValue, deliveryFee } = readOrderPricing();
+    const pricing = computeOrderPricing({
+        items: orderItems.map(item => ({
+            ...item,
+            unitPrice: item.unitPrice || 0,
+            quantity: item.quantity || 0
+        })),
+        discountType,
+        discountValue: discountValue || 0,
+        deliveryFee: deliveryFee || 0
+    });
+    document.getElementById('orderPricing').innerHTML = renderPricingSummary(pricing);
+}
+
+/**
+ * Render Pricing Summary
+ * Subtotal, discount, delivery fee, then HT, TVA per rate and TTC.
+ * 
+ * @param {Object} pricing - Result of computeOrderPricing()
+ * @returns {string} Summary HTML
+ */
+function renderPricingSummary(pricing) {
+    const row = (label, value, className = '') => `
+        <div class="pricing-row ${className}">
+            <span>${label}</span>
+            <span>${value}</span>
+        </div>
+    `;
+    return `
+        <div class="pricing-summary">
+            ${row('Sous-total TTC', formatCurrency(pricing.subtotal))}
+            ${pricing.discountAmount ? row('Remise', `− ${formatCurrency(pricing.discountAmount)}`) : ''}
+            ${row('Livraison', formatCurrency(pricing.deliveryFee))}
+            ${row('Total HT', formatCurrency(pricing.amountHT), 'pricing-ht')}
+            ${pricing.vatLines.map(line => row(
+                `TVA ${formatVatRate(line.rate)} sur ${formatCurrency(line.base)}`,
+                formatCurrency(line.vat),
+                'pricing-vat'
+            )).join('')}
+            ${row('Total TVA', formatCurrency(pricing.vatAmount))}
+            ${row('Total TTC', `<strong>${formatCurrency(pricing.amount)}</strong>`, 'pricing-total')}
+        </div>
+    `;
+}
+
+/**
+ * Initialize Order Items Editor
+ * Product select adds a line at the catalog price (not editable:
+ * lines keep the price and VAT rate of their product); quantity
+ * inputs update their line in place (no re-render, so typing keeps
+ * the focus).
+ */
+function initOrderItemsEditor() {
+    const productSelect = document.getElementById('product');
+    const container = document.getElementById('orderItems');
+    
+    productSelect.addEventListener('change', () => {
+        if (!productSelect.value) return;
+        addOrderItem(parseInt(productSelect.value, 10));
+        productSelect.value = '';
+    });
+    
+    container.addEventListener('input', (e) => {
+        const row = e.target.closest('.order-item-row');
+        if (!row || !e.target.dataset.field) return;
+        
+        const item = orderItems[row.dataset.index];
+        item.quantity = parseInt(e.target.value, 10);
+        row.querySelector('.order-item-total').textContent = formatCurrency(item.unitPrice * item.quantity || 0);
+        updateOrderPricing();
+    });
+    
+    // Discount and delivery fee
+    ['discountType', 'discountValue', 'deliveryFee'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateOrderPricing);
+    });
+    
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove]');
+        if (!button) return;
+        orderItems.splice(button.closest('.order-item-row').dataset.index, 1);
+        renderOrderItems();
+    });
+}
+
 /* ==========================================
  * END OF ORDERS.JS
  * ==========================================
  * 
  * SUMMARY:
- * - State: currentPage, itemsPerPage, currentSort, editingId, deleteId
- * - Init: initOrdersPage(), populateClientSelect(), populateProductSelect()
+ * - State: currentPage, itemsPerPage, currentSort, editingId, deleteId, orderItems
+ * - Init: initOrdersPage(), populateClientSelect(), populateProductSelect(), populateStatusSelect()
  * - Table: renderTable(), escapeHtml()
- * - Filters: applyFilters(), initFilters(), handleExportCSV()
+ * - Filters: matchesFilters(), initFilters(), handleExportCSV(), getCsvPricing()
  * - Modals: initModal()
- * - CRUD: handleFormSubmit(), viewItem(), editItem(), deleteItem(), confirmDelete()
+ * - CRUD: handleFormSubmit(), viewItem(), renderStatusTimeline(), editItem(), deleteItem(), confirmDelete()
+ * - Lines: setOrderItems(), addOrderItem(), renderOrderItems(), initOrderItemsEditor()
+ * - Pricing: readOrderPricing(), updateOrderPricing(), renderPricingSummary()
  * 
  * BUG FIXES:
  * - Fixed form element IDs to match HTML (client, product, payment)
@@ -0,0 +1,124 @@
+/* ==========================================
+ * GLOVOADMIN - OUTBOX PAGE (outbox.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Admin "Boîte d'envoi" page. Lists the emails the
+ * application would have sent (mail.js), newest first,
+ * so an admin can pass them on, e.g. a password reset
+ * link to a user who lost access to their account.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point ('outbox.view' permission)
+ *
+ * SECTION 2: RENDER TABLE
+ *   - refreshOutbox(): Reload and display the messages
+ *
+ * SECTION 3: EVENT LISTENERS
+ *   - setupEventListeners(): Bind UI events
+ *
+ * DEPENDENCIES:
+ * - script.js, repository.js, permissions.js, mail.js (must be loaded first)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the outbox page.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    if (!can('outbox.view')) {
+        window.location.href = 'dashboard.html';
+        return;
+    }
+    setupEventListeners();
+    refreshOutbox();
+});
+
+/* ------------------------------------------
+ * SECTION 2: RENDER TABLE
+ * ------------------------------------------ */
+
+/**
+ * Refresh Outbox
+ * @function refreshOutbox
+ * @description Links are shown as full addresses, ready to be
+ * copied and sent to the recipient.
+ */
+async function refreshOutbox() {
+    const tbody = document.getElementById('tableBody');
+    let messages;
+    try {
+        messages = await loadOutbox();
+    } catch (err) {
+        showToast(`Impossible de charger la boîte d'envoi : ${err.message}`, 'error');
+        messages = [];
+    }
+
+    if (messages.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="4">
+                    <div class="empty-state">
+                        <i class="fas fa-envelope-open"></i>
+                        <h3>Aucun message</h3>
+                        <p>Les emails envoyés par l'application apparaîtront ici</p>
+                    </div>
+                </td>
+            </tr>
+        `;
+    } else {
+        tbody.innerHTML = messages.map(message => {
+            const link = message.link ? new URL(message.link, window.location.href).href : '';
+            return `
+                <tr>
+                    <td>${new Date(message.createdAt).toLocaleString('fr-FR')}</td>
+                    <td>${escapeHtml(message.to)}</td>
+                    <td>${escapeHtml(message.subject)}</td>
+                    <td class="outbox-message">
+                        <div>${escapeHtml(message.body).replace(/\n/g, '<br>')}</div>
+                        ${link ? `
+                            <div class="outbox-link">
+                                <code>${escapeHtml(link)}</code>
+                                <button class="action-btn view" title="Copier le lien" data-copy="${escapeHtml(link)}">
+                                    <i class="fas fa-copy"></i>
+                                </button>
+                            </div>
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    document.getElementById('paginationInfo').textContent =
+        `${messages.length} message${messages.length > 1 ? 's' : ''}`;
+}
+
+/* ------------------------------------------
+ * SECTION 3: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Setup Event Listeners
+ * @function setupEventListeners
+ */
+function setupEventListeners() {
+    document.getElementById('refreshBtn').addEventListener('click', refreshOutbox);
+    document.getElementById('tableBody').addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-copy]');
+        if (!button) return;
+        try {
+            await navigator.clipboard.writeText(button.dataset.copy);
+            showToast('Lien copié', 'success');
+        } catch (err) {
+            showToast('Copie impossible, sélectionnez le lien à la main', 'error');
+        }
+    });
+}
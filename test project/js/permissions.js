@@ -0,0 +1,300 @@
+/* ==========================================
+ * GLOVOADMIN - PERMISSIONS (permissions.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Role-based permission matrix. Each permission is an
+ * action on an entity ('orders.update', 'products.delete')
+ * or a page-level right ('backup.manage'). Each role used
+ * in user records (Admin, Manager, Livreur, Client) is
+ * granted a list of permissions; Admin always has all of
+ * them, so an admin can never lock everyone out.
+ *
+ * The matrix is stored in meta 'rolePermissions'
+ * ({ role: [permission] }) and edited by admins on the
+ * Users page. Roles missing from it use the defaults.
+ *
+ * Permissions are checked twice:
+ *   - UI: sidebar links, pages, buttons and modals
+ *   - Data layer: every repository write (repository.js)
+ *     throws a PermissionError if the user lacks the right.
+ *     Startup writes (sample data, migrations, trash purge)
+ *     are made before checks are enabled; system actions
+ *     (trash retention) and storefront writes (customer.js)
+ *     run through withoutPermissionChecks().
+ *
+ * Storefront customers (role Client) never see admin pages.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CATALOG
+ *   - PERMISSION_ROLES / PERMISSION_ENTITIES / PERMISSION_ACTIONS
+ *   - PERMISSIONS: Every permission with its label
+ *   - DEFAULT_ROLE_PERMISSIONS: Matrix used until edited
+ *
+ * SECTION 2: MATRIX
+ *   - getRolePermissions(): Permissions of a role
+ *   - saveRolePermissions(): Store the edited matrix
+ *
+ * SECTION 3: CHECKS
+ *   - getCurrentRole(): Role of the logged-in user
+ *   - can(): Is the current user allowed?
+ *   - PermissionError / assertPermission(): Data layer check
+ *   - withoutPermissionChecks(): Run a system action
+ *   - requirePermission(): UI check with a toast
+ *
+ * SECTION 4: PAGE RESTRICTIONS
+ *   - PAGE_PERMISSIONS: Page → permission needed to open it
+ *   - applyPagePermissions(): Sidebar, page guard, [data-permission]
+ *
+ * DEPENDENCIES:
+ * - storage.js (getMeta, setMeta)
+ * - script.js (getCurrentUser, onAppReady, showToast)
+ *
+ * USED BY:
+ * - script.js (applyRoleRestrictions), repository.js (writes),
+ *   page scripts (buttons and modals), users.js (matrix editor)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CATALOG
+ * ------------------------------------------ */
+
+/** @constant {Array<string>} Roles of user records */
+const PERMISSION_ROLES = ['Admin', 'Manager', 'Livreur', 'Client'];
+
+/** @constant {string} Role that always has every permission */
+const SUPER_ROLE = 'Admin';
+
+/** @constant {string} Role of storefront customers (customer.js), kept out of admin pages */
+const STOREFRONT_ROLE = 'Client';
+
+/** @constant {Object<string, string>} Entity → label */
+const PERMISSION_ENTITIES = {
+    orders: 'Commandes',
+    products: 'Produits',
+    clients: 'Clients',
+    users: 'Utilisateurs',
+    deliveries: 'Livraisons'
+};
+
+/** @constant {Object<string, string>} Entity action → label */
+const PERMISSION_ACTIONS = {
+    view: 'Voir',
+    create: 'Créer',
+    update: 'Modifier',
+    delete: 'Supprimer'
+};
+
+/**
+ * Permissions
+ * @constant {Object<string, string>}
+ * @description Permission → label, in display order. Deleting
+ * includes the trash actions (restore, purge) of that entity.
+ */
+const PERMISSIONS = {
+    ...Object.fromEntries(Object.keys(PERMISSION_ENTITIES).flatMap(entity =>
+        Object.keys(PERMISSION_ACTIONS).map(action => [
+            `${entity}.${action}`,
+            `${PERMISSION_ENTITIES[entity]} : ${PERMISSION_ACTIONS[action].toLowerCase()}`
+        ])
+    )),
+    'trash.manage': 'Corbeille',
+    'backup.manage': 'Sauvegarde et données de démo',
+    'audit.view': 'Journal d\'audit',
+    'outbox.view': 'Boîte d\'envoi (liens de réinitialisation)',
+    'driver.portal': 'Mes livraisons (espace livreur)'
+};
+
+/**
+ * Default Role Permissions
+ * @constant {Object<string, Array<string>>}
+ * @description Admin is not listed: it always has everything.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+    Manager: [
+        'orders.view', 'orders.create', 'orders.update',
+        'products.view', 'products.create', 'products.update',
+        'clients.view', 'clients.create', 'clients.update',
+        'deliveries.view', 'deliveries.create', 'deliveries.update',
+        'users.view'
+    ],
+    Livreur: ['orders.view', 'deliveries.view', 'deliveries.update', 'driver.portal'],
+    Client: ['products.view']
+};
+
+/* ------------------------------------------
+ * SECTION 2: MATRIX
+ * ------------------------------------------ */
+
+/**
+ * Get Role Permissions
+ * @function getRolePermissions
+ * @param {string} role - Role of a user record ('Manager')
+ * @returns {Array<string>} Permissions granted to the role
+ */
+function getRolePermissions(role) {
+    if (role === SUPER_ROLE) return Object.keys(PERMISSIONS);
+    const stored = getMeta('rolePermissions', {})[role];
+    const granted = Array.isArray(stored) ? stored : (DEFAULT_ROLE_PERMISSIONS[role] || []);
+    // Permissions removed from the catalog are ignored
+    return granted.filter(permission => permission in PERMISSIONS);
+}
+
+/**
+ * Save Role Permissions
+ * @function saveRolePermissions
+ * @param {Object<string, Array<string>>} matrix - Role → permissions
+ * @returns {Promise<void>}
+ * @throws {PermissionError} If the current user is not an admin
+ * @description The Admin row is never stored.
+ */
+async function saveRolePermissions(matrix) {
+    if (getCurrentRole() !== SUPER_ROLE) {
+        throw new PermissionError('Seuls les administrateurs peuvent modifier les permissions');
+    }
+    const stored = {};
+    PERMISSION_ROLES.filter(role => role !== SUPER_ROLE).forEach(role => {
+        stored[role] = (matrix[role] || []).filter(permission => permission in PERMISSIONS);
+    });
+    await setMeta('rolePermissions', stored);
+}
+
+/* ------------------------------------------
+ * SECTION 3: CHECKS
+ * ------------------------------------------ */
+
+/** @type {boolean} Data layer checks are on once startup writes are done */
+let permissionsEnforced = false;
+
+onAppReady(() => { permissionsEnforced = true; });
+
+/**
+ * Get Current Role
+ * @function getCurrentRole
+ * @returns {string|null} Role of the logged-in user ('Admin', ...),
+ * null when nobody is logged in. Sessions store it in lower case.
+ */
+function getCurrentRole() {
+    const user = getCurrentUser();
+    if (!user || !user.role) return null;
+    return PERMISSION_ROLES.find(role => role.toLowerCase() === String(user.role).toLowerCase()) || null;
+}
+
+/**
+ * Can
+ * @function can
+ * @param {string} permission - e.g. 'orders.update'
+ * @returns {boolean} True if the logged-in user has the permission
+ */
+function can(permission) {
+    const role = getCurrentRole();
+    return role !== null && getRolePermissions(role).includes(permission);
+}
+
+/**
+ * Permission Error
+ * @class PermissionError
+ * @extends Error
+ * @description Thrown by a write the current user is not allowed to make.
+ */
+class PermissionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermissionError';
+    }
+}
+
+/**
+ * Assert Permission
+ * @function assertPermission
+ * @param {string} permission - e.g. 'orders.delete'
+ * @throws {PermissionError} If the current user lacks it
+ * @description Called by repository writes. Does nothing during
+ * startup (before onAppReady).
+ */
+function assertPermission(permission) {
+    if (!permissionsEnforced || can(permission)) return;
+    throw new PermissionError(`Action non autorisée : ${PERMISSIONS[permission] || permission}`);
+}
+
+/**
+ * Without Permission Checks
+ * @function withoutPermissionChecks
+ * @param {Function} action - Synchronous writes to run unchecked
+ * @returns {*} What action returns
+ * @description For writes made by the application itself rather
+ * than on behalf of the user (e.g. trash retention).
+ */
+function withoutPermissionChecks(action) {
+    const enforced = permissionsEnforced;
+    permissionsEnforced = false;
+    try {
+        return action();
+    } finally {
+        permissionsEnforced = enforced;
+    }
+}
+
+/**
+ * Require Permission
+ * @function requirePermission
+ * @param {string} permission - e.g. 'clients.update'
+ * @returns {boolean} True if allowed; otherwise shows an error toast
+ * @description Used before opening a form or a confirmation.
+ */
+function requirePermission(permission) {
+    if (can(permission)) return true;
+    showToast(`Action non autorisée : ${PERMISSIONS[permission] || permission}`, 'error');
+    return false;
+}
+
+/* ------------------------------------------
+ * SECTION 4: PAGE RESTRICTIONS
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Admin page → permission needed to open it */
+const PAGE_PERMISSIONS = {
+    'users.html': 'users.view',
+    'products.html': 'products.view',
+    'orders.html': 'orders.view',
+    'clients.html': 'clients.view',
+    'deliveries.html': 'deliveries.view',
+    'backup.html': 'backup.manage',
+    'trash.html': 'trash.manage',
+    'auditlog.html': 'audit.view',
+    'outbox.html': 'outbox.view',
+    'driver.html': 'driver.portal'
+};
+
+/**
+ * Apply Page Permissions
+ * @function applyPagePermissions
+ * @returns {boolean} False if the user may not open this page
+ *   (they are sent to the dashboard, customers to the storefront)
+ * @description Hides the sidebar links to forbidden pages and
+ * every element whose data-permission is not granted.
+ */
+function applyPagePermissions() {
+    if (getCurrentRole() === STOREFRONT_ROLE) {
+        window.location.href = getHomePage(getCurrentUser());
+        return false;
+    }
+    const page = window.location.pathname.split('/').pop();
+    if (PAGE_PERMISSIONS[page] && !can(PAGE_PERMISSIONS[page])) {
+        window.location.href = 'dashboard.html';
+        return false;
+    }
+
+    document.querySelectorAll('.sidebar-nav a[href]').forEach(link => {
+        const permission = PAGE_PERMISSIONS[link.getAttribute('href')];
+        if (permission && !can(permission)) link.closest('li').style.display = 'none';
+    });
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        if (!can(element.dataset.permission)) element.style.display = 'none';
+    });
+    return true;
+}
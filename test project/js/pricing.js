@@ -0,0 +1,195 @@
+/* ==========================================
+ * GLOVOADMIN - ORDER PRICING (pricing.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Totals of an order, computed from its lines: French
+ * VAT per product category, an order-level discount and
+ * a delivery fee. Catalog prices (products.price, copied
+ * to items[].unitPrice) include VAT (TTC), as shown to
+ * customers.
+ *
+ * Each order line keeps the VAT rate of its product
+ * (items[].vatRate, in %), copied with the name and
+ * price when the line is added. The order stores:
+ *   - discountType: 'percent' or 'amount' ('' for none)
+ *   - discountValue: % or € (TTC), per discountType
+ *   - deliveryFee: € (TTC), taxed at DELIVERY_VAT_RATE
+ *   - quantity and amount (TTC): getOrderTotals()
+ * HT and TVA are not stored: computeOrderPricing()
+ * derives them for display and exports.
+ *
+ * The discount is spread over the lines in proportion
+ * to their price, so it lowers the VAT of each rate.
+ * Amounts are rounded to the cent per VAT rate, with
+ * HT + TVA = TTC.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - VAT_RATES: Rate per product category
+ *   - DEFAULT_VAT_RATE / DELIVERY_VAT_RATE / DEFAULT_DELIVERY_FEE
+ *
+ * SECTION 2: PRICING
+ *   - getVatRate(): Rate of a product category
+ *   - formatVatRate(): "5,5 %"
+ *   - computeOrderPricing(): Subtotal, discount, fee, HT, TVA, TTC
+ *   - getOrderTotals(): Totals stored on the order
+ *
+ * USED BY:
+ * - repository.js (VAT_RATES: categories of the products schema)
+ * - orders.js (form and view modal, CSV), customer.js (checkout),
+ *   cart.js, demo-data.js, migrations.js
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/**
+ * VAT Rates
+ * @constant {Object<string, number>}
+ * @description Product category → VAT rate (%), for every category
+ * of the shipped catalogs (SAMPLE_DATA, DEMO_CATALOG) and of the
+ * product form:
+ *   - meals delivered ready to eat: 10 %
+ *   - packaged desserts and soft drinks, groceries, bread: 5,5 %
+ *   - flowers: 10 %, pharmacy (non-reimbursed): 20 %
+ * The products schema (repository.js) only accepts these
+ * categories, so a product never falls back to DEFAULT_VAT_RATE.
+ */
+const VAT_RATES = {
+    // Meals (sample and demo catalogs)
+    'Pizza': 10,
+    'Burger': 10,
+    'Salade': 10,
+    'Japonais': 10,
+    'Mexicain': 10,
+    'Italien': 10,
+    'Oriental': 10,
+    'Healthy': 10,
+    'Asiatique': 10,
+    'Français': 10,
+    'Britannique': 10,
+    // Packaged products (demo catalog)
+    'Dessert': 5.5,
+    'Boisson': 5.5,
+    // Product form (products.html)
+    'Restaurant': 10,
+    'Supermarché': 5.5,
+    'Boulangerie': 5.5,
+    'Fleuriste': 10,
+    'Pharmacie': 20
+};
+
+/** @constant {number} Rate of an unknown category, e.g. a line of a deleted product (%) */
+const DEFAULT_VAT_RATE = 10;
+
+/** @constant {number} Rate of the delivery fee (%) */
+const DELIVERY_VAT_RATE = 20;
+
+/** @constant {number} Delivery fee of new orders (€ TTC) */
+const DEFAULT_DELIVERY_FEE = 2.99;
+
+/* ------------------------------------------
+ * SECTION 2: PRICING
+ * ------------------------------------------ */
+
+/**
+ * Round to the cent
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get VAT Rate
+ * @function getVatRate
+ * @param {string} category - Product category
+ * @returns {number} VAT rate (%)
+ */
+function getVatRate(category) {
+    return category in VAT_RATES ? VAT_RATES[category] : DEFAULT_VAT_RATE;
+}
+
+/**
+ * Format VAT Rate
+ * @function formatVatRate
+ * @param {number} rate - VAT rate (%)
+ * @returns {string} e.g. "5,5 %"
+ */
+function formatVatRate(rate) {
+    return `${rate.toLocaleString('fr-FR')} %`;
+}
+
+/**
+ * Compute Order Pricing
+ * @function computeOrderPricing
+ * @param {Object} order - Order, or form values
+ * @param {Array<Object>} order.items - Lines ({ unitPrice, quantity, vatRate })
+ * @param {string} [order.discountType] - 'percent', 'amount' or ''
+ * @param {number} [order.discountValue]
+ * @param {number} [order.deliveryFee]
+ * @returns {Object} { quantity, subtotal, discountAmount, deliveryFee,
+ *   amountHT, vatAmount, amount, vatLines: [{ rate, base, vat }] }
+ *   (amounts in €; subtotal and amount TTC; vatLines by rate)
+ * @description The discount never exceeds the subtotal. Lines
+ * without a vatRate (older data) use DEFAULT_VAT_RATE.
+ */
+function computeOrderPricing({ items, discountType = '', discountValue = 0, deliveryFee = 0 }) {
+    const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    const subtotal = roundCents(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+
+    let discountAmount = 0;
+    if (discountType === 'percent') discountAmount = subtotal * Math.min(discountValue || 0, 100) / 100;
+    if (discountType === 'amount') discountAmount = Math.min(discountValue || 0, subtotal);
+    discountAmount = roundCents(discountAmount);
+    const kept = subtotal > 0 ? (subtotal - discountAmount) / subtotal : 0;
+
+    // TTC per rate: lines after discount, then the delivery fee
+    const byRate = new Map();
+    const add = (rate, ttc) => byRate.set(rate, (byRate.get(rate) || 0) + ttc);
+    items.forEach(item => {
+        const rate = typeof item.vatRate === 'number' ? item.vatRate : DEFAULT_VAT_RATE;
+        add(rate, item.unitPrice * item.quantity * kept);
+    });
+    if (deliveryFee > 0) add(DELIVERY_VAT_RATE, deliveryFee);
+
+    const vatLines = [...byRate.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([rate, ttc]) => {
+            const total = roundCents(ttc);
+            const base = roundCents(total / (1 + rate / 100));
+            return { rate, base, vat: roundCents(total - base), total };
+        });
+
+    const amountHT = roundCents(vatLines.reduce((sum, line) => sum + line.base, 0));
+    const vatAmount = roundCents(vatLines.reduce((sum, line) => sum + line.vat, 0));
+    return {
+        quantity,
+        subtotal,
+        discountAmount,
+        deliveryFee: roundCents(deliveryFee || 0),
+        amountHT,
+        vatAmount,
+        amount: roundCents(amountHT + vatAmount),
+        vatLines: vatLines.map(({ rate, base, vat }) => ({ rate, base, vat }))
+    };
+}
+
+/**
+ * Get Order Totals
+ * @function getOrderTotals
+ * @param {Object} order - Order, or form values (see computeOrderPricing)
+ * @returns {{quantity: number, amount: number}} Fields stored on the
+ *   order: total units, and the amount to pay (TTC)
+ */
+function getOrderTotals(order) {
+    const { quantity, amount } = computeOrderPricing(order);
+    return { quantity, amount };
+}
@@ -14,6 +14,11 @@
  * 
  * DEPENDENCIES:
  * - script.js (core functions)
+ * - repository.js (getRepository)
+ * - permissions.js (can, requirePermission)
+ * - sync.js (onRemoteChange, warnIfEditedRecordChanged)
+ * - history.js (showUndoToast, onHistoryReplay)
+ * - conflict.js (saveEditedRecord)
  * 
  * AUTHOR: GlovoAdmin Team
  * VERSION: 2.0.0 (Optimized)
@@ -39,16 +44,19 @@ let editingId = null;
 /** @type {number|null} ID pending deletion */
 let deleteId = null;
 
+/** @type {Object} Repository for the 'products' entity */
+const productsRepository = getRepository('products');
+
 /* ------------------------------------------
  * SECTION 2: INITIALIZATION
  * ------------------------------------------
  */
 
 /**
- * DOM Ready Handler
- * Initializes page after authentication check.
+ * App Ready Handler
+ * Initializes page once data is loaded, after authentication check.
  */
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     if (!initAuth()) return;
     initProductsPage();
 });
@@ -66,6 +74,11 @@ function initProductsPage() {
         currentSort = sort;
         renderTable();
     });
+    onRemoteChange(['products'], (change) => {
+        renderTable();
+        warnIfEditedRecordChanged(change, editingId);
+    });
+    onHistoryReplay(['products'], renderTable);
 }
 
 /**
@@ -73,7 +86,7 @@ function initProductsPage() {
  * Dynamically creates options from existing products.
  */
 function populateCategoryFilter() {
-    const products = getData('products') || [];
+    const products = productsRepository.find();
     const filterCategory = document.getElementById('filterCategory');
     if (!filterCategory) return;
     
@@ -104,23 +117,17 @@ function renderTable() {
     const tableBody = document.getElementById('tableBody');
     if (!tableBody) return;
     
-    // 1. Get Data
-    let data = getData('products') || [];
-    // 2. Filter Data
-    data = applyFilters(data);
-    
-    // 3. Sort Data
-    if (currentSort.column) {
-        data = sortData(data, currentSort.column, currentSort.direction);
-    }
-    
-    // 4. Paginate Data (Slice the array)
-    const totalItems = data.length;
-    const startIndex = (currentPage - 1) * itemsPerPage;
-    const paginatedData = data.slice(startIndex, startIndex + itemsPerPage);
+    // 1-4. Filter, sort and paginate through the repository
+    const { items: paginatedData, total: totalItems } = productsRepository.query({
+        where: matchesFilters(),
+        sort: currentSort,
+        offset: (currentPage - 1) * itemsPerPage,
+        limit: itemsPerPage
+    });
     
-    // Admin check for edit/delete buttons
-    const isAdmin = window.currentUserRole === 'admin';
+    // Edit/delete buttons follow the permissions of the role
+    const canUpdate = can('products.update');
+    const canDelete = can('products.delete');
     
     // 5. Generate HTML
     tableBody.innerHTML = paginatedData.map(product => `
@@ -141,10 +148,12 @@ function renderTable() {
                     <button class="action-btn view" onclick="viewItem(${product.id})" title="Voir">
                         <i class="fas fa-eye"></i>
                     </button>
-                    ${isAdmin ? `
+                    ${canUpdate ? `
                         <button class="action-btn edit" onclick="editItem(${product.id})" title="Modifier">
                             <i class="fas fa-edit"></i>
                         </button>
+                    ` : ''}
+                    ${canDelete ? `
                         <button class="action-btn delete" onclick="deleteItem(${product.id})" title="Supprimer">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -190,15 +199,15 @@ function escapeHtml(text) {
  */
 
 /**
- * Apply Filters
- * Filters by search, category, availability.
+ * Build Filter Predicate
+ * Matches by search, category, availability.
  */
-function applyFilters(data) {
+function matchesFilters() {
     const searchTerm = document.getElementById('searchInput')?.value.toLowerCase() || '';
     const categoryFilter = document.getElementById('filterCategory')?.value || '';
     const availabilityFilter = document.getElementById('filterAvailability')?.value || '';
     
-    return data.filter(item => {
+    return item => {
         // Search: Check name OR supplier
         const matchesSearch = !searchTerm || 
             item.name.toLowerCase().includes(searchTerm) ||
@@ -210,7 +219,7 @@ function applyFilters(data) {
             item.available === (availabilityFilter === 'true');
         
         return matchesSearch && matchesCategory && matchesAvailability;
-    });
+    };
 }
 
 /**
@@ -247,7 +256,7 @@ function initFilters() {
     });
     
     exportCsvBtn?.addEventListener('click', () => {
-        const data = getData('products') || [];
+        const data = productsRepository.find();
         exportToCSV(data, 'produits', ['ID', 'Nom', 'Catégorie', 'Prix', 'Stock', 'Fournisseur', 'Disponible']);
         showToast('Export CSV réussi', 'success');
     });
@@ -280,9 +289,11 @@ function initModal() {
     
     // Open add modal
     addNewBtn?.addEventListener('click', () => {
+        if (!requirePermission('products.create')) return;
         editingId = null;
         document.getElementById('modalTitle').textContent = 'Nouveau Produit';
         entityForm?.reset();
+        clearConflictWarning();
         modalOverlay?.classList.add('show');
     });
     
@@ -337,33 +348,33 @@ function handleFormSubmit(e) {
         return;
     }
     
-    let data = getData('products') || [];
+    const onSaved = () => {
+        showUndoToast(editingId ? 'Produit mis à jour avec succès' : 'Produit ajouté avec succès');
+        document.getElementById('modalOverlay')?.classList.remove('show');
+        renderTable();
+    };
     
     if (editingId) {
-        // Update existing
-        const index = data.findIndex(item => item.id === editingId);
-        if (index !== -1) {
-            data[index] = { ...data[index], ...formData };
-            showToast('Produit mis à jour avec succès', 'success');
-        }
-    } else {
-        // Create new
-        formData.id = generateId('products');
-        data.push(formData);
-        showToast('Produit ajouté avec succès', 'success');
+        // Update existing (version checked against the opened one)
+        saveEditedRecord(productsRepository, editingId, formData, document.getElementById('entityVersion').value, onSaved);
+        return;
     }
     
-    setData('products', data);
-    document.getElementById('modalOverlay')?.classList.remove('show');
-    renderTable();
+    try {
+        // Create new
+        productsRepository.insert(formData);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    onSaved();
 }
 
 /**
  * View Product Details
  */
 function viewItem(id) {
-    const data = getData('products') || [];
-    const item = data.find(p => p.id === id);
+    const item = productsRepository.findById(id);
     
     if (!item) {
         showToast('Produit non trouvé', 'error');
@@ -412,8 +423,8 @@ function viewItem(id) {
  * Edit Product
  */
 function editItem(id) {
-    const data = getData('products') || [];
-    const item = data.find(p => p.id === id);
+    if (!requirePermission('products.update')) return;
+    const item = productsRepository.findById(id);
     
     if (!item) {
         showToast('Produit non trouvé', 'error');
@@ -423,12 +434,14 @@ function editItem(id) {
     editingId = id;
     document.getElementById('modalTitle').textContent = 'Modifier Produit';
     document.getElementById('entityId').value = item.id;
+    setEditBase(item);
     document.getElementById('name').value = item.name;
     document.getElementById('category').value = item.category;
     document.getElementById('price').value = item.price;
     document.getElementById('stock').value = item.stock;
     document.getElementById('supplier').value = item.supplier || '';
     document.getElementById('availability').value = item.available ? 'Disponible' : 'Rupture';
+    clearConflictWarning();
     document.getElementById('modalOverlay')?.classList.add('show');
 }
 
@@ -436,6 +449,7 @@ function editItem(id) {
  * Delete Product - Opens confirmation
  */
 function deleteItem(id) {
+    if (!requirePermission('products.delete')) return;
     deleteId = id;
     document.getElementById('deleteModalOverlay')?.classList.add('show');
 }
@@ -446,11 +460,15 @@ function deleteItem(id) {
 function confirmDelete() {
     if (!deleteId) return;
     
-    let data = getData('products') || [];
-    data = data.filter(item => item.id !== deleteId);
-    setData('products', data);
+    try {
+        productsRepository.remove(deleteId);
+    } catch (err) {
+        // Integrity rule or permission: nothing was deleted
+        showToast(err.message, 'error');
+        return;
+    }
     
-    showToast('Produit supprimé avec succès', 'success');
+    showUndoToast('Produit déplacé dans la corbeille');
     document.getElementById('deleteModalOverlay')?.classList.remove('show');
     renderTable();
     deleteId = null;
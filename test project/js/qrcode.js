@@ -0,0 +1,422 @@
+/* ==========================================
+ * GLOVOADMIN - QR CODES (qrcode.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Minimal QR code encoder (ISO/IEC 18004), so secrets
+ * such as the TOTP enrollment URI are never sent to an
+ * online QR service. Supports what the application
+ * needs: byte mode (UTF-8), error correction level M,
+ * versions 1 to 10 (up to 213 bytes). Rendered as SVG.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - QR_ECC_CODEWORDS / QR_BLOCKS / QR_ALIGNMENT: Level M tables
+ *
+ * SECTION 2: ERROR CORRECTION
+ *   - Reed-Solomon over GF(256)
+ *
+ * SECTION 3: MATRIX
+ *   - createQrMatrix(): Modules of a QR code
+ *
+ * SECTION 4: RENDERING
+ *   - renderQrSvg(): SVG markup
+ *
+ * DEPENDENCIES:
+ * - None
+ *
+ * USED BY:
+ * - account.js (two-factor enrollment)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------
+ * Tables indexed by version (index 0 unused).
+ * ------------------------------------------ */
+
+/** @constant {number} Highest supported version */
+const QR_MAX_VERSION = 10;
+
+/** @constant {Array<number>} Level M: error correction codewords per block */
+const QR_ECC_CODEWORDS = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+
+/** @constant {Array<number>} Level M: number of blocks */
+const QR_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+/** @constant {Array<Array<number>>} Alignment pattern centers */
+const QR_ALIGNMENT = [
+    [], [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+/** @constant {number} Format bits of level M */
+const QR_ECC_FORMAT_M = 0;
+
+/** @constant {Array<Function>} The eight data masks, (x, y) → invert? */
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/* ------------------------------------------
+ * SECTION 2: ERROR CORRECTION
+ * ------------------------------------------ */
+
+/**
+ * GF(256) multiplication (polynomial 0x11D)
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial
+ * @param {number} degree - Error correction codewords
+ * @returns {Array<number>} Coefficients, highest degree first (leading 1 omitted)
+ */
+function qrDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon remainder
+ * @param {Array<number>} data - Data codewords of a block
+ * @param {Array<number>} divisor - From qrDivisor()
+ * @returns {Array<number>} Error correction codewords
+ */
+function qrRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= qrMultiply(coefficient, factor); });
+    });
+    return result;
+}
+
+/* ------------------------------------------
+ * SECTION 3: MATRIX
+ * ------------------------------------------ */
+
+/**
+ * Codewords available in a version
+ * @param {number} version - 1 to 10
+ * @returns {number} Data and error correction codewords
+ */
+function qrTotalCodewords(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return Math.floor(modules / 8);
+}
+
+/**
+ * Data capacity of a version
+ * @param {number} version
+ * @returns {number} Data codewords (level M)
+ */
+function qrDataCodewords(version) {
+    return qrTotalCodewords(version) - QR_ECC_CODEWORDS[version] * QR_BLOCKS[version];
+}
+
+/**
+ * Encode the data codewords
+ * @param {Uint8Array} bytes - UTF-8 text
+ * @param {number} version
+ * @returns {Array<number>} Mode, length, data, terminator and padding
+ */
+function qrEncodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = qrDataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Add error correction and interleave the blocks
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version
+ * @returns {Array<number>} Final codeword sequence
+ */
+function qrInterleave(data, version) {
+    const blockCount = QR_BLOCKS[version];
+    const divisor = qrDivisor(QR_ECC_CODEWORDS[version]);
+    const shortLength = Math.floor(data.length / blockCount);
+    const longBlocks = data.length % blockCount;
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        // The last blocks hold one more data codeword
+        const length = shortLength + (i >= blockCount - longBlocks ? 1 : 0);
+        const blockData = data.slice(offset, offset + length);
+        blocks.push({ data: blockData, ecc: qrRemainder(blockData, divisor) });
+        offset += length;
+    }
+
+    const result = [];
+    for (let i = 0; i <= shortLength; i++) {
+        blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < divisor.length; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Create QR Matrix
+ * @function createQrMatrix
+ * @param {string} text - Text to encode
+ * @returns {Array<Array<boolean>>} Modules [y][x], true = dark
+ * @throws {Error} If the text does not fit in version 10
+ */
+function createQrMatrix(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= QR_MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('Texte trop long pour un QR code');
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+    // Alignment patterns (not over the finders)
+    const centers = QR_ALIGNMENT[version];
+    centers.forEach((cy, i) => centers.forEach((cx, j) => {
+        const last = centers.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+    // Format area (real bits drawn with the mask below)
+    drawQrFormat(setFunction, size, 0);
+    // Version information (7 and up)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Data, in two-module columns zigzagging from the bottom right
+    const codewords = qrInterleave(qrEncodeData(bytes, version), version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    // Keep the mask with the lowest penalty
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+        drawQrFormat(setFunction, size, mask);
+    };
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((test, mask) => {
+        applyMask(mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);  // XOR again: back to unmasked
+    });
+    applyMask(bestMask);
+    return modules;
+}
+
+/**
+ * Draw the format bits (level M) and the dark module
+ * @param {Function} setFunction - (x, y, dark)
+ * @param {number} size - Modules per side
+ * @param {number} mask - Mask 0-7
+ */
+function drawQrFormat(setFunction, size, mask) {
+    const data = (QR_ECC_FORMAT_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    // Copy next to the other two finders
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+}
+
+/**
+ * Mask penalty (the four rules of the standard)
+ * @param {Array<Array<boolean>>} modules
+ * @returns {number} Lower is better
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let penalty = 0;
+    let dark = 0;
+
+    const scanLine = (get) => {
+        let runColor = get(0);
+        let runLength = 0;
+        for (let i = 0; i < size; i++) {
+            const color = get(i);
+            if (color === runColor) {
+                runLength++;
+            } else {
+                if (runLength >= 5) penalty += runLength - 2;
+                runColor = color;
+                runLength = 1;
+            }
+            if (i <= size - 11 && finderLike.some(pattern => pattern.every((value, k) => get(i + k) === value))) {
+                penalty += 40;
+            }
+        }
+        if (runLength >= 5) penalty += runLength - 2;
+    };
+
+    for (let i = 0; i < size; i++) {
+        scanLine(x => modules[i][x]);
+        scanLine(y => modules[y][i]);
+    }
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/* ------------------------------------------
+ * SECTION 4: RENDERING
+ * ------------------------------------------ */
+
+/**
+ * Render QR SVG
+ * @function renderQrSvg
+ * @param {string} text - Text to encode
+ * @param {number} [pixels=200] - Displayed width and height
+ * @returns {string} SVG markup, with the standard 4-module quiet zone
+ */
+function renderQrSvg(text, pixels = 200) {
+    const modules = createQrMatrix(text);
+    const side = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="qr-code" width="${pixels}" height="${pixels}" ` +
+        `viewBox="0 0 ${side} ${side}" shape-rendering="crispEdges">` +
+        `<rect width="${side}" height="${side}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,1150 @@
+/* ==========================================
+ * GLOVOADMIN - ENTITY REPOSITORY LAYER (repository.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Single data-access API shared by every page.
+ * Each entity (users, products, clients, orders, deliveries)
+ * gets one repository exposing find, findById, insert,
+ * update, put, remove and query. Records are validated against
+ * the entity schema before anything is written, so a bad
+ * form submit can never corrupt the stored array.
+ *
+ * Deletes are soft: remove() stamps the record with
+ * deletedAt / deletedBy and moves it to the trash
+ * ("Corbeille"). Deleted records are hidden from find,
+ * findById and query until restored or purged. Records
+ * referencing a deleted one are handled by the integrity
+ * rules (block, cascade or nullify).
+ *
+ * Entities with a status workflow (orders) only accept the
+ * status changes of their transition graph, and log each
+ * change in a history field.
+ *
+ * Every write stamps the record with version (1, 2, ...),
+ * updatedAt and updatedBy. An update (or the put and purge
+ * of undo/redo) can name the version it started from; it is
+ * rejected with a ConflictError if the record changed since
+ * (optimistic concurrency).
+ *
+ * Every write first checks the permission of the logged-in
+ * user for that entity and action (permissions.js), e.g.
+ * 'orders.update'; restore and purge need the delete right.
+ *
+ * Records are loaded once from the storage backend
+ * (storage.js) into memory by loadRepositories(). Reads are
+ * synchronous; each write updates memory first and is then
+ * persisted to the backend in the background.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: ENTITY SCHEMAS
+ *   - ENTITY_SCHEMAS: Field rules per entity
+ *   - STATUS_WORKFLOWS: Allowed status changes per entity
+ *
+ * SECTION 2: VALIDATION
+ *   - ValidationError: Error thrown on invalid records
+ *   - ConflictError: Error thrown on a stale update
+ *   - validateRecord(): Check a record against its schema
+ *   - getNextStatuses(): Statuses a record may change to
+ *
+ * SECTION 3: IN-MEMORY CACHE & PERSISTENCE
+ *   - loadRepositories(): Load every entity from the backend
+ *   - persist(): Track a background write
+ *   - flushRepositories(): Wait for pending writes
+ *
+ * SECTION 4: REPOSITORY FACTORY
+ *   - createRepository(): Build the CRUD API for one entity
+ *
+ * SECTION 5: REPOSITORY REGISTRY
+ *   - getRepository(): Shared repository instance per entity
+ *
+ * SECTION 6: TRASH RETENTION
+ *   - purgeExpiredRecords(): Automatic purge of old deletions
+ *
+ * SECTION 7: CHANGE NOTIFICATIONS
+ *   - onRepositoryChange(): Subscribe to every write
+ *   - applyRemoteChange(): Apply a write made in another tab
+ *
+ * SECTION 8: REFERENTIAL INTEGRITY
+ *   - INTEGRITY_RELATIONS: References between entities
+ *   - IntegrityError: Error thrown when a delete is blocked
+ *   - planDelete(): Records affected by a delete
+ *   - describeDeletePlan(): Lines for the confirmation dialog
+ *
+ * DEPENDENCIES:
+ * - storage.js (getStorageBackend, getMeta)
+ * - script.js (generateId, advanceIdSequence, sortData, showToast, getCurrentUser)
+ * - permissions.js (assertPermission, withoutPermissionChecks)
+ * - session.js (getImpersonator)
+ * - pricing.js (VAT_RATES; loaded before this file)
+ *
+ * USED BY:
+ * - All page-specific JS files (loaded before them)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: ENTITY SCHEMAS
+ * ------------------------------------------
+ * Field rules for each stored entity.
+ * Supported rules: type, required, enum, min,
+ * integer, pattern, nullable (a required field
+ * may be null, e.g. once its referenced record is
+ * deleted, see SECTION 8). Arrays may also have
+ * minItems and items (rules for the fields of each
+ * element, e.g. order lines). Fields that are not
+ * listed are stored as-is.
+ * ------------------------------------------ */
+
+/** @constant {RegExp} Loose email format check */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Record Stamp Fields
+ * @constant {Object<string, Object>}
+ * @description Set by the repository on every write (never by
+ * forms): version starts at 1 and grows with each change.
+ */
+const RECORD_STAMP_FIELDS = {
+    version: { type: 'number', integer: true, min: 1 },
+    updatedAt: { type: 'string' },
+    updatedBy: { type: 'string' }
+};
+
+/**
+ * Order Item Fields
+ * @constant {Object<string, Object>}
+ * @description One order line. name, unitPrice (TTC) and vatRate (%)
+ * are copied from the catalog when the line is added (see
+ * pricing.js), so the order keeps them if the product changes or is
+ * deleted (productId is then stale, or null for lines that matched
+ * no product).
+ */
+const ORDER_ITEM_FIELDS = {
+    productId: { type: 'number', integer: true, nullable: true },
+    name: { type: 'string', required: true },
+    unitPrice: { type: 'number', required: true, min: 0 },
+    quantity: { type: 'number', required: true, integer: true, min: 1 },
+    vatRate: { type: 'number', required: true, min: 0 }
+};
+
+/**
+ * Status History Fields
+ * @constant {Object<string, Object>}
+ * @description One status change: from is null for the status a
+ * record was created with. impersonatedBy names the admin who made
+ * the change as another user (session.js).
+ */
+const STATUS_HISTORY_FIELDS = {
+    from: { type: 'string', nullable: true },
+    to: { type: 'string', required: true },
+    at: { type: 'string', required: true },
+    by: { type: 'string' },
+    impersonatedBy: { type: 'string' }
+};
+
+/**
+ * Entity Schemas
+ * @constant {Object<string, Object>}
+ * @description Maps entity key → { field: rules }.
+ */
+const ENTITY_SCHEMAS = {
+    users: {
+        id: { type: 'number', required: true, integer: true, min: 1 },
+        name: { type: 'string', required: true },
+        email: { type: 'string', required: true, pattern: EMAIL_PATTERN },
+        role: { type: 'string', required: true, enum: ['Admin', 'Manager', 'Livreur', 'Client'] },
+        status: { type: 'string', required: true, enum: ['Actif', 'Inactif'] },
+        phone: { type: 'string' },
+        // Salted PBKDF2 hash (auth.js), never the password itself
+        passwordHash: { type: 'string' },
+        // Two-factor authentication (totp.js)
+        totpSecret: { type: 'string' },
+        totpLastStep: { type: 'number', integer: true, min: 0 },
+        recoveryCodes: { type: 'array' },
+        // Storefront customers (role Client): their clients record (customer.js)
+        clientId: { type: 'number', integer: true, nullable: true },
+        createdAt: { type: 'string' },
+        ...RECORD_STAMP_FIELDS
+    },
+    products: {
+        id: { type: 'number', required: true, integer: true, min: 1 },
+        name: { type: 'string', required: true },
+        // Categories with a VAT rate (pricing.js), so none is taxed by default
+        category: { type: 'string', required: true, enum: Object.keys(VAT_RATES) },
+        price: { type: 'number', required: true, min: 0 },
+        stock: { type: 'number', integer: true, min: 0 },
+        supplier: { type: 'string' },
+        available: { type: 'boolean' },
+        ...RECORD_STAMP_FIELDS
+    },
+    clients: {
+        id: { type: 'number', required: true, integer: true, min: 1 },
+        name: { type: 'string', required: true },
+        email: { type: 'string', required: true, pattern: EMAIL_PATTERN },
+        phone: { type: 'string' },
+        type: { type: 'string', enum: ['Particulier', 'Entreprise'] },
+        city: { type: 'string' },
+        address: { type: 'string' },
+        orders: { type: 'number', integer: true, min: 0 },
+        createdAt: { type: 'string' },
+        ...RECORD_STAMP_FIELDS
+    },
+    orders: {
+        id: { type: 'number', required: true, integer: true, min: 1 },
+        clientId: { type: 'number', required: true, integer: true, nullable: true },
+        clientName: { type: 'string' },
+        items: { type: 'array', required: true, minItems: 1, items: ORDER_ITEM_FIELDS },
+        // Pricing (pricing.js): amount is the total to pay (TTC)
+        discountType: { type: 'string', enum: ['percent', 'amount'] },
+        discountValue: { type: 'number', min: 0 },
+        deliveryFee: { type: 'number', min: 0 },
+        quantity: { type: 'number', integer: true, min: 1 },
+        amount: { type: 'number', required: true, min: 0 },
+        status: { type: 'string', required: true, enum: ['En attente', 'En cours', 'Livrée', 'Annulée'] },
+        // Set by the repository (STATUS_WORKFLOWS), never by forms
+        statusHistory: { type: 'array', items: STATUS_HISTORY_FIELDS },
+        paymentStatus: { type: 'string' },
+        address: { type: 'string' },
+        notes: { type: 'string' },
+        createdAt: { type: 'string' },
+        ...RECORD_STAMP_FIELDS
+    },
+    deliveries: {
+        id: { type: 'number', required: true, integer: true, min: 1 },
+        orderId: { type: 'number', required: true, integer: true, nullable: true },
+        // Driver's user id; driver is their name, as displayed (like orders.clientName)
+        driverId: { type: 'number', required: true, integer: true, nullable: true },
+        driver: { type: 'string', required: true, nullable: true },
+        address: { type: 'string', required: true },
+        status: { type: 'string', required: true, enum: ['En attente', 'En cours', 'Livrée', 'Échec'] },
+        duration: { type: 'number', min: 0 },
+        notes: { type: 'string' },
+        ...RECORD_STAMP_FIELDS
+    }
+};
+
+/**
+ * Status Workflows
+ * @constant {Object<string, Object>}
+ * @description Entity → workflow of its status field:
+ *   - field: the status field
+ *   - initial: statuses a new record may start with
+ *   - transitions: status → statuses it may change to (none
+ *     for final statuses)
+ *   - history: field logging every change, oldest first
+ * Checked by insert and update; put (undo/redo) and replaceAll
+ * (restore, migrations) store exact states and are not.
+ */
+const STATUS_WORKFLOWS = {
+    orders: {
+        field: 'status',
+        initial: ['En attente'],
+        transitions: {
+            'En attente': ['En cours', 'Annulée'],
+            'En cours': ['Livrée', 'Annulée'],
+            'Livrée': [],
+            'Annulée': []
+        },
+        history: 'statusHistory'
+    }
+};
+
+/* ------------------------------------------
+ * SECTION 2: VALIDATION
+ * ------------------------------------------
+ * Schema checks run before every write.
+ * ------------------------------------------ */
+
+/**
+ * Validation Error
+ * @class ValidationError
+ * @extends Error
+ * @description Thrown by insert/update when a record
+ * breaks its schema. `errors` lists every problem found.
+ */
+class ValidationError extends Error {
+    constructor(entity, errors) {
+        super(errors[0]);
+        this.name = 'ValidationError';
+        this.entity = entity;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Conflict Error
+ * @class ConflictError
+ * @extends Error
+ * @description Thrown by update(), put() and purge() when the stored
+ * record is no longer the version the caller started from (optimistic
+ * concurrency). `current` is the stored record (null if it no longer
+ * exists).
+ */
+class ConflictError extends Error {
+    constructor(entity, current) {
+        super(current
+            ? `Cet enregistrement a été modifié par ${current.updatedBy || 'un autre utilisateur'} entre-temps`
+            : 'Cet enregistrement a été supprimé entre-temps');
+        this.name = 'ConflictError';
+        this.entity = entity;
+        this.current = current;
+    }
+}
+
+/**
+ * Validate Record
+ * @function validateRecord
+ * @param {string} entity - Entity key (e.g. 'orders')
+ * @param {Object} record - Record to check
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateRecord(entity, record) {
+    if (!record || typeof record !== 'object') {
+        return ['Enregistrement invalide'];
+    }
+    return validateFields(ENTITY_SCHEMAS[entity] || {}, record);
+}
+
+/**
+ * Get Next Statuses
+ * @function getNextStatuses
+ * @param {string} entity - Entity key (e.g. 'orders')
+ * @param {string|null} status - Current status, or null for a new record
+ * @returns {Array<string>|null} Statuses the record may change to,
+ *   or null if the entity has no workflow
+ */
+function getNextStatuses(entity, status) {
+    const workflow = STATUS_WORKFLOWS[entity];
+    if (!workflow) return null;
+    return status === null ? workflow.initial : workflow.transitions[status] || [];
+}
+
+/**
+ * Validate Fields
+ * @param {Object<string, Object>} schema - Field rules
+ * @param {Object} record - Record (or array element) to check
+ * @param {string} [prefix] - Shown before field names, e.g. 'items[2].'
+ * @returns {Array<string>} Error messages
+ */
+function validateFields(schema, record, prefix = '') {
+    const errors = [];
+
+    Object.keys(schema).forEach(key => {
+        const rules = schema[key];
+        const value = record[key];
+        const field = prefix + key;
+        const isEmpty = value === undefined || value === null || value === '';
+
+        if (isEmpty) {
+            if (rules.required && !(rules.nullable && value === null)) errors.push(`Le champ « ${field} » est obligatoire`);
+            return;
+        }
+
+        // Type check (NaN is rejected for numbers)
+        if (rules.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors.push(`Le champ « ${field} » doit être un nombre`);
+            return;
+        }
+        if (rules.type === 'array' ? !Array.isArray(value) : (rules.type !== 'number' && rules.type && typeof value !== rules.type)) {
+            errors.push(`Le champ « ${field} » a un type invalide`);
+            return;
+        }
+
+        if (rules.integer && !Number.isInteger(value)) {
+            errors.push(`Le champ « ${field} » doit être un entier`);
+        }
+        if (rules.min !== undefined && value < rules.min) {
+            errors.push(`Le champ « ${field} » doit être supérieur ou égal à ${rules.min}`);
+        }
+        if (rules.enum && !rules.enum.includes(value)) {
+            errors.push(`Valeur « ${value} » non autorisée pour « ${field} »`);
+        }
+        if (rules.pattern && !rules.pattern.test(value)) {
+            errors.push(`Le champ « ${field} » a un format invalide`);
+        }
+        if (rules.minItems !== undefined && value.length < rules.minItems) {
+            errors.push(`Le champ « ${field} » doit contenir au moins ${rules.minItems} élément(s)`);
+        }
+        if (rules.items) {
+            value.forEach((element, index) => {
+                const elementField = `${field}[${index + 1}]`;
+                if (!element || typeof element !== 'object') {
+                    errors.push(`Le champ « ${elementField} » a un type invalide`);
+                } else {
+                    errors.push(...validateFields(rules.items, element, `${elementField}.`));
+                }
+            });
+        }
+    });
+
+    return errors;
+}
+
+/* ------------------------------------------
+ * SECTION 3: IN-MEMORY CACHE & PERSISTENCE
+ * ------------------------------------------
+ * Entity arrays are kept in memory so pages can
+ * read synchronously. Writes to the backend are
+ * tracked so callers can wait for them.
+ * ------------------------------------------ */
+
+/** @type {Object<string, Array|null>} Entity → records (null if never stored) */
+const repositoryCache = {};
+
+/** @type {Set<Promise>} Backend writes still in flight */
+const pendingWrites = new Set();
+
+/**
+ * Load Repositories
+ * @function loadRepositories
+ * @returns {Promise<void>} Resolves once every entity is in memory
+ * @description Must run after initStorage().
+ */
+async function loadRepositories() {
+    const backend = getStorageBackend();
+    for (const entity of Object.keys(ENTITY_SCHEMAS)) {
+        repositoryCache[entity] = await backend.loadAll(entity);
+    }
+}
+
+/**
+ * Persist
+ * @function persist
+ * @param {Promise} write - Backend write
+ * @description Tracks a background write and reports failures.
+ */
+function persist(write) {
+    pendingWrites.add(write);
+    write
+        .catch(err => {
+            console.error('[repository] Échec de la sauvegarde', err);
+            showToast('Erreur lors de la sauvegarde des données', 'error');
+        })
+        .finally(() => pendingWrites.delete(write));
+}
+
+/**
+ * Flush Repositories
+ * @function flushRepositories
+ * @returns {Promise<void>} Resolves once all pending writes are done
+ * @description Call before navigating away right after a write.
+ */
+function flushRepositories() {
+    return Promise.allSettled([...pendingWrites]).then(() => undefined);
+}
+
+/**
+ * Deep copy a record so callers cannot mutate the cache
+ * @param {*} value
+ * @returns {*} Copy
+ */
+function cloneRecord(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/* ------------------------------------------
+ * SECTION 4: REPOSITORY FACTORY
+ * ------------------------------------------
+ * Builds the CRUD API for a single entity.
+ * The cache is only changed after the new
+ * state has passed validation.
+ * ------------------------------------------ */
+
+/**
+ * Create Repository
+ * @function createRepository
+ * @param {string} entity - Entity key, also the backend store name
+ * @returns {Object} Repository API
+ */
+function createRepository(entity) {
+
+    /** Cached array (never null) */
+    function load() {
+        return repositoryCache[entity] || [];
+    }
+
+    /** Records that are not in the trash */
+    function live() {
+        return load().filter(item => !item.deletedAt);
+    }
+
+    /** Replace the cached array */
+    function store(records) {
+        repositoryCache[entity] = records;
+    }
+
+    /**
+     * Stamp a record for a write
+     * @param {Object} record - Record about to be stored
+     * @param {number} version - Its new version
+     * @returns {Object} Stamped copy
+     */
+    function stamp(record, version) {
+        const user = getCurrentUser();
+        return { ...record, version, updatedAt: new Date().toISOString(), updatedBy: user ? user.name : '' };
+    }
+
+    /**
+     * Throw if the stored record is not the expected version
+     * @param {Object|null} stored - Stored record, trash included
+     * @param {number|null} [expectedVersion] - undefined: no check
+     */
+    function assertExpectedVersion(stored, expectedVersion) {
+        if (expectedVersion !== undefined && (stored ? stored.version : null) !== expectedVersion) {
+            throw new ConflictError(entity, stored ? cloneRecord(stored) : null);
+        }
+    }
+
+    /**
+     * Apply the status workflow to a write
+     * @param {Object|null} before - Stored record (null for an insert)
+     * @param {Object} record - Record about to be stored; a status
+     *   change is appended to its history
+     * @throws {ValidationError} If the workflow forbids the change
+     */
+    function applyWorkflow(before, record) {
+        const workflow = STATUS_WORKFLOWS[entity];
+        if (!workflow) return;
+        const from = before ? before[workflow.field] : null;
+        const to = record[workflow.field];
+        if (before && from === to) return;
+
+        if (!getNextStatuses(entity, from).includes(to)) {
+            throw new ValidationError(entity, [from === null
+                ? `Statut initial non autorisé : « ${to} »`
+                : `Changement de statut non autorisé : « ${from} » → « ${to} »`]);
+        }
+        const user = getCurrentUser();
+        const impersonator = getImpersonator();
+        const entry = { from, to, at: record.updatedAt, by: user ? user.name : '' };
+        if (impersonator) entry.impersonatedBy = impersonator.name;
+        record[workflow.history] = [...((before && before[workflow.history]) || []), entry];
+    }
+
+    /** Throw if the record breaks the schema */
+    function assertValid(record) {
+        const errors = validateRecord(entity, record);
+        if (errors.length > 0) {
+            throw new ValidationError(entity, errors);
+        }
+    }
+
+    return {
+        entity,
+
+        /**
+         * Find Records
+         * @param {Function} [predicate] - Optional filter
+         * @returns {Array<Object>} Matching records (trash excluded)
+         */
+        find(predicate) {
+            const records = live().map(cloneRecord);
+            return predicate ? records.filter(predicate) : records;
+        },
+
+        /**
+         * Find Deleted Records
+         * @param {Function} [predicate] - Optional filter
+         * @returns {Array<Object>} Records in the trash
+         */
+        findDeleted(predicate) {
+            const records = load().filter(item => item.deletedAt).map(cloneRecord);
+            return predicate ? records.filter(predicate) : records;
+        },
+
+        /**
+         * Find All Records
+         * @returns {Array<Object>} Every stored record, trash included
+         * (for id generation, backups and migrations)
+         */
+        findAll() {
+            return load().map(cloneRecord);
+        },
+
+        /**
+         * Find Record by ID
+         * @param {number|string} id - Record ID (form values are strings)
+         * @returns {Object|null} The record or null (also if in the trash)
+         */
+        findById(id) {
+            const record = live().find(item => item.id === Number(id));
+            return record ? cloneRecord(record) : null;
+        },
+
+        /**
+         * Insert Record
+         * @param {Object} record - New record (id generated if missing)
+         * @returns {Object} The stored record
+         * @throws {ValidationError} If the record is invalid (or starts
+         *   with a status its workflow does not allow)
+         */
+        insert(record) {
+            assertPermission(`${entity}.create`);
+            const newRecord = stamp(cloneRecord(record), 1);
+            if (newRecord.id === undefined || newRecord.id === null) {
+                newRecord.id = generateId(entity);
+            }
+            applyWorkflow(null, newRecord);
+            assertValid(newRecord);
+            store([...load(), newRecord]);
+            persist(getStorageBackend().insert(entity, newRecord));
+            notifyChange({ entity, type: 'insert', id: newRecord.id, before: null, after: newRecord });
+            return cloneRecord(newRecord);
+        },
+
+        /**
+         * Update Record
+         * @param {number|string} id - Record ID
+         * @param {Object} changes - Fields to merge over the stored record
+         * @param {Object} [options]
+         * @param {number} [options.expectedVersion] - Version the caller
+         *   started from (e.g. when the edit modal opened)
+         * @returns {Object|null} Updated record, or null if not found
+         * @throws {ValidationError} If the merged record is invalid, or
+         *   its status change is not allowed (STATUS_WORKFLOWS)
+         * @throws {ConflictError} If the stored version is not expectedVersion
+         */
+        update(id, changes, { expectedVersion } = {}) {
+            assertPermission(`${entity}.update`);
+            const records = load();
+            const index = records.findIndex(item => item.id === Number(id) && !item.deletedAt);
+            if (index === -1) return null;
+
+            const stored = records[index];
+            if (expectedVersion !== undefined && stored.version !== expectedVersion) {
+                throw new ConflictError(entity, cloneRecord(stored));
+            }
+
+            // The id is never changed by an update
+            const updated = stamp(cloneRecord({ ...stored, ...changes, id: stored.id }), (stored.version || 0) + 1);
+            applyWorkflow(stored, updated);
+            assertValid(updated);
+            store(records.map((item, i) => (i === index ? updated : item)));
+            persist(getStorageBackend().put(entity, updated));
+            notifyChange({ entity, type: 'update', id: updated.id, before: records[index], after: updated });
+            return cloneRecord(updated);
+        },
+
+        /**
+         * Put Record
+         * @param {Object} record - Complete record, with its id
+         * @param {Object} [options]
+         * @param {number|null} [options.expectedVersion] - Version of the
+         *   stored record the caller started from (null: no record)
+         * @returns {Object} The stored record
+         * @throws {ValidationError} If the record is invalid
+         * @throws {ConflictError} If the stored version is not expectedVersion
+         * @description Inserts the record, or fully replaces the stored
+         * record with the same id (fields missing from it are dropped).
+         * Used to restore an exact previous state (undo/redo). A replaced
+         * record still gets a new version, so open editors see the change.
+         */
+        put(record, { expectedVersion } = {}) {
+            const records = load();
+            const previous = records.find(item => item.id === record.id) || null;
+            assertPermission(`${entity}.${previous ? 'update' : 'create'}`);
+            assertExpectedVersion(previous, expectedVersion);
+            const newRecord = previous
+                ? stamp(cloneRecord(record), (previous.version || 0) + 1)
+                : cloneRecord(record);
+            assertValid(newRecord);
+            store(previous
+                ? records.map(item => (item === previous ? newRecord : item))
+                : [...records, newRecord]);
+            persist(getStorageBackend().put(entity, newRecord));
+            notifyChange({
+                entity,
+                type: previous ? 'update' : 'insert',
+                id: newRecord.id,
+                before: previous,
+                after: newRecord
+            });
+            return cloneRecord(newRecord);
+        },
+
+        /**
+         * Remove Record (move to trash)
+         * @param {number|string} id - Record ID
+         * @returns {Object|null} Deleted record, or null if not found
+         * @throws {IntegrityError} If a 'block' rule protects the record
+         * @description Stamps deletedAt / deletedBy; the record
+         * stays stored until restored or purged. Dependent records
+         * are first deleted or detached (see SECTION 8).
+         */
+        remove(id) {
+            const removed = load().find(item => item.id === Number(id) && !item.deletedAt);
+            if (!removed) return null;
+
+            // Nothing is written if any record down the chain is protected,
+            // or if the user may not change one of them
+            assertPermission(`${entity}.delete`);
+            const plan = planDelete(entity, removed.id);
+            if (plan.blocked.length > 0) throw new IntegrityError(plan);
+            plan.cascade.forEach(dependent => assertPermission(`${dependent.entity}.delete`));
+            plan.nullify.forEach(dependent => assertPermission(`${dependent.entity}.update`));
+            applyDeleteRules(entity, removed);
+
+            const records = load();
+            const user = getCurrentUser();
+            const deleted = {
+                ...stamp(removed, (removed.version || 0) + 1),
+                deletedAt: new Date().toISOString(),
+                deletedBy: user ? user.name : ''
+            };
+            store(records.map(item => (item === removed ? deleted : item)));
+            persist(getStorageBackend().put(entity, deleted));
+            notifyChange({ entity, type: 'remove', id: removed.id, before: removed, after: deleted });
+            return cloneRecord(deleted);
+        },
+
+        /**
+         * Restore Record from the trash
+         * @param {number|string} id - Record ID
+         * @returns {Object|null} Restored record, or null if not in the trash
+         */
+        restore(id) {
+            assertPermission(`${entity}.delete`);
+            const records = load();
+            const deleted = records.find(item => item.id === Number(id) && item.deletedAt);
+            if (!deleted) return null;
+            const { deletedAt, deletedBy, ...kept } = deleted;
+            const restored = stamp(kept, (deleted.version || 0) + 1);
+            store(records.map(item => (item === deleted ? restored : item)));
+            persist(getStorageBackend().put(entity, restored));
+            notifyChange({ entity, type: 'restore', id: restored.id, before: deleted, after: restored });
+            return cloneRecord(restored);
+        },
+
+        /**
+         * Purge Record (permanent delete)
+         * @param {number|string} id - Record ID
+         * @param {Object} [options]
+         * @param {number|null} [options.expectedVersion] - See put()
+         * @returns {Object|null} Purged record, or null if not found
+         * @throws {ConflictError} If the stored version is not expectedVersion
+         */
+        purge(id, { expectedVersion } = {}) {
+            assertPermission(`${entity}.delete`);
+            const records = load();
+            const purged = records.find(item => item.id === Number(id));
+            assertExpectedVersion(purged || null, expectedVersion);
+            if (!purged) return null;
+            store(records.filter(item => item !== purged));
+            persist(getStorageBackend().delete(entity, purged.id));
+            notifyChange({ entity, type: 'purge', id: purged.id, before: purged, after: null });
+            return cloneRecord(purged);
+        },
+
+        /**
+         * Replace All Records
+         * @param {Array<Object>} records - New full content of the entity
+         * @param {Object} [options]
+         * @param {boolean} [options.validate=true] - false only for schema
+         *   migrations, whose intermediate records predate the current schema
+         * @throws {ValidationError} If any record is invalid (nothing is written)
+         * @description Records without a version (sample data, generated
+         * data, old backups) are stamped as version 1.
+         */
+        replaceAll(records, { validate = true } = {}) {
+            ['create', 'update', 'delete'].forEach(action => assertPermission(`${entity}.${action}`));
+            const copies = records.map(record => (record.version ? cloneRecord(record) : stamp(cloneRecord(record), 1)));
+            if (validate) copies.forEach(assertValid);
+            const previous = load();
+            store(copies);
+            persist(getStorageBackend().saveAll(entity, copies));
+            notifyChange({ entity, type: 'replace', id: null, before: previous, after: copies });
+        },
+
+        /**
+         * Is Initialized
+         * @returns {boolean} True once the entity has been stored at least once
+         */
+        isInitialized() {
+            return repositoryCache[entity] !== null && repositoryCache[entity] !== undefined;
+        },
+
+        /**
+         * Query Records
+         * @param {Object} [options]
+         * @param {Object|Function} [options.where] - Field equality map or predicate
+         * @param {Object} [options.sort] - { column, direction }
+         * @param {number} [options.offset=0] - Items to skip
+         * @param {number} [options.limit] - Max items returned
+         * @returns {{items: Array<Object>, total: number}} Page of results and total match count
+         */
+        query({ where, sort, offset = 0, limit } = {}) {
+            let records = live().map(cloneRecord);
+
+            if (typeof where === 'function') {
+                records = records.filter(where);
+            } else if (where) {
+                records = records.filter(item =>
+                    Object.keys(where).every(field => where[field] === '' || where[field] === undefined || item[field] === where[field])
+                );
+            }
+
+            if (sort && sort.column) {
+                records = sortData(records, sort.column, sort.direction);
+            }
+
+            const total = records.length;
+            const items = limit === undefined ? records.slice(offset) : records.slice(offset, offset + limit);
+            return { items, total };
+        }
+    };
+}
+
+/* ------------------------------------------
+ * SECTION 5: REPOSITORY REGISTRY
+ * ------------------------------------------
+ * One shared repository per entity.
+ * ------------------------------------------ */
+
+/** @type {Object<string, Object>} Created repositories, by entity */
+const repositories = {};
+
+/**
+ * Get Repository
+ * @function getRepository
+ * @param {string} entity - users | products | clients | orders | deliveries
+ * @returns {Object} Repository for the entity
+ */
+function getRepository(entity) {
+    if (!ENTITY_SCHEMAS[entity]) {
+        throw new Error(`Entité inconnue : ${entity}`);
+    }
+    if (!repositories[entity]) {
+        repositories[entity] = createRepository(entity);
+    }
+    return repositories[entity];
+}
+
+/* ------------------------------------------
+ * SECTION 6: TRASH RETENTION
+ * ------------------------------------------
+ * Deleted records are purged automatically once
+ * they have been in the trash longer than the
+ * retention period (meta 'trashRetentionDays').
+ * ------------------------------------------ */
+
+/** @constant {number} Default trash retention, in days */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Get Trash Retention
+ * @function getTrashRetentionDays
+ * @returns {number} Days a deleted record is kept
+ */
+function getTrashRetentionDays() {
+    return getMeta('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+}
+
+/**
+ * Purge Expired Records
+ * @function purgeExpiredRecords
+ * @returns {number} Number of records purged
+ * @description Run at startup (bootstrapApp).
+ */
+function purgeExpiredRecords() {
+    const limit = Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    let purged = 0;
+
+    // Retention applies to every entity, whoever triggers it
+    withoutPermissionChecks(() => Object.keys(ENTITY_SCHEMAS).forEach(entity => {
+        const repository = getRepository(entity);
+        repository.findDeleted(item => new Date(item.deletedAt).getTime() < limit).forEach(item => {
+            repository.purge(item.id);
+            purged++;
+        });
+    }));
+
+    if (purged > 0) {
+        console.info(`[repository] ${purged} élément(s) purgé(s) de la corbeille`);
+    }
+    return purged;
+}
+
+/* ------------------------------------------
+ * SECTION 7: CHANGE NOTIFICATIONS
+ * ------------------------------------------
+ * Every write is reported to listeners as a
+ * change object:
+ *   { entity, type, id, before, after, source }
+ * type:   'insert' | 'update' | 'remove' (to trash)
+ *         | 'restore' | 'purge' | 'replace'
+ * before/after: records (arrays for 'replace'),
+ *   null when absent (after is null only for 'purge')
+ * source: 'local' (this tab) | 'remote' (another tab)
+ * ------------------------------------------ */
+
+/** @type {Array<Function>} Change listeners */
+const changeListeners = [];
+
+/**
+ * On Repository Change
+ * @function onRepositoryChange
+ * @param {Function} listener - Called with a copy of each change
+ */
+function onRepositoryChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Notify listeners of a change
+ * @param {Object} change - Change without source (defaults to 'local')
+ */
+function notifyChange(change) {
+    const event = cloneRecord({ source: 'local', ...change });
+    changeListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('[repository] Erreur dans un écouteur de changement', err);
+        }
+    });
+}
+
+/**
+ * Apply Remote Change
+ * @function applyRemoteChange
+ * @param {Object} change - Change made (and persisted) by another tab
+ * @description Updates the in-memory cache only, then notifies
+ * listeners with source 'remote'.
+ */
+function applyRemoteChange(change) {
+    if (!ENTITY_SCHEMAS[change.entity]) return;
+
+    // Keep this tab's id sequence past ids created elsewhere
+    if (change.type === 'insert') advanceIdSequence(change.entity, change.id);
+
+    const records = repositoryCache[change.entity] || [];
+    if (change.type === 'replace') {
+        repositoryCache[change.entity] = change.after;
+    } else if (!change.after) {
+        repositoryCache[change.entity] = records.filter(item => item.id !== change.id);
+    } else {
+        const index = records.findIndex(item => item.id === change.id);
+        repositoryCache[change.entity] = index === -1
+            ? [...records, change.after]
+            : records.map(item => (item.id === change.id ? change.after : item));
+    }
+    notifyChange({ ...change, source: 'remote' });
+}
+
+/* ------------------------------------------
+ * SECTION 8: REFERENTIAL INTEGRITY
+ * ------------------------------------------
+ * What happens to the records referencing a
+ * deleted one, per relation:
+ *   block   - the delete is refused
+ *   cascade - they are deleted too (to the trash)
+ *   nullify - their reference is set to null
+ * Policies are stored in meta 'integrityPolicies'
+ * ({ relationId: policy }) and edited on the
+ * Corbeille page.
+ * ------------------------------------------ */
+
+/** @constant {Array<string>} Available policies */
+const INTEGRITY_POLICIES = ['block', 'cascade', 'nullify'];
+
+/** @constant {Object<string, string>} Entity labels used in messages */
+const INTEGRITY_ENTITY_LABELS = {
+    users: 'Utilisateur',
+    products: 'Produit',
+    clients: 'Client',
+    orders: 'Commande',
+    deliveries: 'Livraison'
+};
+
+/**
+ * Integrity Relations
+ * @constant {Object<string, Object>}
+ * @description relationId → { parent, child, field, fieldLabel,
+ * label, defaultPolicy, key, nullifyAlso }. key(parent) is the value
+ * child[field] holds for that parent (null if it cannot be
+ * referenced); nullifyAlso lists child fields set to null with it.
+ */
+const INTEGRITY_RELATIONS = {
+    'clients.orders': {
+        parent: 'clients',
+        child: 'orders',
+        field: 'clientId',
+        fieldLabel: 'client',
+        label: 'Client → commandes',
+        defaultPolicy: 'block',
+        key: client => client.id
+    },
+    'orders.deliveries': {
+        parent: 'orders',
+        child: 'deliveries',
+        field: 'orderId',
+        fieldLabel: 'commande',
+        label: 'Commande → livraisons',
+        defaultPolicy: 'cascade',
+        key: order => order.id
+    },
+    // Storefront accounts lose their link, not the account itself
+    'clients.users': {
+        parent: 'clients',
+        child: 'users',
+        field: 'clientId',
+        fieldLabel: 'fiche client',
+        label: 'Client → comptes boutique',
+        defaultPolicy: 'nullify',
+        key: client => client.id
+    },
+    'users.deliveries': {
+        parent: 'users',
+        child: 'deliveries',
+        field: 'driverId',
+        fieldLabel: 'livreur',
+        label: 'Livreur → livraisons',
+        defaultPolicy: 'nullify',
+        key: user => (user.role === 'Livreur' ? user.id : null),
+        // The displayed name goes with the link
+        nullifyAlso: ['driver']
+    }
+};
+
+/**
+ * Integrity Error
+ * @class IntegrityError
+ * @extends Error
+ * @description Thrown by remove() when a 'block' rule applies.
+ * `plan` is the planDelete() result.
+ */
+class IntegrityError extends Error {
+    constructor(plan) {
+        const [first] = plan.blocked;
+        super(`Suppression impossible : ${plan.blocked.length} enregistrement(s) lié(s) (${INTEGRITY_RELATIONS[first.relation].label})`);
+        this.name = 'IntegrityError';
+        this.plan = plan;
+    }
+}
+
+/**
+ * Get Integrity Policy
+ * @function getIntegrityPolicy
+ * @param {string} relationId - Key of INTEGRITY_RELATIONS
+ * @returns {string} 'block' | 'cascade' | 'nullify'
+ */
+function getIntegrityPolicy(relationId) {
+    const policy = getMeta('integrityPolicies', {})[relationId];
+    return INTEGRITY_POLICIES.includes(policy) ? policy : INTEGRITY_RELATIONS[relationId].defaultPolicy;
+}
+
+/**
+ * Find the live records referencing a record
+ * @param {string} entity - Entity of the referenced record
+ * @param {Object} record - Referenced record
+ * @returns {Array<{relation: string, policy: string, entity: string, record: Object}>}
+ */
+function findDependents(entity, record) {
+    return Object.keys(INTEGRITY_RELATIONS)
+        .filter(relationId => INTEGRITY_RELATIONS[relationId].parent === entity)
+        .flatMap(relationId => {
+            const relation = INTEGRITY_RELATIONS[relationId];
+            const key = relation.key(record);
+            if (key === null || key === undefined) return [];
+            const policy = getIntegrityPolicy(relationId);
+            return getRepository(relation.child)
+                .find(item => item[relation.field] === key)
+                .map(item => ({ relation: relationId, policy, entity: relation.child, record: item }));
+        });
+}
+
+/**
+ * Plan Delete
+ * @function planDelete
+ * @param {string} entity - Entity key
+ * @param {number|string} id - Record about to be deleted
+ * @returns {{blocked: Array, cascade: Array, nullify: Array}} Affected
+ * records, following cascades down the chain
+ */
+function planDelete(entity, id) {
+    const plan = { blocked: [], cascade: [], nullify: [] };
+    const root = getRepository(entity).findById(id);
+    if (!root) return plan;
+
+    const visited = new Set([`${entity}#${root.id}`]);
+    const visit = (parentEntity, parent) => {
+        findDependents(parentEntity, parent).forEach(dependent => {
+            const key = `${dependent.entity}#${dependent.record.id}`;
+            if (visited.has(key)) return;
+            visited.add(key);
+            if (dependent.policy === 'block') {
+                plan.blocked.push(dependent);
+            } else if (dependent.policy === 'nullify') {
+                plan.nullify.push(dependent);
+            } else {
+                plan.cascade.push(dependent);
+                visit(dependent.entity, dependent.record);
+            }
+        });
+    };
+    visit(entity, root);
+    return plan;
+}
+
+/**
+ * Apply the rules to the direct dependents of a record
+ * @param {string} entity - Entity of the record being deleted
+ * @param {Object} record - Record being deleted
+ * @description Cascaded deletes go through remove(), which
+ * handles the next level.
+ */
+function applyDeleteRules(entity, record) {
+    findDependents(entity, record).forEach(dependent => {
+        const relation = INTEGRITY_RELATIONS[dependent.relation];
+        const repository = getRepository(dependent.entity);
+        if (dependent.policy === 'nullify') {
+            const changes = { [relation.field]: null };
+            (relation.nullifyAlso || []).forEach(field => { changes[field] = null; });
+            repository.update(dependent.record.id, changes);
+        } else if (dependent.policy === 'cascade') {
+            repository.remove(dependent.record.id);
+        }
+    });
+}
+
+/**
+ * Describe Delete Plan
+ * @function describeDeletePlan
+ * @param {string} entity - Entity key
+ * @param {number|string} id - Record about to be deleted
+ * @returns {{blocked: Array<string>, affected: Array<string>}} Records
+ * preventing the delete (e.g. "Commande #3"), and one line per record
+ * the delete will change (e.g. "Commande #3 : supprimé(e)")
+ */
+function describeDeletePlan(entity, id) {
+    const plan = planDelete(entity, id);
+    const label = dependent => `${INTEGRITY_ENTITY_LABELS[dependent.entity]} #${dependent.record.id}`;
+    return {
+        blocked: plan.blocked.map(label),
+        affected: [
+            ...plan.cascade.map(dependent => `${label(dependent)} : supprimé(e)`),
+            ...plan.nullify.map(dependent => `${label(dependent)} : « ${INTEGRITY_RELATIONS[dependent.relation].fieldLabel} » retiré`)
+        ]
+    };
+}
+
+/* ==========================================
+ * END OF REPOSITORY.JS
+ * ==========================================
+ *
+ * SUMMARY:
+ * - ENTITY_SCHEMAS: field rules per entity
+ * - validateRecord() / ValidationError: schema checks
+ * - ConflictError: stale update (record versions)
+ * - loadRepositories(): in-memory cache from the backend
+ * - getRepository(entity): find, findById, insert,
+ *   update, put, remove (soft), restore, purge,
+ *   findDeleted, findAll, replaceAll, query
+ * - purgeExpiredRecords(): trash retention
+ * - onRepositoryChange() / applyRemoteChange(): write events
+ * - planDelete() / IntegrityError: referential integrity
+ * ========================================== */
@@ -0,0 +1,135 @@
+/* ==========================================
+ * GLOVOADMIN - SAMPLE DATA (sample-data.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Demo records for every entity. Seeded into the
+ * browser repositories on first load by
+ * initSampleData() (script.js), and served by the
+ * local mock REST server (server/mock-server.js).
+ *
+ * Works as a classic browser script (global
+ * SAMPLE_DATA) and as a Node module.
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/**
+ * Sample Data
+ * @constant {Object<string, Array<Object>>}
+ * @description Entity key → demo records.
+ */
+const SAMPLE_DATA = {
+    /* ---- USERS DATA ----
+     * Roles: Admin, Livreur (Driver), Client, Manager
+     * Status: Actif (Active), Inactif (Inactive)
+     * Demo logins: admin@app.com / admin123, drivers (Livreur) <email> /
+     * livreur123, storefront customer marie.martin@email.com / client123;
+     * the others get a password from the Users page.
+     * Customers (role Client) are linked to their clients record (clientId).
+     */
+    users: [
+        { id: 1, name: 'Admin Système', email: 'admin@app.com', role: 'Admin', status: 'Actif', createdAt: '2024-01-15',
+            passwordHash: 'pbkdf2-sha256$210000$bB8KnS5LfDqPXR4LmnxtLw==$pHjwMLIWOqm9p6/rd9pA57EcRbW7KL3NUD0x0BSsPkU=' },
+        { id: 2, name: 'Jean Dupont', email: 'jean.dupont@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-02-10',
+            passwordHash: 'pbkdf2-sha256$210000$QQD8m9CO5HJ5gX0dOkUOVA==$4KEnygJ/0Z9jaHbHxxvL5BrCEop5RFnA78C6QjwUEGU=' },
+        { id: 3, name: 'Marie Martin', email: 'marie.martin@email.com', role: 'Client', status: 'Actif', createdAt: '2024-02-15', clientId: 1,
+            passwordHash: 'pbkdf2-sha256$210000$xt//eByMdmDeaFe74CoMtg==$YYdX3X4xiuPYau8rCaDIpM6GPROvOpc3dgsBsTOxRcc=' },
+        { id: 4, name: 'Pierre Bernard', email: 'pierre.bernard@email.com', role: 'Livreur', status: 'Inactif', createdAt: '2024-03-01',
+            passwordHash: 'pbkdf2-sha256$210000$wVIcULKeS30OxXiCb2zS4w==$p1QNL0ZZipxnck1tSkq3TM5PW6gZqhJaax5PNgwR9hU=' },
+        { id: 5, name: 'Sophie Petit', email: 'sophie.petit@email.com', role: 'Client', status: 'Actif', createdAt: '2024-03-05', clientId: 3 },
+        { id: 6, name: 'Lucas Moreau', email: 'lucas.moreau@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-03-10',
+            passwordHash: 'pbkdf2-sha256$210000$zgwhKfypgnRYv508bi5t1A==$FUTm7PJcs0UMxrx0SPFLqBWZrPzxM8h6tbh0wWh/CqY=' },
+        { id: 7, name: 'Emma Leroy', email: 'emma.leroy@email.com', role: 'Client', status: 'Actif', createdAt: '2024-03-15', clientId: 5 },
+        { id: 8, name: 'Thomas Roux', email: 'thomas.roux@email.com', role: 'Manager', status: 'Actif', createdAt: '2024-03-20' },
+        { id: 9, name: 'Julie Fournier', email: 'julie.fournier@email.com', role: 'Client', status: 'Inactif', createdAt: '2024-04-01' },
+        { id: 10, name: 'Antoine Garcia', email: 'antoine.garcia@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-04-05',
+            passwordHash: 'pbkdf2-sha256$210000$5AtsIJnuf+SWxxcxqrMomQ==$ymffHlllgR+TOi4B5EpA1rwuqyw2S3Fzkmh/+U87sgQ=' },
+        { id: 11, name: 'Camille Blanc', email: 'camille.blanc@email.com', role: 'Client', status: 'Actif', createdAt: '2024-04-10', clientId: 7 },
+        { id: 12, name: 'Mathieu Simon', email: 'mathieu.simon@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-04-15',
+            passwordHash: 'pbkdf2-sha256$210000$jARTnbwpm39pVxEKatJvMA==$nbmYQALqbbBqivyKFgyzpJjrNS/w9yVdkNeaLbwaJOc=' }
+    ],
+
+    /* ---- PRODUCTS DATA ----
+     * Categories: Pizza, Burger, Salade, Japonais, etc.
+     * Available: true/false for stock status
+     */
+    products: [
+        { id: 1, name: 'Pizza Margherita', category: 'Pizza', price: 12.99, stock: 50, supplier: 'Pizzeria Roma', available: true },
+        { id: 2, name: 'Burger Classic', category: 'Burger', price: 9.99, stock: 35, supplier: 'Burger House', available: true },
+        { id: 3, name: 'Salade César', category: 'Salade', price: 8.50, stock: 25, supplier: 'Fresh Garden', available: true },
+        { id: 4, name: 'Sushi Mix', category: 'Japonais', price: 18.99, stock: 20, supplier: 'Tokyo Sushi', available: true },
+        { id: 5, name: 'Tacos Mexicain', category: 'Mexicain', price: 11.50, stock: 40, supplier: 'Casa Mexico', available: true },
+        { id: 6, name: 'Pasta Carbonara', category: 'Italien', price: 13.99, stock: 30, supplier: 'Pizzeria Roma', available: true },
+        { id: 7, name: 'Kebab Complet', category: 'Oriental', price: 8.99, stock: 45, supplier: 'Istanbul Grill', available: true },
+        { id: 8, name: 'Poke Bowl', category: 'Healthy', price: 14.50, stock: 15, supplier: 'Fresh Garden', available: false },
+        { id: 9, name: 'Pad Thai', category: 'Asiatique', price: 12.50, stock: 25, supplier: 'Thai Express', available: true },
+        { id: 10, name: 'Crêpe Complète', category: 'Français', price: 10.99, stock: 0, supplier: 'Crêperie Bretonne', available: false },
+        { id: 11, name: 'Fish & Chips', category: 'Britannique', price: 11.99, stock: 30, supplier: 'British Corner', available: true },
+        { id: 12, name: 'Falafel Wrap', category: 'Oriental', price: 9.50, stock: 35, supplier: 'Istanbul Grill', available: true }
+    ],
+
+    /* ---- CLIENTS DATA ----
+     * Types: Particulier (Individual), Entreprise (Business)
+     * Cities: Paris, Lyon, Montpellier, Bordeaux, Nice, Lille
+     */
+    clients: [
+        { id: 1, name: 'Marie Martin', email: 'marie.martin@email.com', phone: '0612345678', address: '12 Rue de Paris, 75001 Paris', city: 'Paris', type: 'Particulier', createdAt: '2024-01-10' },
+        { id: 2, name: 'Restaurant Le Gourmet', email: 'contact@legourmet.fr', phone: '0145678901', address: '45 Avenue des Champs, 75008 Paris', city: 'Paris', type: 'Entreprise', createdAt: '2024-01-15' },
+        { id: 3, name: 'Sophie Petit', email: 'sophie.petit@email.com', phone: '0623456789', address: '8 Rue de Lyon, 69001 Lyon', city: 'Lyon', type: 'Particulier', createdAt: '2024-02-01' },
+        { id: 4, name: 'Café Central', email: 'info@cafecentral.fr', phone: '0467891234', address: '22 Place de la Comédie, 34000 Montpellier', city: 'Montpellier', type: 'Entreprise', createdAt: '2024-02-15' },
+        { id: 5, name: 'Emma Leroy', email: 'emma.leroy@email.com', phone: '0634567890', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', city: 'Bordeaux', type: 'Particulier', createdAt: '2024-03-01' },
+        { id: 6, name: 'Hôtel Royal', email: 'reservation@hotelroyal.fr', phone: '0491234567', address: '100 Promenade des Anglais, 06000 Nice', city: 'Nice', type: 'Entreprise', createdAt: '2024-03-10' },
+        { id: 7, name: 'Camille Blanc', email: 'camille.blanc@email.com', phone: '0645678901', address: '3 Rue Nationale, 59000 Lille', city: 'Lille', type: 'Particulier', createdAt: '2024-03-20' },
+        { id: 8, name: 'Boulangerie Paul', email: 'contact@boulangeripaul.fr', phone: '0320123456', address: '7 Grand Place, 59000 Lille', city: 'Lille', type: 'Entreprise', createdAt: '2024-04-01' },
+        { id: 9, name: 'Lucas Noir', email: 'lucas.noir@email.com', phone: '0656789012', address: '28 Quai des Chartrons, 33000 Bordeaux', city: 'Bordeaux', type: 'Particulier', createdAt: '2024-04-10' },
+        { id: 10, name: 'Traiteur Excellence', email: 'traiteur@excellence.fr', phone: '0156789012', address: '56 Rue du Commerce, 75015 Paris', city: 'Paris', type: 'Entreprise', createdAt: '2024-04-15' }
+    ],
+
+    /* ---- ORDERS DATA ----
+     * Status: Livrée, En cours, En attente, Annulée
+     * PaymentStatus: Payée, En attente, Remboursée
+     * Items: order lines { productId, name, unitPrice, quantity, vatRate },
+     * vatRate from the product category (VAT_RATES: meals, 10 %);
+     * quantity and amount (TTC) are their totals (pricing.js), no
+     * delivery fee or discount
+     */
+    orders: [
+        { id: 1, clientId: 1, clientName: 'Marie Martin', items: [{ productId: 1, name: 'Pizza Margherita', unitPrice: 12.99, quantity: 2, vatRate: 10 }], quantity: 2, amount: 25.98, status: 'Livrée', paymentStatus: 'Payée', address: '12 Rue de Paris, 75001 Paris', createdAt: '2024-04-01' },
+        { id: 2, clientId: 3, clientName: 'Sophie Petit', items: [{ productId: 4, name: 'Sushi Mix', unitPrice: 18.99, quantity: 1, vatRate: 10 }, { productId: 8, name: 'Poke Bowl', unitPrice: 14.50, quantity: 1, vatRate: 10 }], quantity: 2, amount: 33.49, status: 'En cours', paymentStatus: 'Payée', address: '8 Rue de Lyon, 69001 Lyon', createdAt: '2024-04-05' },
+        { id: 3, clientId: 2, clientName: 'Restaurant Le Gourmet', items: [{ productId: 6, name: 'Pasta Carbonara', unitPrice: 13.99, quantity: 10, vatRate: 10 }], quantity: 10, amount: 139.90, status: 'Livrée', paymentStatus: 'Payée', address: '45 Avenue des Champs, 75008 Paris', createdAt: '2024-04-07' },
+        { id: 4, clientId: 5, clientName: 'Emma Leroy', items: [{ productId: 2, name: 'Burger Classic', unitPrice: 9.99, quantity: 3, vatRate: 10 }], quantity: 3, amount: 29.97, status: 'En attente', paymentStatus: 'En attente', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', createdAt: '2024-04-10' },
+        { id: 5, clientId: 7, clientName: 'Camille Blanc', items: [{ productId: 5, name: 'Tacos Mexicain', unitPrice: 11.50, quantity: 1, vatRate: 10 }, { productId: 7, name: 'Kebab Complet', unitPrice: 8.99, quantity: 1, vatRate: 10 }], quantity: 2, amount: 20.49, status: 'Livrée', paymentStatus: 'Payée', address: '3 Rue Nationale, 59000 Lille', createdAt: '2024-04-12' },
+        { id: 6, clientId: 4, clientName: 'Café Central', items: [{ productId: 3, name: 'Salade César', unitPrice: 8.50, quantity: 15, vatRate: 10 }], quantity: 15, amount: 127.50, status: 'En cours', paymentStatus: 'Payée', address: '22 Place de la Comédie, 34000 Montpellier', createdAt: '2024-04-14' },
+        { id: 7, clientId: 9, clientName: 'Lucas Noir', items: [{ productId: 11, name: 'Fish & Chips', unitPrice: 11.99, quantity: 1, vatRate: 10 }], quantity: 1, amount: 11.99, status: 'Annulée', paymentStatus: 'Remboursée', address: '28 Quai des Chartrons, 33000 Bordeaux', createdAt: '2024-04-15' },
+        { id: 8, clientId: 6, clientName: 'Hôtel Royal', items: [{ productId: 10, name: 'Crêpe Complète', unitPrice: 10.99, quantity: 20, vatRate: 10 }], quantity: 20, amount: 219.80, status: 'Livrée', paymentStatus: 'Payée', address: '100 Promenade des Anglais, 06000 Nice', createdAt: '2024-04-16' },
+        { id: 9, clientId: 1, clientName: 'Marie Martin', items: [{ productId: 9, name: 'Pad Thai', unitPrice: 12.50, quantity: 2, vatRate: 10 }], quantity: 2, amount: 25.00, status: 'En attente', paymentStatus: 'En attente', address: '12 Rue de Paris, 75001 Paris', createdAt: '2024-04-18' },
+        { id: 10, clientId: 10, clientName: 'Traiteur Excellence', items: [{ productId: 12, name: 'Falafel Wrap', unitPrice: 9.50, quantity: 30, vatRate: 10 }], quantity: 30, amount: 285.00, status: 'En cours', paymentStatus: 'Payée', address: '56 Rue du Commerce, 75015 Paris', createdAt: '2024-04-20' },
+        { id: 11, clientId: 3, clientName: 'Sophie Petit', items: [{ productId: 1, name: 'Pizza Margherita', unitPrice: 12.99, quantity: 1, vatRate: 10 }], quantity: 1, amount: 12.99, status: 'Livrée', paymentStatus: 'Payée', address: '8 Rue de Lyon, 69001 Lyon', createdAt: '2024-04-21' },
+        { id: 12, clientId: 8, clientName: 'Boulangerie Paul', items: [{ productId: 2, name: 'Burger Classic', unitPrice: 9.99, quantity: 5, vatRate: 10 }], quantity: 5, amount: 49.95, status: 'En attente', paymentStatus: 'En attente', address: '7 Grand Place, 59000 Lille', createdAt: '2024-04-22' }
+    ],
+
+    /* ---- DELIVERIES DATA ----
+     * Status: Livrée, En cours, En attente, Échec
+     * Links to orders via orderId, to the driver's user via driverId
+     * (driver: their name, as displayed)
+     */
+    deliveries: [
+        { id: 1, orderId: 1, driverId: 2, driver: 'Jean Dupont', address: '12 Rue de Paris, 75001 Paris', status: 'Livrée', duration: 25, notes: 'Client satisfait', createdAt: '2024-04-01' },
+        { id: 2, orderId: 2, driverId: 6, driver: 'Lucas Moreau', address: '8 Rue de Lyon, 69001 Lyon', status: 'En cours', duration: 30, notes: '', createdAt: '2024-04-05' },
+        { id: 3, orderId: 3, driverId: 10, driver: 'Antoine Garcia', address: '45 Avenue des Champs, 75008 Paris', status: 'Livrée', duration: 35, notes: 'Livraison express', createdAt: '2024-04-07' },
+        { id: 4, orderId: 5, driverId: 2, driver: 'Jean Dupont', address: '3 Rue Nationale, 59000 Lille', status: 'Livrée', duration: 20, notes: '', createdAt: '2024-04-12' },
+        { id: 5, orderId: 6, driverId: 12, driver: 'Mathieu Simon', address: '22 Place de la Comédie, 34000 Montpellier', status: 'En cours', duration: 40, notes: 'Grande commande', createdAt: '2024-04-14' },
+        { id: 6, orderId: 8, driverId: 6, driver: 'Lucas Moreau', address: '100 Promenade des Anglais, 06000 Nice', status: 'Livrée', duration: 45, notes: '', createdAt: '2024-04-16' },
+        { id: 7, orderId: 10, driverId: 10, driver: 'Antoine Garcia', address: '56 Rue du Commerce, 75015 Paris', status: 'En cours', duration: 50, notes: 'Commande volume', createdAt: '2024-04-20' },
+        { id: 8, orderId: 11, driverId: 2, driver: 'Jean Dupont', address: '8 Rue de Lyon, 69001 Lyon', status: 'Livrée', duration: 22, notes: '', createdAt: '2024-04-21' },
+        { id: 9, orderId: 4, driverId: 12, driver: 'Mathieu Simon', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', status: 'En attente', duration: 35, notes: 'Attente confirmation', createdAt: '2024-04-10' },
+        { id: 10, orderId: 9, driverId: 6, driver: 'Lucas Moreau', address: '12 Rue de Paris, 75001 Paris', status: 'En attente', duration: 25, notes: '', createdAt: '2024-04-18' }
+    ]
+};
+
+// Node.js support (mock server)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SAMPLE_DATA;
+}
@@ -9,12 +9,12 @@
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: AUTHENTICATION SYSTEM
- *   - DEMO_USERS: Demo credentials array
  *   - checkAuth(): Verify user session
  *   - initAuth(): Initialize auth & UI
- *   - applyRoleRestrictions(): Role-based access
- *   - login(): Authenticate user
- *   - logout(): End session
+ *   - applyRoleRestrictions(): Role-based access (permissions.js)
+ *   - login(): Authenticate against the users entity
+ *   - getHomePage(): Page opened after login
+ *   - logout(): End session (session.js tokens)
  * 
  * SECTION 2: SIDEBAR FUNCTIONALITY
  *   - initSidebar(): Toggle & responsive behavior
@@ -25,18 +25,22 @@
  * SECTION 4: LOCAL STORAGE DATA MANAGEMENT
  *   - getData(): Retrieve from localStorage
  *   - setData(): Save to localStorage
- *   - initSampleData(): Initialize demo data
+ *   - initSampleData(): Initialize demo data (via repositories)
  * 
  * SECTION 5: TOAST NOTIFICATIONS
  *   - showToast(): Display notifications
  *   - createToastContainer(): Create container
  * 
  * SECTION 6: UTILITY FUNCTIONS
- *   - generateId(): Create unique IDs
+ *   - generateId(): Next ID of the entity sequence (never reused)
+ *   - reserveIds(): Block of consecutive IDs
+ *   - getIdSequence() / advanceIdSequence(): Per-entity ID sequences
  *   - formatDate(): Format dates (FR locale)
  *   - formatCurrency(): Format currency (EUR)
+ *   - formatOrderItems(): "Pizza Margherita x2, Poke Bowl"
  *   - exportToCSV(): Export data to CSV
  *   - debounce(): Limit function calls
+ *   - confirmDeletion(): Delete confirmation listing dependents
  * 
  * SECTION 7: TABLE SORTING
  *   - initTableSorting(): Setup sortable headers
@@ -48,14 +52,16 @@
  * SECTION 9: STATUS BADGE HELPER
  *   - getStatusBadgeClass(): Map status to CSS
  * 
- * SECTION 10: LOGIN PAGE INITIALIZATION
- *   - initLoginPage(): Handle login form
- * 
- * SECTION 11: GLOBAL INITIALIZATION
+ * SECTION 10: GLOBAL INITIALIZATION
+ *   - onAppReady(): Run code once data is loaded
+ *   - bootstrapApp(): Storage, session, repositories, sample data, migrations, session check, trash purge
  *   - DOMContentLoaded event handler
  * 
  * DEPENDENCIES:
- * - None (pure vanilla JavaScript)
+ * - storage.js, sample-data.js (loaded before this file)
+ * - pricing.js (loaded after this file, used by migrations and order pages)
+ * - repository.js, permissions.js, session.js, migrations.js (loaded after this file, used at runtime)
+ * - auth.js, totp.js (login page only, used by login())
  * 
  * USED BY:
  * - All HTML pages (loaded via <script>)
@@ -70,29 +76,33 @@
  * ------------------------------------------
  * Handles user login, session management,
  * and role-based access control.
- * Demo credentials: admin@app.com / admin123
+ * Accounts are the records of the users entity
+ * (passwords hashed by auth.js). The session is a
+ * signed token with an expiry (session.js),
+ * verified during bootstrap.
  * ------------------------------------------ */
 
 /**
- * Demo Users Array
- * @constant {Array<Object>}
- * @description Pre-defined users for demo purposes.
- * In production, this would be replaced with API calls.
+ * Get Current User
+ * @function getCurrentUser
+ * @returns {Object|null} Session user ({ name, role, ... }) or null
+ * @description Only sessions whose token was verified (signature,
+ * expiry, idle timeout) are returned.
  */
-const DEMO_USERS = [
-    { email: 'admin@app.com', password: 'admin123', name: 'Admin', role: 'admin' }
-];
+function getCurrentUser() {
+    return getSessionUser();
+}
 
 /**
  * Check Authentication Status
  * @function checkAuth
  * @returns {Object|null} Current user object or null if not authenticated
- * @description Verifies if user is logged in by checking localStorage.
+ * @description Verifies if user is logged in (valid session token).
  * Redirects to login page if no valid session found.
  */
 function checkAuth() {
     // Retrieve user data from browser storage
-    const currentUser = JSON.parse(localStorage.getItem('user'));
+    const currentUser = getCurrentUser();
     if (!currentUser) {
         // If no user found, force redirect to login
         window.location.href = 'login.html';
@@ -126,12 +136,15 @@ function initAuth() {
  * Apply Role-Based Restrictions
  * @function applyRoleRestrictions
  * @param {Object} user - Current user object with role property
- * @description Stores user role globally for other scripts.
- * Used to hide/show admin-only features.
+ * @description Stores user role globally for other scripts, then
+ * applies the permission matrix of the role (permissions.js):
+ * forbidden pages redirect to the dashboard, and their sidebar
+ * links and [data-permission] elements are hidden.
  */
 function applyRoleRestrictions(user) {
     // Save role to global window object so other scripts can access it
     window.currentUserRole = user.role;
+    applyPagePermissions();
 }
 
 /**
@@ -139,29 +152,48 @@ function applyRoleRestrictions(user) {
  * @function login
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {boolean} True if login successful, false otherwise
- * @description Validates credentials against DEMO_USERS array.
- * Stores user session in localStorage on success.
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=false] - "Se souvenir de moi": longer session
+ * @param {string} [options.code] - Two-factor code (TOTP or recovery code)
+ * @returns {Promise<Object>} Session user ({ id, name, email, role })
+ * @throws {TwoFactorRequiredError} If the account has 2FA and no code was given
+ * @throws {LoginError} If the credentials or the code are wrong, or the account is inactive
+ * @description Validates credentials against the users entity
+ * (authenticateUser, auth.js). Stores a signed session token on
+ * success (createSession, session.js); the role is stored in
+ * lower case ('Admin' → 'admin').
  */
-function login(email, password) {
-    // Check if credentials match any user in the DEMO_USERS array
-    const user = DEMO_USERS.find(u => u.email === email && u.password === password);
-    if (user) {
-        // Save user to storage so they stay logged in
-        localStorage.setItem('user', JSON.stringify(user));
-        return true;
-    }
-    return false;
+async function login(email, password, { remember = false, code = '' } = {}) {
+    const user = await authenticateUser(email, password, code);
+    const session = { id: user.id, name: user.name, email: user.email, role: user.role.toLowerCase() };
+    // Save a signed token so they stay logged in
+    await createSession(session, { remember });
+    return session;
+}
+
+/**
+ * Get Home Page
+ * @function getHomePage
+ * @param {Object} user - Session user
+ * @returns {string} Page opened after login: the driver portal for
+ *   drivers, "Mes commandes" for storefront customers, the dashboard
+ *   for everyone else
+ */
+function getHomePage(user) {
+    const homePages = { livreur: 'driver.html', client: 'my-orders.html' };
+    return homePages[String(user.role).toLowerCase()] || 'dashboard.html';
 }
 
 /**
  * Logout Function
  * @function logout
+ * @param {string} [reason] - 'idle' or 'expired' when the session
+ *   ended by itself (explained on the login page)
  * @description Clears user session and redirects to login page.
  */
-function logout() {
-    // Remove user data
-    localStorage.removeItem('user');
+function logout(reason) {
+    // Remove the session token
+    clearSession(reason);
     // Redirect
     window.location.href = 'login.html';
 }
@@ -221,15 +253,18 @@ function initSidebar() {
 function initLogout() {
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
-        logoutBtn.addEventListener('click', logout);
+        logoutBtn.addEventListener('click', () => logout());
     }
 }
 
 /* ------------------------------------------
  * SECTION 4: LOCAL STORAGE DATA MANAGEMENT
  * ------------------------------------------
- * CRUD operations for localStorage persistence.
- * All data stored as JSON strings.
+ * Raw localStorage persistence (JSON strings)
+ * for non-entity keys such as 'cart'.
+ * Entities are read and written through
+ * getRepository() (repository.js) and persisted
+ * by the active storage backend (storage.js).
  * ------------------------------------------ */
 
 /**
@@ -257,112 +292,18 @@ function setData(key, data) {
 /**
  * Initialize Sample Data
  * @function initSampleData
- * @description Populates localStorage with demo data if not exists.
+ * @description Seeds each entity repository with demo data
+ * (SAMPLE_DATA, sample-data.js) if that entity has never been stored.
  * Creates: users, products, clients, orders, deliveries.
  * Called once on first app load.
  */
 function initSampleData() {
-    
-    /* ---- USERS DATA ----
-     * Roles: Admin, Livreur (Driver), Client, Manager
-     * Status: Actif (Active), Inactif (Inactive)
-     */
-    if (!getData('users')) {
-        setData('users', [
-            { id: 1, name: 'Admin Système', email: 'admin@app.com', role: 'Admin', status: 'Actif', createdAt: '2024-01-15' },
-            { id: 2, name: 'Jean Dupont', email: 'jean.dupont@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-02-10' },
-            { id: 3, name: 'Marie Martin', email: 'marie.martin@email.com', role: 'Client', status: 'Actif', createdAt: '2024-02-15' },
-            { id: 4, name: 'Pierre Bernard', email: 'pierre.bernard@email.com', role: 'Livreur', status: 'Inactif', createdAt: '2024-03-01' },
-            { id: 5, name: 'Sophie Petit', email: 'sophie.petit@email.com', role: 'Client', status: 'Actif', createdAt: '2024-03-05' },
-            { id: 6, name: 'Lucas Moreau', email: 'lucas.moreau@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-03-10' },
-            { id: 7, name: 'Emma Leroy', email: 'emma.leroy@email.com', role: 'Client', status: 'Actif', createdAt: '2024-03-15' },
-            { id: 8, name: 'Thomas Roux', email: 'thomas.roux@email.com', role: 'Manager', status: 'Actif', createdAt: '2024-03-20' },
-            { id: 9, name: 'Julie Fournier', email: 'julie.fournier@email.com', role: 'Client', status: 'Inactif', createdAt: '2024-04-01' },
-            { id: 10, name: 'Antoine Garcia', email: 'antoine.garcia@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-04-05' },
-            { id: 11, name: 'Camille Blanc', email: 'camille.blanc@email.com', role: 'Client', status: 'Actif', createdAt: '2024-04-10' },
-            { id: 12, name: 'Mathieu Simon', email: 'mathieu.simon@email.com', role: 'Livreur', status: 'Actif', createdAt: '2024-04-15' }
-        ]);
-    }
-
-    /* ---- PRODUCTS DATA ----
-     * Categories: Pizza, Burger, Salade, Japonais, etc.
-     * Available: true/false for stock status
-     */
-    if (!getData('products')) {
-        setData('products', [
-            { id: 1, name: 'Pizza Margherita', category: 'Pizza', price: 12.99, stock: 50, supplier: 'Pizzeria Roma', available: true },
-            { id: 2, name: 'Burger Classic', category: 'Burger', price: 9.99, stock: 35, supplier: 'Burger House', available: true },
-            { id: 3, name: 'Salade César', category: 'Salade', price: 8.50, stock: 25, supplier: 'Fresh Garden', available: true },
-            { id: 4, name: 'Sushi Mix', category: 'Japonais', price: 18.99, stock: 20, supplier: 'Tokyo Sushi', available: true },
-            { id: 5, name: 'Tacos Mexicain', category: 'Mexicain', price: 11.50, stock: 40, supplier: 'Casa Mexico', available: true },
-            { id: 6, name: 'Pasta Carbonara', category: 'Italien', price: 13.99, stock: 30, supplier: 'Pizzeria Roma', available: true },
-            { id: 7, name: 'Kebab Complet', category: 'Oriental', price: 8.99, stock: 45, supplier: 'Istanbul Grill', available: true },
-            { id: 8, name: 'Poke Bowl', category: 'Healthy', price: 14.50, stock: 15, supplier: 'Fresh Garden', available: false },
-            { id: 9, name: 'Pad Thai', category: 'Asiatique', price: 12.50, stock: 25, supplier: 'Thai Express', available: true },
-            { id: 10, name: 'Crêpe Complète', category: 'Français', price: 10.99, stock: 0, supplier: 'Crêperie Bretonne', available: false },
-            { id: 11, name: 'Fish & Chips', category: 'Britannique', price: 11.99, stock: 30, supplier: 'British Corner', available: true },
-            { id: 12, name: 'Falafel Wrap', category: 'Oriental', price: 9.50, stock: 35, supplier: 'Istanbul Grill', available: true }
-        ]);
-    }
-
-    /* ---- CLIENTS DATA ----
-     * Types: Particulier (Individual), Entreprise (Business)
-     * Cities: Paris, Lyon, Montpellier, Bordeaux, Nice, Lille
-     */
-    if (!getData('clients')) {
-        setData('clients', [
-            { id: 1, name: 'Marie Martin', email: 'marie.martin@email.com', phone: '0612345678', address: '12 Rue de Paris, 75001 Paris', city: 'Paris', type: 'Particulier', createdAt: '2024-01-10' },
-            { id: 2, name: 'Restaurant Le Gourmet', email: 'contact@legourmet.fr', phone: '0145678901', address: '45 Avenue des Champs, 75008 Paris', city: 'Paris', type: 'Entreprise', createdAt: '2024-01-15' },
-            { id: 3, name: 'Sophie Petit', email: 'sophie.petit@email.com', phone: '0623456789', address: '8 Rue de Lyon, 69001 Lyon', city: 'Lyon', type: 'Particulier', createdAt: '2024-02-01' },
-            { id: 4, name: 'Café Central', email: 'info@cafecentral.fr', phone: '0467891234', address: '22 Place de la Comédie, 34000 Montpellier', city: 'Montpellier', type: 'Entreprise', createdAt: '2024-02-15' },
-            { id: 5, name: 'Emma Leroy', email: 'emma.leroy@email.com', phone: '0634567890', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', city: 'Bordeaux', type: 'Particulier', createdAt: '2024-03-01' },
-            { id: 6, name: 'Hôtel Royal', email: 'reservation@hotelroyal.fr', phone: '0491234567', address: '100 Promenade des Anglais, 06000 Nice', city: 'Nice', type: 'Entreprise', createdAt: '2024-03-10' },
-            { id: 7, name: 'Camille Blanc', email: 'camille.blanc@email.com', phone: '0645678901', address: '3 Rue Nationale, 59000 Lille', city: 'Lille', type: 'Particulier', createdAt: '2024-03-20' },
-            { id: 8, name: 'Boulangerie Paul', email: 'contact@boulangeripaul.fr', phone: '0320123456', address: '7 Grand Place, 59000 Lille', city: 'Lille', type: 'Entreprise', createdAt: '2024-04-01' },
-            { id: 9, name: 'Lucas Noir', email: 'lucas.noir@email.com', phone: '0656789012', address: '28 Quai des Chartrons, 33000 Bordeaux', city: 'Bordeaux', type: 'Particulier', createdAt: '2024-04-10' },
-            { id: 10, name: 'Traiteur Excellence', email: 'traiteur@excellence.fr', phone: '0156789012', address: '56 Rue du Commerce, 75015 Paris', city: 'Paris', type: 'Entreprise', createdAt: '2024-04-15' }
-        ]);
-    }
-
-    /* ---- ORDERS DATA ----
-     * Status: Livrée, En cours, En attente, Annulée
-     * PaymentStatus: Payée, En attente, Remboursée
-     */
-    if (!getData('orders')) {
-        setData('orders', [
-            { id: 1, clientId: 1, clientName: 'Marie Martin', products: 'Pizza Margherita x2', quantity: 2, amount: 25.98, status: 'Livrée', paymentStatus: 'Payée', address: '12 Rue de Paris, 75001 Paris', createdAt: '2024-04-01' },
-            { id: 2, clientId: 3, clientName: 'Sophie Petit', products: 'Sushi Mix, Poke Bowl', quantity: 2, amount: 33.49, status: 'En cours', paymentStatus: 'Payée', address: '8 Rue de Lyon, 69001 Lyon', createdAt: '2024-04-05' },
-            { id: 3, clientId: 2, clientName: 'Restaurant Le Gourmet', products: 'Pasta Carbonara x10', quantity: 10, amount: 139.90, status: 'Livrée', paymentStatus: 'Payée', address: '45 Avenue des Champs, 75008 Paris', createdAt: '2024-04-07' },
-            { id: 4, clientId: 5, clientName: 'Emma Leroy', products: 'Burger Classic x3', quantity: 3, amount: 29.97, status: 'En attente', paymentStatus: 'En attente', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', createdAt: '2024-04-10' },
-            { id: 5, clientId: 7, clientName: 'Camille Blanc', products: 'Tacos Mexicain, Kebab Complet', quantity: 2, amount: 20.49, status: 'Livrée', paymentStatus: 'Payée', address: '3 Rue Nationale, 59000 Lille', createdAt: '2024-04-12' },
-            { id: 6, clientId: 4, clientName: 'Café Central', products: 'Salade César x15', quantity: 15, amount: 127.50, status: 'En cours', paymentStatus: 'Payée', address: '22 Place de la Comédie, 34000 Montpellier', createdAt: '2024-04-14' },
-            { id: 7, clientId: 9, clientName: 'Lucas Noir', products: 'Fish & Chips', quantity: 1, amount: 11.99, status: 'Annulée', paymentStatus: 'Remboursée', address: '28 Quai des Chartrons, 33000 Bordeaux', createdAt: '2024-04-15' },
-            { id: 8, clientId: 6, clientName: 'Hôtel Royal', products: 'Crêpe Complète x20', quantity: 20, amount: 219.80, status: 'Livrée', paymentStatus: 'Payée', address: '100 Promenade des Anglais, 06000 Nice', createdAt: '2024-04-16' },
-            { id: 9, clientId: 1, clientName: 'Marie Martin', products: 'Pad Thai x2', quantity: 2, amount: 25.00, status: 'En attente', paymentStatus: 'En attente', address: '12 Rue de Paris, 75001 Paris', createdAt: '2024-04-18' },
-            { id: 10, clientId: 10, clientName: 'Traiteur Excellence', products: 'Falafel Wrap x30', quantity: 30, amount: 285.00, status: 'En cours', paymentStatus: 'Payée', address: '56 Rue du Commerce, 75015 Paris', createdAt: '2024-04-20' },
-            { id: 11, clientId: 3, clientName: 'Sophie Petit', products: 'Pizza Margherita', quantity: 1, amount: 12.99, status: 'Livrée', paymentStatus: 'Payée', address: '8 Rue de Lyon, 69001 Lyon', createdAt: '2024-04-21' },
-            { id: 12, clientId: 8, clientName: 'Boulangerie Paul', products: 'Burger Classic x5', quantity: 5, amount: 49.95, status: 'En attente', paymentStatus: 'En attente', address: '7 Grand Place, 59000 Lille', createdAt: '2024-04-22' }
-        ]);
-    }
-
-    /* ---- DELIVERIES DATA ----
-     * Status: Livrée, En cours, En attente, Échec
-     * Links to orders via orderId
-     */
-    if (!getData('deliveries')) {
-        setData('deliveries', [
-            { id: 1, orderId: 1, driver: 'Jean Dupont', address: '12 Rue de Paris, 75001 Paris', status: 'Livrée', duration: 25, notes: 'Client satisfait', createdAt: '2024-04-01' },
-            { id: 2, orderId: 2, driver: 'Lucas Moreau', address: '8 Rue de Lyon, 69001 Lyon', status: 'En cours', duration: 30, notes: '', createdAt: '2024-04-05' },
-            { id: 3, orderId: 3, driver: 'Antoine Garcia', address: '45 Avenue des Champs, 75008 Paris', status: 'Livrée', duration: 35, notes: 'Livraison express', createdAt: '2024-04-07' },
-            { id: 4, orderId: 5, driver: 'Jean Dupont', address: '3 Rue Nationale, 59000 Lille', status: 'Livrée', duration: 20, notes: '', createdAt: '2024-04-12' },
-            { id: 5, orderId: 6, driver: 'Mathieu Simon', address: '22 Place de la Comédie, 34000 Montpellier', status: 'En cours', duration: 40, notes: 'Grande commande', createdAt: '2024-04-14' },
-            { id: 6, orderId: 8, driver: 'Lucas Moreau', address: '100 Promenade des Anglais, 06000 Nice', status: 'Livrée', duration: 45, notes: '', createdAt: '2024-04-16' },
-            { id: 7, orderId: 10, driver: 'Antoine Garcia', address: '56 Rue du Commerce, 75015 Paris', status: 'En cours', duration: 50, notes: 'Commande volume', createdAt: '2024-04-20' },
-            { id: 8, orderId: 11, driver: 'Jean Dupont', address: '8 Rue de Lyon, 69001 Lyon', status: 'Livrée', duration: 22, notes: '', createdAt: '2024-04-21' },
-            { id: 9, orderId: 4, driver: 'Mathieu Simon', address: '15 Boulevard Victor Hugo, 33000 Bordeaux', status: 'En attente', duration: 35, notes: 'Attente confirmation', createdAt: '2024-04-10' },
-            { id: 10, orderId: 9, driver: 'Lucas Moreau', address: '12 Rue de Paris, 75001 Paris', status: 'En attente', duration: 25, notes: '', createdAt: '2024-04-18' }
-        ]);
-    }
+    Object.keys(SAMPLE_DATA).forEach(entity => {
+        const repository = getRepository(entity);
+        if (!repository.isInitialized()) {
+            repository.replaceAll(SAMPLE_DATA[entity]);
+        }
+    });
 }
 
 // ==========================================
@@ -377,12 +318,15 @@ function initSampleData() {
 /**
  * Show Toast Notification
  * @function showToast
- * @param {string} message - Message to display
+ * @param {string} message - Message to display (plain text, escaped)
  * @param {string} [type='info'] - Toast type (success|error|warning|info)
+ * @param {Object} [options]
+ * @param {{label: string, onClick: Function}} [options.action] - Button
+ *   shown in the toast (e.g. "Annuler"); the toast then stays 6 seconds
  * @description Creates and displays a toast notification.
  * Automatically removes itself after 3 seconds.
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', options = {}) {
     // Find or create the container for toasts
     const container = document.querySelector('.toast-container') || createToastContainer();
     
@@ -399,15 +343,28 @@ function showToast(message, type = 'info') {
     
     toast.innerHTML = `
         <i class="fas ${icon}"></i>
-        <span>${message}</span>
+        <span>${escapeHtml(message)}</span>
     `;
     
+    // Optional action button (e.g. undo)
+    if (options.action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.type = 'button';
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = options.action.label;
+        actionBtn.addEventListener('click', () => {
+            toast.remove();
+            options.action.onClick();
+        });
+        toast.appendChild(actionBtn);
+    }
+    
     container.appendChild(toast);
     
-    // Auto-remove after 3 seconds
+    // Auto-remove after 3 seconds (longer when there is an action)
     setTimeout(() => {
         toast.remove();
-    }, 3000);
+    }, options.action ? 6000 : 3000);
 }
 
 /**
@@ -433,14 +390,68 @@ function createToastContainer() {
 /**
  * Generate Unique ID
  * @function generateId
- * @param {string} dataKey - LocalStorage key to check
- * @returns {number} Next available ID
- * @description Finds max ID in dataset and returns +1.
+ * @param {string} dataKey - Entity key
+ * @returns {number} Next ID of the entity sequence
+ * @description Ids come from a per-entity sequence that only
+ * grows, so an id is never reused, even once the record that
+ * held it has been purged. Ids already stored (restored backup,
+ * other tab) are skipped.
  */
 function generateId(dataKey) {
-    const data = getData(dataKey) || [];
-    // If data exists, find the highest ID and add 1. Else start at 1.
-    return data.length > 0 ? Math.max(...data.map(item => item.id)) + 1 : 1;
+    const id = getNextId(dataKey);
+    advanceIdSequence(dataKey, id);
+    return id;
+}
+
+/**
+ * Reserve IDs
+ * @function reserveIds
+ * @param {string} dataKey - Entity key
+ * @param {number} count - Number of consecutive ids needed
+ * @returns {Promise<number>} First reserved id (the next count - 1 follow it)
+ * @description Used for bulk creation (demo data generator). The
+ * sequence is re-read from the backend first, since another tab may
+ * have advanced it, and the reservation is saved before returning.
+ */
+async function reserveIds(dataKey, count) {
+    await reloadMeta(`idSequence:${dataKey}`, 0);
+    const first = getNextId(dataKey);
+    await setMeta(`idSequence:${dataKey}`, first + count - 1);
+    return first;
+}
+
+/**
+ * Next free ID
+ * @param {string} dataKey - Entity key
+ * @returns {number} Past both the sequence and every stored id
+ */
+function getNextId(dataKey) {
+    const data = getRepository(dataKey).findAll();
+    return Math.max(getIdSequence(dataKey), ...data.map(item => item.id)) + 1;
+}
+
+/**
+ * Get ID Sequence
+ * @function getIdSequence
+ * @param {string} dataKey - Entity key
+ * @returns {number} Last ID handed out for the entity (0 if none)
+ * @description One metadata key per entity ('idSequence:orders'),
+ * so tabs advancing different sequences never overwrite each other.
+ */
+function getIdSequence(dataKey) {
+    return getMeta(`idSequence:${dataKey}`, 0);
+}
+
+/**
+ * Advance ID Sequence
+ * @function advanceIdSequence
+ * @param {string} dataKey - Entity key
+ * @param {number} id - ID now in use
+ * @description Never moves the sequence backwards.
+ */
+function advanceIdSequence(dataKey, id) {
+    if (id <= getIdSequence(dataKey)) return;
+    persist(setMeta(`idSequence:${dataKey}`, id));
 }
 
 /**
@@ -479,6 +490,16 @@ function formatCurrency(amount) {
     return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(amount);
 }
 
+/**
+ * Format Order Items
+ * @function formatOrderItems
+ * @param {Array<Object>} items - Order lines ({ name, quantity, ... })
+ * @returns {string} One-line summary (e.g., "Pizza Margherita x2, Poke Bowl")
+ */
+function formatOrderItems(items) {
+    return (items || []).map(item => (item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name)).join(', ');
+}
+
 /**
  * Export Data to CSV
  * @function exportToCSV
@@ -528,6 +549,27 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Confirm Deletion
+ * @function confirmDeletion
+ * @param {string} entity - Entity key
+ * @param {number} id - Record about to be deleted
+ * @param {string} question - Confirmation question
+ * @returns {boolean} True if the delete can go ahead
+ * @description Lists the dependent records the integrity
+ * rules will affect (repository.js, SECTION 8). A blocked
+ * delete is reported with a toast instead.
+ */
+function confirmDeletion(entity, id, question) {
+    const { blocked, affected } = describeDeletePlan(entity, id);
+    if (blocked.length > 0) {
+        showToast(`Suppression impossible, enregistrements liés : ${blocked.join(', ')}`, 'error');
+        return false;
+    }
+    const details = affected.length > 0 ? `\n\nÉléments concernés :\n${affected.map(line => `- ${line}`).join('\n')}` : '';
+    return confirm(question + details);
+}
+
 /* ------------------------------------------
  * SECTION 7: TABLE SORTING
  * ------------------------------------------
@@ -736,75 +778,89 @@ function getStatusBadgeClass(status) {
 }
 
 /* ------------------------------------------
- * SECTION 10: LOGIN PAGE INITIALIZATION
+ * SECTION 10: GLOBAL INITIALIZATION
  * ------------------------------------------
- * Handles login form submission and validation.
+ * Entry point - runs on every page load.
  * ------------------------------------------ */
 
+/** @type {Function} Resolves appReady (set below) */
+let resolveAppReady;
+
 /**
- * Initialize Login Page
- * @function initLoginPage
- * @description Sets up login form:
- * - Redirects if already logged in
- * - Handles form submission
- * - Shows error message on failed login
+ * App Ready Promise
+ * @type {Promise<void>}
+ * @description Resolves once storage is open, repositories
+ * are loaded and sample data is seeded.
  */
-function initLoginPage() {
-    const loginForm = document.getElementById('loginForm');
-    const errorMessage = document.getElementById('errorMessage');
-    
-    if (loginForm) {
-        // Redirect if already authenticated
-        const currentUser = JSON.parse(localStorage.getItem('user'));
-        if (currentUser) {
-            window.location.href = 'dashboard.html';
-            return;
-        }
-        
-        loginForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            
-            const email = document.getElementById('email').value;
-            const password = document.getElementById('password').value;
-            
-            if (login(email, password)) {
-                window.location.href = 'dashboard.html';
-            } else {
-                errorMessage.textContent = 'Email ou mot de passe incorrect';
-                errorMessage.classList.add('show');
-            }
-        });
-    }
+const appReady = new Promise(resolve => { resolveAppReady = resolve; });
+
+/**
+ * On App Ready
+ * @function onAppReady
+ * @param {Function} callback - Page initialization code
+ * @description Page scripts use this instead of DOMContentLoaded
+ * so they never render before their data is loaded.
+ */
+function onAppReady(callback) {
+    appReady.then(callback);
 }
 
-/* ------------------------------------------
- * SECTION 11: GLOBAL INITIALIZATION
- * ------------------------------------------
- * Entry point - runs on every page load.
- * ------------------------------------------ */
+/**
+ * Bootstrap Application
+ * @function bootstrapApp
+ * @returns {Promise<void>}
+ * @description Opens the storage backend (IndexedDB, with
+ * localStorage fallback), verifies the session token (so
+ * startup writes are stamped with the user), loads every repository into
+ * memory, seeds sample data on first visit, upgrades
+ * stored records to the current schema (migrations.js),
+ * ends the session if its account changed since login
+ * (verifySessionUser), then purges trash items past their
+ * retention period.
+ */
+async function bootstrapApp() {
+    await initStorage();
+    await restoreSession();
+    await loadRepositories();
+    initSampleData();
+    await runMigrations();
+    await verifySessionUser();
+    purgeExpiredRecords();
+}
 
 /**
  * DOMContentLoaded Event Handler
  * @description Main initialization:
- * 1. Initialize sample data (first visit)
- * 2. Check if login page or authenticated page
- * 3. Initialize appropriate handlers
+ * 1. Load data and initialize sample data (first visit)
+ * 2. Check if authenticated page or public page
+ * 3. Initialize appropriate handlers (and the impersonation
+ *    banner, on every page)
+ * 4. Release page scripts waiting on onAppReady()
+ *
+ * The login form is handled by login.js.
  */
-document.addEventListener('DOMContentLoaded', () => {
-    // Always initialize sample data
-    initSampleData();
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        await bootstrapApp();
+    } catch (err) {
+        console.error('[app] Échec du chargement des données', err);
+        showToast('Impossible de charger les données', 'error');
+        return;
+    }
     
-    // Determine page type
-    const isLoginPage = document.getElementById('loginForm');
+    // Determine page type (public storefront and login pages have no sidebar)
+    const isAdminPage = document.getElementById('sidebar');
     
-    if (isLoginPage) {
-        initLoginPage();
-    } else {
+    if (isAdminPage) {
         // Authenticated pages
         initAuth();
         initSidebar();
         initLogout();
+        initSessionTimeout();
     }
+    initImpersonationBanner();
+    
+    resolveAppReady();
 });
 
 /* ==========================================
@@ -813,8 +869,8 @@ document.addEventListener('DOMContentLoaded', () => {
  * 
  * SUMMARY:
  * Core utility file providing:
- * - Authentication (demo login system)
- * - LocalStorage CRUD operations
+ * - Authentication (users entity accounts)
+ * - App bootstrap (storage, repositories, onAppReady)
  * - UI helpers (toasts, pagination, sorting)
  * - Data formatting (dates, currency)
  * - CSV export functionality
@@ -0,0 +1,556 @@
+/* ==========================================
+ * GLOVOADMIN - SESSIONS (session.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Signed session tokens, absolute expiry and idle timeout.
+ * On login, the session user is stored in localStorage
+ * 'user' as a token:
+ *
+ *   <payload>.<signature>   (both base64url)
+ *
+ * The payload is { id, name, email, role, passwordStamp,
+ * iat, exp, remember } (times in ms). The signature is an
+ * HMAC SHA-256 of the payload with a random key kept in
+ * meta 'sessionSecret', so a 'user' value edited in
+ * devtools is refused. Tokens are checked once at startup;
+ * getCurrentUser() then returns the verified payload.
+ *
+ * Once the repositories are loaded, the token is also
+ * checked against its users record (verifySessionUser):
+ * the session ends if the account was deleted, is no
+ * longer 'Actif', changed role, or changed password since
+ * (passwordStamp, a short digest of its passwordHash).
+ *
+ * Sessions end:
+ *   - at 'exp' (absolute expiry, longer with "Se souvenir
+ *     de moi")
+ *   - after a period without activity (idle timeout); a
+ *     warning lets the user stay logged in first
+ * Activity is shared by every tab through localStorage
+ * 'sessionActivity'.
+ *
+ * Impersonation ("Voir en tant que", users page): an
+ * admin opens a session as another user to see what they
+ * see. The token then also holds 'impersonator', the
+ * admin's own { id, name, email, role, passwordStamp },
+ * checked like the session user, and keeps the admin's
+ * expiry; "Quitter" in the banner shown on every page
+ * signs the admin session again. The audit log (audit.js)
+ * tags the writes made meanwhile.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - SESSION_DURATIONS: Lifetime and idle timeout
+ *
+ * SECTION 2: TOKENS
+ *   - createSession(): Sign and store a new session
+ *   - restoreSession(): Verify the stored token
+ *   - verifySessionUser(): Check the token against its user
+ *   - renewSession(): Sign again after a password change
+ *   - getSessionUser() / getSessionExpiry() / clearSession()
+ *
+ * SECTION 3: IMPERSONATION
+ *   - getImpersonator(): Real admin behind the session
+ *   - startImpersonation() / stopImpersonation()
+ *   - initImpersonationBanner(): "Quitter" banner (every page)
+ *
+ * SECTION 4: IDLE TIMEOUT
+ *   - recordActivity(): Mark the session as active
+ *   - initSessionTimeout(): Watch expiry and inactivity
+ *   - showIdleWarning() / hideIdleWarning()
+ *
+ * DEPENDENCIES:
+ * - storage.js (getMeta, setMeta)
+ * - repository.js (getRepository: users)
+ * - script.js (logout, escapeHtml)
+ * - permissions.js (getCurrentRole, SUPER_ROLE, PermissionError)
+ *
+ * USED BY:
+ * - script.js (getCurrentUser, login, logout, bootstrap)
+ * - users.js, auth.js (renewSession after a password change)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {string} localStorage key holding the token */
+const SESSION_STORAGE_KEY = 'user';
+
+/** @constant {string} localStorage key of the last activity time (ms) */
+const SESSION_ACTIVITY_KEY = 'sessionActivity';
+
+/**
+ * Session Durations
+ * @constant {Object<string, Object>}
+ * @description lifetime: absolute expiry after login;
+ * idle: logout after this long without activity (ms).
+ */
+const SESSION_DURATIONS = {
+    standard: { lifetime: 8 * 60 * 60 * 1000, idle: 30 * 60 * 1000 },
+    remember: { lifetime: 30 * 24 * 60 * 60 * 1000, idle: 7 * 24 * 60 * 60 * 1000 }
+};
+
+/** @constant {number} Warning shown this long before the idle logout (ms) */
+const SESSION_IDLE_WARNING = 60 * 1000;
+
+/** @constant {number} Interval of the expiry check (ms) */
+const SESSION_CHECK_INTERVAL = 1000;
+
+/** @constant {Array<string>} Events that count as activity */
+const SESSION_ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+/* ------------------------------------------
+ * SECTION 2: TOKENS
+ * ------------------------------------------ */
+
+/** @type {Object|null} Verified payload of the current session */
+let currentSession = null;
+
+/** @type {string|null} Token currentSession was read from */
+let currentToken = null;
+
+/** @type {Promise<CryptoKey>|null} Signing key, imported once per page */
+let sessionKeyPromise = null;
+
+/**
+ * Bytes → base64url
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeTokenPart(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Base64url → bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function decodeTokenPart(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Get Session Key
+ * @returns {Promise<CryptoKey>} HMAC key from meta 'sessionSecret',
+ * created on first use
+ */
+function getSessionKey() {
+    if (!sessionKeyPromise) {
+        sessionKeyPromise = (async () => {
+            let secret = getMeta('sessionSecret', null);
+            if (!secret) {
+                secret = encodeTokenPart(crypto.getRandomValues(new Uint8Array(32)));
+                await setMeta('sessionSecret', secret);
+            }
+            return crypto.subtle.importKey('raw', decodeTokenPart(secret),
+                { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+        })();
+        // A failed import may be retried on the next call
+        sessionKeyPromise.catch(() => { sessionKeyPromise = null; });
+    }
+    return sessionKeyPromise;
+}
+
+/**
+ * Get Password Stamp
+ * @param {number} userId
+ * @returns {Promise<string>} Short SHA-256 digest of the user's
+ *   passwordHash: it changes with the password, and says nothing
+ *   about it
+ */
+async function getPasswordStamp(userId) {
+    const user = getRepository('users').findById(userId);
+    const data = new TextEncoder().encode((user && user.passwordHash) || '');
+    return encodeTokenPart(await crypto.subtle.digest('SHA-256', data)).slice(0, 16);
+}
+
+/**
+ * Create Session
+ * @function createSession
+ * @param {Object} user - Session user ({ id, name, email, role })
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=false] - "Se souvenir de moi"
+ * @param {Object} [options.impersonator] - Admin impersonating the user
+ *   (with the passwordStamp of their own session)
+ * @param {number} [options.exp] - Absolute expiry to keep (ms), instead
+ *   of a full lifetime from now
+ * @returns {Promise<Object>} The session payload
+ * @description Signs the token, stores it and resets the idle timer.
+ */
+async function createSession(user, { remember = false, impersonator = null, exp = null } = {}) {
+    const now = Date.now();
+    const durations = SESSION_DURATIONS[remember ? 'remember' : 'standard'];
+    const payload = {
+        ...user,
+        passwordStamp: await getPasswordStamp(user.id),
+        iat: now,
+        exp: exp || now + durations.lifetime,
+        remember
+    };
+    if (impersonator) payload.impersonator = impersonator;
+
+    const data = new TextEncoder().encode(JSON.stringify(payload));
+    const signature = await crypto.subtle.sign('HMAC', await getSessionKey(), data);
+    currentToken = `${encodeTokenPart(data)}.${encodeTokenPart(signature)}`;
+    localStorage.setItem(SESSION_STORAGE_KEY, currentToken);
+    localStorage.setItem(SESSION_ACTIVITY_KEY, String(now));
+
+    currentSession = payload;
+    return payload;
+}
+
+/**
+ * Get Session End
+ * @param {Object} session - Session payload
+ * @returns {{ reason: string, at: number }} Earliest of the absolute
+ * expiry ('expired') and the idle deadline ('idle')
+ */
+function getSessionEnd(session) {
+    const durations = SESSION_DURATIONS[session.remember ? 'remember' : 'standard'];
+    const lastActivity = Number(localStorage.getItem(SESSION_ACTIVITY_KEY)) || session.iat;
+    const idleEnd = lastActivity + durations.idle;
+    return idleEnd < session.exp ? { reason: 'idle', at: idleEnd } : { reason: 'expired', at: session.exp };
+}
+
+/**
+ * Restore Session
+ * @function restoreSession
+ * @returns {Promise<Object|null>} Verified session payload, or null
+ * @description Reads the stored token and checks its signature,
+ * its expiry and the idle timeout. Invalid or ended sessions are
+ * removed; for ended ones, the login page is told why.
+ */
+async function restoreSession() {
+    currentSession = null;
+    const token = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!token) return null;
+
+    let payload = null;
+    try {
+        const [data, signature] = token.split('.');
+        const bytes = decodeTokenPart(data);
+        if (await crypto.subtle.verify('HMAC', await getSessionKey(), decodeTokenPart(signature), bytes)) {
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        }
+    } catch (err) {
+        // Malformed token (or a session stored before tokens): refused below
+    }
+    if (!payload) {
+        clearSession();
+        return null;
+    }
+
+    const end = getSessionEnd(payload);
+    if (Date.now() >= end.at) {
+        clearSession(end.reason);
+        return null;
+    }
+    currentSession = payload;
+    currentToken = token;
+    return payload;
+}
+
+/**
+ * Is Session User Valid
+ * @param {Object} sessionUser - { id, role, passwordStamp } from the token
+ * @returns {Promise<boolean>} False if its users record is missing,
+ *   not 'Actif', has another role, or another password
+ */
+async function isSessionUserValid(sessionUser) {
+    const user = getRepository('users').findById(sessionUser.id);
+    return Boolean(user)
+        && user.status === 'Actif'
+        && String(user.role).toLowerCase() === sessionUser.role
+        && await getPasswordStamp(user.id) === sessionUser.passwordStamp;
+}
+
+/**
+ * Verify Session User
+ * @function verifySessionUser
+ * @returns {Promise<Object|null>} The session payload, or null if it ended
+ * @description A valid signature only proves who logged in. Called
+ * once the repositories are loaded: ends the session ('revoked') if
+ * its user, or the admin impersonating them, changed since the token
+ * was signed (isSessionUserValid()).
+ */
+async function verifySessionUser() {
+    if (!currentSession) return null;
+    const { impersonator } = currentSession;
+    const valid = await isSessionUserValid(currentSession)
+        && (!impersonator || await isSessionUserValid(impersonator));
+    if (!valid) {
+        clearSession('revoked');
+        return null;
+    }
+    return currentSession;
+}
+
+/**
+ * Renew Session
+ * @function renewSession
+ * @returns {Promise<Object|null>} The new payload, or null without a session
+ * @description Signs the current session again, same expiry, after
+ * its user changed their own password: their other sessions end,
+ * this one goes on.
+ */
+async function renewSession() {
+    if (!currentSession) return null;
+    const { remember, exp, impersonator } = currentSession;
+    return createSession(getSessionUser(), { remember, exp, impersonator });
+}
+
+/**
+ * Get Session User
+ * @function getSessionUser
+ * @returns {Object|null} { id, name, email, role } of the verified
+ * session, or null (no session, or not verified yet)
+ */
+function getSessionUser() {
+    if (!currentSession) return null;
+    const { id, name, email, role } = currentSession;
+    return { id, name, email, role };
+}
+
+/**
+ * Get Session Expiry
+ * @function getSessionExpiry
+ * @returns {number|null} Absolute expiry of the session (ms), or null
+ */
+function getSessionExpiry() {
+    return currentSession ? currentSession.exp : null;
+}
+
+/**
+ * Clear Session
+ * @function clearSession
+ * @param {string} [reason] - 'idle', 'expired' or 'revoked', shown on the login page
+ */
+function clearSession(reason) {
+    currentSession = null;
+    currentToken = null;
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    localStorage.removeItem(SESSION_ACTIVITY_KEY);
+    if (reason) sessionStorage.setItem('logoutReason', reason);
+}
+
+/* ------------------------------------------
+ * SECTION 3: IMPERSONATION
+ * ------------------------------------------ */
+
+/**
+ * Get Impersonator
+ * @function getImpersonator
+ * @returns {Object|null} { id, name, email, role } of the admin
+ * impersonating the session user, or null
+ */
+function getImpersonator() {
+    if (!currentSession || !currentSession.impersonator) return null;
+    const { id, name, email, role } = currentSession.impersonator;
+    return { id, name, email, role };
+}
+
+/**
+ * Start Impersonation
+ * @function startImpersonation
+ * @param {Object} user - users record to impersonate
+ * @returns {Promise<Object>} The new session user
+ * @throws {PermissionError} If the current user is not an admin
+ *   (or already impersonating someone), or the target is an admin
+ * @description Replaces the admin session; its expiry and
+ * "Se souvenir de moi" are kept, so impersonating never extends it.
+ */
+async function startImpersonation(user) {
+    if (!currentSession || currentSession.impersonator || getCurrentRole() !== SUPER_ROLE) {
+        throw new PermissionError('Seuls les administrateurs peuvent voir l\'application en tant qu\'un autre utilisateur');
+    }
+    if (user.role === SUPER_ROLE) {
+        throw new PermissionError('Impossible de voir l\'application en tant qu\'un autre administrateur');
+    }
+    const session = { id: user.id, name: user.name, email: user.email, role: user.role.toLowerCase() };
+    await createSession(session, {
+        remember: currentSession.remember,
+        exp: currentSession.exp,
+        impersonator: { ...getSessionUser(), passwordStamp: currentSession.passwordStamp }
+    });
+    return session;
+}
+
+/**
+ * Stop Impersonation
+ * @function stopImpersonation
+ * @returns {Promise<Object|null>} The admin session user, or null
+ *   if the session was not an impersonation
+ * @description Ends the session instead ('revoked') if the admin
+ * account changed meanwhile (isSessionUserValid()).
+ */
+async function stopImpersonation() {
+    const impersonator = getImpersonator();
+    if (!impersonator) return null;
+    if (!await isSessionUserValid(currentSession.impersonator)) {
+        clearSession('revoked');
+        return null;
+    }
+    await createSession(impersonator, { remember: currentSession.remember, exp: currentSession.exp });
+    return impersonator;
+}
+
+/**
+ * Initialize Impersonation Banner
+ * @function initImpersonationBanner
+ * @description Shown at the top of every page (back office and
+ * storefront) while impersonating. "Quitter" goes back to the
+ * admin session, on the users page.
+ */
+function initImpersonationBanner() {
+    const impersonator = getImpersonator();
+    if (!impersonator) return;
+    const user = getSessionUser();
+
+    const banner = document.createElement('div');
+    banner.className = 'impersonation-banner';
+    banner.id = 'impersonationBanner';
+    banner.innerHTML = `
+        <span>
+            <i class="fas fa-user-secret"></i>
+            Vous naviguez en tant que <strong>${escapeHtml(user.name)}</strong> (${escapeHtml(getCurrentRole())}).
+            Connecté en tant que ${escapeHtml(impersonator.name)} : vos actions sont marquées dans le journal.
+        </span>
+        <button type="button" class="btn btn-sm btn-secondary">
+            <i class="fas fa-sign-out-alt"></i> Quitter
+        </button>
+    `;
+    banner.querySelector('button').addEventListener('click', async (e) => {
+        e.currentTarget.disabled = true;
+        await stopImpersonation();
+        window.location.href = 'users.html';
+    });
+    document.body.prepend(banner);
+    document.body.classList.add('impersonating');
+}
+
+/* ------------------------------------------
+ * SECTION 4: IDLE TIMEOUT
+ * ------------------------------------------
+ * Admin pages only. Activity is written at
+ * most every few seconds, since mousemove
+ * fires constantly.
+ * ------------------------------------------ */
+
+/** @type {number} Last activity written by this tab (ms) */
+let lastRecordedActivity = 0;
+
+/**
+ * Record Activity
+ * @function recordActivity
+ * @description Ignored while the idle warning is shown: only its
+ * button keeps the session alive.
+ */
+function recordActivity() {
+    const now = Date.now();
+    if (document.getElementById('idleWarningOverlay') || now - lastRecordedActivity < 5000) return;
+    lastRecordedActivity = now;
+    localStorage.setItem(SESSION_ACTIVITY_KEY, String(now));
+}
+
+/**
+ * Initialize Session Timeout
+ * @function initSessionTimeout
+ * @description Every second: logs out through logout() once the
+ * session has ended here or in another tab, and shows the idle
+ * warning during its last minute.
+ */
+function initSessionTimeout() {
+    if (!currentSession) return;
+    SESSION_ACTIVITY_EVENTS.forEach(type => {
+        document.addEventListener(type, recordActivity, { passive: true });
+    });
+
+    const timer = setInterval(() => {
+        const token = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!currentSession || !token) {
+            // Logged out in another tab
+            clearInterval(timer);
+            logout();
+            return;
+        }
+        if (token !== currentToken) {
+            // Logged in again (maybe as someone else) in another tab
+            clearInterval(timer);
+            window.location.reload();
+            return;
+        }
+        const end = getSessionEnd(currentSession);
+        const remaining = end.at - Date.now();
+        if (remaining <= 0) {
+            clearInterval(timer);
+            logout(end.reason);
+        } else if (end.reason === 'idle' && remaining <= SESSION_IDLE_WARNING) {
+            showIdleWarning(Math.ceil(remaining / 1000));
+        } else {
+            hideIdleWarning();
+        }
+    }, SESSION_CHECK_INTERVAL);
+}
+
+/**
+ * Show Idle Warning
+ * @function showIdleWarning
+ * @param {number} seconds - Seconds before the logout
+ * @description Creates the dialog on first call, then updates its
+ * countdown.
+ */
+function showIdleWarning(seconds) {
+    let overlay = document.getElementById('idleWarningOverlay');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.className = 'modal-overlay show';
+        overlay.id = 'idleWarningOverlay';
+        overlay.innerHTML = `
+            <div class="modal modal-sm">
+                <div class="modal-header">
+                    <h2>Session inactive</h2>
+                </div>
+                <div class="modal-body">
+                    <p>Sans activité de votre part, vous serez déconnecté dans
+                    <strong id="idleCountdown"></strong> secondes.</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-action="logout">Se déconnecter</button>
+                    <button type="button" class="btn btn-primary" data-action="stay">Rester connecté</button>
+                </div>
+            </div>
+        `;
+        overlay.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            hideIdleWarning();
+            if (button.dataset.action === 'logout') {
+                logout();
+            } else {
+                lastRecordedActivity = 0;
+                recordActivity();
+            }
+        });
+        document.body.appendChild(overlay);
+    }
+    overlay.querySelector('#idleCountdown').textContent = seconds;
+}
+
+/**
+ * Hide Idle Warning
+ * @function hideIdleWarning
+ * @description Also called when another tab had activity.
+ */
+function hideIdleWarning() {
+    const overlay = document.getElementById('idleWarningOverlay');
+    if (overlay) overlay.remove();
+}
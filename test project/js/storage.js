@@ -0,0 +1,548 @@
+/* ==========================================
+ * GLOVOADMIN - STORAGE BACKENDS (storage.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Pluggable persistence for the repository layer.
+ * IndexedDB is the default backend (one object store
+ * per entity, indexed on status, clientId, driver and
+ * createdAt). localStorage is kept as a fallback when
+ * IndexedDB is unavailable or explicitly selected.
+ * Existing localStorage data is imported into IndexedDB
+ * once, on first load. The HTTP backend talks to a REST
+ * API (GET/POST/PUT/DELETE /api/<entity>), such as the
+ * local mock server in server/mock-server.js.
+ *
+ * Backend choice (localStorage keys):
+ *   storageBackend = 'indexedDB' (default) | 'localStorage' | 'http'
+ *   apiBaseUrl     = REST base URL for 'http' (default '/api')
+ *
+ * Every backend exposes the same promise-based API:
+ *   open(), loadAll(entity), saveAll(entity, records),
+ *   insert(entity, record), put(entity, record),
+ *   delete(entity, id), findByIndex(entity, field, value),
+ *   loadMeta(), setMeta(key, value)
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - STORE_INDEXES: Stores and their indexes
+ *
+ * SECTION 2: LOCALSTORAGE BACKEND
+ *   - createLocalStorageBackend()
+ *
+ * SECTION 3: INDEXEDDB BACKEND
+ *   - createIndexedDbBackend()
+ *
+ * SECTION 4: HTTP (REST API) BACKEND
+ *   - createHttpBackend()
+ *
+ * SECTION 5: LOCALSTORAGE IMPORT
+ *   - importFromLocalStorage(): One-time migration
+ *
+ * SECTION 6: BACKEND SELECTION & METADATA
+ *   - initStorage(): Open the preferred backend
+ *   - getStorageBackend(): Active backend
+ *   - getMeta() / setMeta(): Cached metadata
+ *   - reloadMeta(): Re-read a value other tabs may have changed
+ *
+ * DEPENDENCIES:
+ * - None (loaded before script.js)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------
+ * Entity stores and the fields indexed in
+ * IndexedDB. Bump IDB_VERSION whenever a store
+ * or an index is added.
+ * ------------------------------------------ */
+
+/** @constant {string} IndexedDB database name */
+const IDB_NAME = 'deliverit';
+
+/** @constant {number} IndexedDB schema version */
+const IDB_VERSION = 3;
+
+/** @constant {string} Store (or localStorage key) holding metadata */
+const META_STORE = 'meta';
+
+/**
+ * Store Indexes
+ * @constant {Object<string, Array<string>>}
+ * @description Entity store → indexed fields.
+ */
+const STORE_INDEXES = {
+    users: ['status', 'createdAt'],
+    products: [],
+    clients: ['createdAt'],
+    orders: ['status', 'clientId', 'createdAt'],
+    deliveries: ['status', 'driverId', 'createdAt'],
+    // Append-only audit log (audit.js), not a repository entity
+    auditLog: ['entity', 'user', 'timestamp']
+};
+
+/* ------------------------------------------
+ * SECTION 2: LOCALSTORAGE BACKEND
+ * ------------------------------------------
+ * Whole JSON arrays per key, as the app stored
+ * them originally. Used as the fallback backend.
+ * ------------------------------------------ */
+
+/**
+ * Create localStorage Backend
+ * @function createLocalStorageBackend
+ * @returns {Object} Storage backend
+ */
+function createLocalStorageBackend() {
+
+    /** Parse a stored JSON value (null if missing) */
+    function read(key) {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    function write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    return {
+        name: 'localStorage',
+
+        open() {
+            return Promise.resolve();
+        },
+
+        /** @returns {Promise<Array|null>} null if the entity was never stored */
+        loadAll(entity) {
+            return Promise.resolve(read(entity));
+        },
+
+        saveAll(entity, records) {
+            write(entity, records);
+            return Promise.resolve();
+        },
+
+        insert(entity, record) {
+            return this.put(entity, record);
+        },
+
+        put(entity, record) {
+            const records = read(entity) || [];
+            const index = records.findIndex(item => item.id === record.id);
+            if (index === -1) records.push(record);
+            else records[index] = record;
+            write(entity, records);
+            return Promise.resolve();
+        },
+
+        delete(entity, id) {
+            const records = read(entity) || [];
+            write(entity, records.filter(item => item.id !== id));
+            return Promise.resolve();
+        },
+
+        findByIndex(entity, field, value) {
+            return Promise.resolve((read(entity) || []).filter(item => item[field] === value));
+        },
+
+        loadMeta() {
+            return Promise.resolve(read(META_STORE) || {});
+        },
+
+        setMeta(key, value) {
+            const meta = read(META_STORE) || {};
+            meta[key] = value;
+            write(META_STORE, meta);
+            return Promise.resolve();
+        }
+    };
+}
+
+/* ------------------------------------------
+ * SECTION 3: INDEXEDDB BACKEND
+ * ------------------------------------------
+ * One object store per entity (keyPath 'id'),
+ * plus a 'meta' store. Single records are written
+ * individually instead of rewriting whole arrays.
+ * ------------------------------------------ */
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Create IndexedDB Backend
+ * @function createIndexedDbBackend
+ * @returns {Object} Storage backend
+ */
+function createIndexedDbBackend() {
+    let db = null;
+
+    /**
+     * Run work inside a transaction
+     * @param {string|Array<string>} stores - Store names
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} work - Receives the transaction
+     * @returns {Promise<*>} Resolves with work()'s result once committed
+     */
+    function transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            let result;
+            Promise.resolve(work(tx)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /** Remember that an entity has been written at least once */
+    function markStored(tx, entity) {
+        const meta = tx.objectStore(META_STORE);
+        return idbRequest(meta.get('storedEntities')).then(entry => {
+            const stored = entry ? entry.value : [];
+            if (!stored.includes(entity)) {
+                meta.put({ key: 'storedEntities', value: [...stored, entity] });
+            }
+        });
+    }
+
+    return {
+        name: 'indexedDB',
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+
+                // Create any store or index missing from this version
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    const tx = request.transaction;
+                    Object.keys(STORE_INDEXES).forEach(entity => {
+                        const store = database.objectStoreNames.contains(entity)
+                            ? tx.objectStore(entity)
+                            : database.createObjectStore(entity, { keyPath: 'id' });
+                        STORE_INDEXES[entity].forEach(field => {
+                            if (!store.indexNames.contains(field)) store.createIndex(field, field);
+                        });
+                    });
+                    if (!database.objectStoreNames.contains(META_STORE)) {
+                        database.createObjectStore(META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => {
+                    db = request.result;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB bloquée par un autre onglet'));
+            });
+        },
+
+        /** @returns {Promise<Array|null>} null if the entity was never stored */
+        loadAll(entity) {
+            return transaction([entity, META_STORE], 'readonly', tx =>
+                Promise.all([
+                    idbRequest(tx.objectStore(entity).getAll()),
+                    idbRequest(tx.objectStore(META_STORE).get('storedEntities'))
+                ]).then(([records, entry]) => {
+                    const stored = entry ? entry.value : [];
+                    return stored.includes(entity) ? records : null;
+                })
+            );
+        },
+
+        saveAll(entity, records) {
+            return transaction([entity, META_STORE], 'readwrite', tx => {
+                const store = tx.objectStore(entity);
+                store.clear();
+                records.forEach(record => store.put(record));
+                return markStored(tx, entity);
+            });
+        },
+
+        insert(entity, record) {
+            return this.put(entity, record);
+        },
+
+        put(entity, record) {
+            return transaction([entity, META_STORE], 'readwrite', tx => {
+                tx.objectStore(entity).put(record);
+                return markStored(tx, entity);
+            });
+        },
+
+        delete(entity, id) {
+            return transaction(entity, 'readwrite', tx => {
+                tx.objectStore(entity).delete(id);
+            });
+        },
+
+        findByIndex(entity, field, value) {
+            return transaction(entity, 'readonly', tx =>
+                idbRequest(tx.objectStore(entity).index(field).getAll(value))
+            );
+        },
+
+        loadMeta() {
+            return transaction(META_STORE, 'readonly', tx =>
+                idbRequest(tx.objectStore(META_STORE).getAll())
+            ).then(entries => {
+                const meta = {};
+                entries.forEach(entry => { meta[entry.key] = entry.value; });
+                return meta;
+            });
+        },
+
+        setMeta(key, value) {
+            return transaction(META_STORE, 'readwrite', tx => {
+                tx.objectStore(META_STORE).put({ key, value });
+            });
+        }
+    };
+}
+
+/* ------------------------------------------
+ * SECTION 4: HTTP (REST API) BACKEND
+ * ------------------------------------------
+ * Maps backend calls onto REST routes:
+ *   GET    /api/orders         → loadAll
+ *   GET    /api/orders?status= → findByIndex
+ *   POST   /api/orders         → insert
+ *   PUT    /api/orders/:id     → put
+ *   DELETE /api/orders/:id     → delete
+ *   PUT    /api/orders         → saveAll (bulk replace)
+ *   GET    /api/meta, PUT /api/meta/:key → metadata
+ * ------------------------------------------ */
+
+/**
+ * Create HTTP Backend
+ * @function createHttpBackend
+ * @param {string} [baseUrl='/api'] - REST API base URL
+ * @returns {Object} Storage backend
+ */
+function createHttpBackend(baseUrl = '/api') {
+
+    /**
+     * Send a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below baseUrl
+     * @param {*} [body] - JSON body
+     * @returns {Promise<*|null>} Parsed response, null on 404 or 204
+     */
+    async function request(method, path, body) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (response.status === 404 || response.status === 204) return null;
+        if (!response.ok) {
+            throw new Error(`${method} ${baseUrl}${path} : HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'http',
+
+        /** Check the API is reachable */
+        open() {
+            return request('GET', '/meta').then(() => undefined);
+        },
+
+        /** @returns {Promise<Array|null>} null if the API has no such collection */
+        loadAll(entity) {
+            return request('GET', `/${entity}`);
+        },
+
+        saveAll(entity, records) {
+            return request('PUT', `/${entity}`, records);
+        },
+
+        insert(entity, record) {
+            return request('POST', `/${entity}`, record);
+        },
+
+        put(entity, record) {
+            return request('PUT', `/${entity}/${encodeURIComponent(record.id)}`, record);
+        },
+
+        delete(entity, id) {
+            return request('DELETE', `/${entity}/${encodeURIComponent(id)}`);
+        },
+
+        findByIndex(entity, field, value) {
+            const query = new URLSearchParams({ [field]: value });
+            return request('GET', `/${entity}?${query}`).then(records => records || []);
+        },
+
+        loadMeta() {
+            return request('GET', '/meta').then(meta => meta || {});
+        },
+
+        setMeta(key, value) {
+            return request('PUT', `/meta/${encodeURIComponent(key)}`, { value });
+        }
+    };
+}
+
+/* ------------------------------------------
+ * SECTION 5: LOCALSTORAGE IMPORT
+ * ------------------------------------------
+ * Copies data written by earlier versions of the
+ * app (whole arrays in localStorage) into the
+ * active backend. Runs once per browser.
+ * ------------------------------------------ */
+
+/**
+ * Import from localStorage
+ * @function importFromLocalStorage
+ * @param {Object} backend - Target backend (IndexedDB)
+ * @returns {Promise<void>}
+ */
+async function importFromLocalStorage(backend) {
+    const meta = await backend.loadMeta();
+    if (meta.importedFromLocalStorage) return;
+
+    for (const entity of Object.keys(STORE_INDEXES)) {
+        const raw = localStorage.getItem(entity);
+        if (!raw) continue;
+        const records = JSON.parse(raw);
+        if (Array.isArray(records)) {
+            await backend.saveAll(entity, records);
+            console.info(`[storage] ${records.length} ${entity} importés depuis localStorage`);
+        }
+    }
+
+    await backend.setMeta('importedFromLocalStorage', new Date().toISOString());
+}
+
+/* ------------------------------------------
+ * SECTION 6: BACKEND SELECTION & METADATA
+ * ------------------------------------------
+ * Picks the backend on startup and keeps a
+ * synchronous in-memory copy of the metadata.
+ * ------------------------------------------ */
+
+/** @type {Object|null} Active storage backend */
+let storageBackend = null;
+
+/** @type {Object} In-memory copy of the metadata store */
+let storageMeta = {};
+
+/**
+ * Initialize Storage
+ * @function initStorage
+ * @returns {Promise<Object>} The opened backend
+ * @description Uses the backend named by localStorage
+ * 'storageBackend' (IndexedDB by default). Falls back to
+ * localStorage if IndexedDB or the REST API cannot be opened.
+ */
+async function initStorage() {
+    const preferred = localStorage.getItem('storageBackend') || 'indexedDB';
+
+    if (preferred === 'http') {
+        try {
+            const backend = createHttpBackend(localStorage.getItem('apiBaseUrl') || '/api');
+            await backend.open();
+            storageBackend = backend;
+        } catch (err) {
+            console.warn('[storage] API REST injoignable, repli sur localStorage', err);
+        }
+    }
+
+    if (preferred === 'indexedDB' && typeof indexedDB !== 'undefined') {
+        try {
+            const backend = createIndexedDbBackend();
+            await backend.open();
+            await importFromLocalStorage(backend);
+            storageBackend = backend;
+        } catch (err) {
+            console.warn('[storage] IndexedDB indisponible, repli sur localStorage', err);
+        }
+    }
+
+    if (!storageBackend) {
+        storageBackend = createLocalStorageBackend();
+        await storageBackend.open();
+    }
+
+    storageMeta = await storageBackend.loadMeta();
+    return storageBackend;
+}
+
+/**
+ * Get Storage Backend
+ * @function getStorageBackend
+ * @returns {Object} Active backend (after initStorage())
+ */
+function getStorageBackend() {
+    return storageBackend;
+}
+
+/**
+ * Get Metadata Value
+ * @function getMeta
+ * @param {string} key - Metadata key
+ * @param {*} [defaultValue] - Returned when the key is missing
+ * @returns {*} Stored value
+ */
+function getMeta(key, defaultValue) {
+    return key in storageMeta ? storageMeta[key] : defaultValue;
+}
+
+/**
+ * Set Metadata Value
+ * @function setMeta
+ * @param {string} key - Metadata key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>} Resolves once persisted
+ */
+function setMeta(key, value) {
+    storageMeta[key] = value;
+    return storageBackend.setMeta(key, value);
+}
+
+/**
+ * Reload Metadata Value
+ * @function reloadMeta
+ * @param {string} key - Metadata key
+ * @param {*} [defaultValue] - Returned when the key is missing
+ * @returns {Promise<*>} Value held by the backend, now also cached
+ * @description The cache is loaded once per page: read-modify-write
+ * of a value other tabs also write (id sequences, login attempts)
+ * starts here.
+ */
+async function reloadMeta(key, defaultValue) {
+    const meta = await storageBackend.loadMeta();
+    if (key in meta) {
+        storageMeta[key] = meta[key];
+    } else {
+        delete storageMeta[key];
+    }
+    return getMeta(key, defaultValue);
+}
+
+/* ==========================================
+ * END OF STORAGE.JS
+ * ==========================================
+ *
+ * SUMMARY:
+ * - IndexedDB backend (default), localStorage fallback
+ * - HTTP backend for a REST API (or the mock server)
+ * - One-time import of legacy localStorage data
+ * - Cached metadata via getMeta() / setMeta(), reloadMeta()
+ * ========================================== */
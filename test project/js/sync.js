@@ -0,0 +1,183 @@
+/* ==========================================
+ * GLOVOADMIN - CROSS-TAB SYNCHRONIZATION (sync.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Keeps every open tab up to date. Each repository write
+ * made in this tab is broadcast to the other tabs, which
+ * apply it to their in-memory cache and refresh their
+ * tables, KPIs and charts. Uses BroadcastChannel, or
+ * localStorage 'storage' events where it is unavailable.
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *
+ * SECTION 2: BROADCAST
+ *   - initSync(): Open the channel and relay local writes
+ *   - broadcastChange(): Send a change to other tabs
+ *   - receiveChange(): Apply a change from another tab
+ *
+ * SECTION 3: PAGE HELPERS
+ *   - onRemoteChange(): Refresh a page on remote writes
+ *   - warnIfEditedRecordChanged(): Conflict warning in the edit modal
+ *   - clearConflictWarning(): Remove it when the modal reopens
+ *
+ * DEPENDENCIES:
+ * - script.js (onAppReady, showToast)
+ * - repository.js (onRepositoryChange, applyRemoteChange)
+ *
+ * USED BY:
+ * - Every page writing to the repositories (loaded before its
+ *   page script)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {string} BroadcastChannel name */
+const SYNC_CHANNEL_NAME = 'deliverit-sync';
+
+/** @constant {string} localStorage key used by the 'storage' event fallback */
+const SYNC_STORAGE_KEY = 'syncChange';
+
+/** @constant {string} Identifies this tab (its own messages are ignored) */
+const SYNC_TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/** @type {BroadcastChannel|null} Open channel, null with the fallback */
+let syncChannel = null;
+
+/* ------------------------------------------
+ * SECTION 2: BROADCAST
+ * ------------------------------------------ */
+
+/**
+ * Initialize Sync
+ * @function initSync
+ * @description Started once the data is loaded, so startup
+ * writes (sample data, migrations) are not broadcast.
+ */
+function initSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.addEventListener('message', e => receiveChange(e.data));
+    } else {
+        window.addEventListener('storage', e => {
+            if (e.key === SYNC_STORAGE_KEY && e.newValue) {
+                receiveChange(JSON.parse(e.newValue));
+            }
+        });
+    }
+
+    onRepositoryChange(change => {
+        if (change.source === 'local') broadcastChange(change);
+    });
+}
+
+onAppReady(initSync);
+
+/**
+ * Broadcast Change
+ * @function broadcastChange
+ * @param {Object} change - Local repository change
+ */
+function broadcastChange(change) {
+    const message = { tabId: SYNC_TAB_ID, change };
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+    } else {
+        // 'storage' fires in the other tabs only when the value changes
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+    }
+}
+
+/**
+ * Receive Change
+ * @function receiveChange
+ * @param {Object} message - { tabId, change }
+ */
+function receiveChange(message) {
+    if (!message || message.tabId === SYNC_TAB_ID || !message.change) return;
+    applyRemoteChange(message.change);
+}
+
+/* ------------------------------------------
+ * SECTION 3: PAGE HELPERS
+ * ------------------------------------------ */
+
+/**
+ * On Remote Change
+ * @function onRemoteChange
+ * @param {Array<string>|null} entities - Entities to watch (null for all)
+ * @param {Function} callback - Called with the change
+ */
+function onRemoteChange(entities, callback) {
+    onRepositoryChange(change => {
+        if (change.source !== 'remote') return;
+        if (entities && !entities.includes(change.entity)) return;
+        callback(change);
+    });
+}
+
+/**
+ * Did a change touch a given record?
+ * @param {Object} change - Repository change
+ * @param {number} id - Record ID
+ * @returns {'updated'|'removed'|null}
+ */
+function getRecordChange(change, id) {
+    if (change.type === 'replace') {
+        const before = change.before.find(item => item.id === id);
+        const after = change.after.find(item => item.id === id);
+        if (before && (!after || after.deletedAt)) return 'removed';
+        if (JSON.stringify(before) !== JSON.stringify(after)) return 'updated';
+        return null;
+    }
+    if (change.id !== id) return null;
+    if (!change.after || change.after.deletedAt) return 'removed';
+    return change.type === 'update' ? 'updated' : null;
+}
+
+/**
+ * Warn If Edited Record Changed
+ * @function warnIfEditedRecordChanged
+ * @param {Object} change - Remote change
+ * @param {number|string|null} editedId - ID shown in the edit modal (#modalOverlay)
+ * @description Shows a warning in the open edit form when
+ * another tab updated or deleted the record being edited.
+ */
+function warnIfEditedRecordChanged(change, editedId) {
+    const overlay = document.getElementById('modalOverlay');
+    if (!editedId || !overlay || !overlay.classList.contains('show')) return;
+
+    const recordChange = getRecordChange(change, Number(editedId));
+    if (!recordChange) return;
+
+    const message = recordChange === 'removed'
+        ? 'Cet enregistrement a été supprimé dans un autre onglet.'
+        : 'Cet enregistrement a été modifié dans un autre onglet. À l\'enregistrement, ses changements seront repris et vous choisirez pour les champs modifiés des deux côtés.';
+
+    const form = overlay.querySelector('form');
+    let warning = overlay.querySelector('.conflict-warning');
+    if (!warning) {
+        warning = document.createElement('div');
+        warning.className = 'conflict-warning';
+        form.prepend(warning);
+    }
+    warning.innerHTML = `<i class="fas fa-exclamation-triangle"></i> <span>${message}</span>`;
+    showToast(message, 'warning');
+}
+
+/**
+ * Clear Conflict Warning
+ * @function clearConflictWarning
+ * @description Called when the edit modal is opened again.
+ */
+function clearConflictWarning() {
+    const warning = document.querySelector('#modalOverlay .conflict-warning');
+    if (warning) warning.remove();
+}
@@ -0,0 +1,327 @@
+/* ==========================================
+ * GLOVOADMIN - TWO-FACTOR AUTHENTICATION (totp.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Optional second factor for admin accounts: time-based
+ * one-time passwords (TOTP, RFC 6238: HMAC-SHA-1, 6
+ * digits, 30 s steps), as produced by authenticator
+ * apps. Enrollment happens on "Mon compte": the user
+ * scans a QR code (qrcode.js, rendered locally), then
+ * confirms a code; they get one-time recovery codes for
+ * when the phone is lost.
+ *
+ * Stored on the user record:
+ *   totpSecret:    base32 secret (2FA enabled when set)
+ *   totpLastStep:  last accepted time step (no replay)
+ *   recoveryCodes: SHA-256 hashes of unused recovery codes
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION
+ *   - TOTP_CONFIG
+ *
+ * SECTION 2: TOTP
+ *   - createTotpSecret() / buildTotpUri()
+ *   - generateTotpCode(): Code of a time step
+ *   - matchTotpCode(): Check a typed code
+ *
+ * SECTION 3: RECOVERY CODES
+ *   - generateRecoveryCodes(): New set (clear + hashed)
+ *
+ * SECTION 4: ACCOUNT
+ *   - isTwoFactorEnabled(): Does the account need a code?
+ *   - verifySecondFactor(): Check the code typed at login
+ *   - enableTwoFactor() / disableTwoFactor() / regenerateRecoveryCodes()
+ *
+ * DEPENDENCIES:
+ * - auth.js (bytesToBase64, verifyPassword, PasswordError)
+ * - repository.js (getRepository), permissions.js (withoutPermissionChecks)
+ * - script.js (getCurrentUser)
+ *
+ * USED BY:
+ * - auth.js (authenticateUser), account.js (enrollment)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION
+ * ------------------------------------------ */
+
+/**
+ * TOTP Configuration
+ * @constant {Object}
+ * @property {string} issuer - Name shown in authenticator apps
+ * @property {number} digits - Code length
+ * @property {number} period - Time step (s)
+ * @property {number} window - Steps accepted before and after now (clock drift)
+ * @property {number} secretBytes - Secret length (160 bits, as RFC 4226 recommends)
+ * @property {number} recoveryCodes - Recovery codes per set
+ */
+const TOTP_CONFIG = {
+    issuer: 'Deliver It',
+    digits: 6,
+    period: 30,
+    window: 1,
+    secretBytes: 20,
+    recoveryCodes: 10
+};
+
+/** @constant {string} RFC 4648 base32 alphabet */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/* ------------------------------------------
+ * SECTION 2: TOTP
+ * ------------------------------------------ */
+
+/**
+ * Bytes → base32 (no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base32Encode(bytes) {
+    let bits = '';
+    bytes.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return text;
+}
+
+/**
+ * Base32 → bytes (spaces, case and padding ignored)
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base32Decode(text) {
+    let bits = '';
+    text.toUpperCase().replace(/[\s=]/g, '').split('').forEach(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value >= 0) bits += value.toString(2).padStart(5, '0');
+    });
+    const bytes = new Uint8Array(Math.floor(bits.length / 8));
+    bytes.forEach((byte, i) => { bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2); });
+    return bytes;
+}
+
+/**
+ * Create TOTP Secret
+ * @function createTotpSecret
+ * @returns {string} New random secret (base32)
+ */
+function createTotpSecret() {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(TOTP_CONFIG.secretBytes)));
+}
+
+/**
+ * Build TOTP URI
+ * @function buildTotpUri
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account shown in the app
+ * @returns {string} otpauth:// URI encoded in the QR code
+ */
+function buildTotpUri(secret, email) {
+    const issuer = encodeURIComponent(TOTP_CONFIG.issuer);
+    return `otpauth://totp/${issuer}:${encodeURIComponent(email)}?secret=${secret}&issuer=${issuer}` +
+        `&algorithm=SHA1&digits=${TOTP_CONFIG.digits}&period=${TOTP_CONFIG.period}`;
+}
+
+/**
+ * Current Time Step
+ * @returns {number} Number of periods since the Unix epoch
+ */
+function getTotpStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_CONFIG.period);
+}
+
+/**
+ * Generate TOTP Code
+ * @function generateTotpCode
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {Promise<string>} Zero-padded code (HOTP of the step, RFC 4226)
+ */
+async function generateTotpCode(secret, step) {
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret),
+        { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const counter = new DataView(new ArrayBuffer(8));
+    counter.setUint32(0, Math.floor(step / 2 ** 32));
+    counter.setUint32(4, step >>> 0);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, new Uint8Array(counter.buffer)));
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+}
+
+/**
+ * Match TOTP Code
+ * @function matchTotpCode
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [lastStep=-1] - Last accepted step (older or equal steps are refused)
+ * @returns {Promise<number|null>} Matching time step, or null
+ */
+async function matchTotpCode(secret, code, lastStep = -1) {
+    const typed = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(typed)) return null;
+
+    const now = getTotpStep();
+    for (let step = now - TOTP_CONFIG.window; step <= now + TOTP_CONFIG.window; step++) {
+        if (step > lastStep && await generateTotpCode(secret, step) === typed) return step;
+    }
+    return null;
+}
+
+/* ------------------------------------------
+ * SECTION 3: RECOVERY CODES
+ * ------------------------------------------ */
+
+/**
+ * Normalize and hash a recovery code
+ * @param {string} code - 'abcd-efgh', any case, dash optional
+ * @returns {Promise<string>} SHA-256, base64
+ */
+async function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return bytesToBase64(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized)));
+}
+
+/**
+ * Generate Recovery Codes
+ * @function generateRecoveryCodes
+ * @returns {Promise<{codes: Array<string>, hashes: Array<string>}>}
+ * Codes to show once ('abcd-efgh') and the hashes to store
+ */
+async function generateRecoveryCodes() {
+    const codes = Array.from({ length: TOTP_CONFIG.recoveryCodes }, () => {
+        const text = base32Encode(crypto.getRandomValues(new Uint8Array(5))).toLowerCase();
+        return `${text.slice(0, 4)}-${text.slice(4, 8)}`;
+    });
+    return { codes, hashes: await Promise.all(codes.map(hashRecoveryCode)) };
+}
+
+/* ------------------------------------------
+ * SECTION 4: ACCOUNT
+ * ------------------------------------------
+ * Users may not hold 'users.update': these
+ * writes only touch the two-factor fields of
+ * the account concerned (see auth.js).
+ * ------------------------------------------ */
+
+/**
+ * Is Two-Factor Enabled
+ * @function isTwoFactorEnabled
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+function isTwoFactorEnabled(user) {
+    return Boolean(user && user.totpSecret);
+}
+
+/**
+ * Update the two-factor fields of an account
+ * @param {number} userId - User record ID
+ * @param {Object} changes - totpSecret, totpLastStep, recoveryCodes
+ */
+function updateTwoFactorFields(userId, changes) {
+    withoutPermissionChecks(() => getRepository('users').update(userId, changes));
+}
+
+/**
+ * Verify Second Factor
+ * @function verifySecondFactor
+ * @param {Object} user - User record with 2FA enabled
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<boolean>} True if accepted. A TOTP code cannot
+ * be used twice; a recovery code is removed once used.
+ */
+async function verifySecondFactor(user, code) {
+    const step = await matchTotpCode(user.totpSecret, code, Number.isInteger(user.totpLastStep) ? user.totpLastStep : -1);
+    if (step !== null) {
+        updateTwoFactorFields(user.id, { totpLastStep: step });
+        return true;
+    }
+
+    const hash = await hashRecoveryCode(code);
+    const remaining = (user.recoveryCodes || []).filter(stored => stored !== hash);
+    if (remaining.length === (user.recoveryCodes || []).length) return false;
+    updateTwoFactorFields(user.id, { recoveryCodes: remaining });
+    return true;
+}
+
+/**
+ * Get the record of the logged-in user
+ * @returns {Object} User record
+ * @throws {PasswordError} If it no longer exists
+ */
+function getCurrentAccount() {
+    const session = getCurrentUser();
+    const user = session ? getRepository('users').findById(session.id) : null;
+    if (!user) throw new PasswordError('Compte introuvable');
+    return user;
+}
+
+/**
+ * Enable Two-Factor
+ * @function enableTwoFactor
+ * @param {string} secret - Secret shown in the QR code
+ * @param {string} code - Code typed from the app, proving it was scanned
+ * @returns {Promise<Array<string>>} Recovery codes, to show once
+ * @throws {PasswordError} If the code is wrong
+ */
+async function enableTwoFactor(secret, code) {
+    const user = getCurrentAccount();
+    const step = await matchTotpCode(secret, code);
+    if (step === null) {
+        throw new PasswordError('Code incorrect. Vérifiez l\'heure de votre téléphone et réessayez.');
+    }
+    const { codes, hashes } = await generateRecoveryCodes();
+    updateTwoFactorFields(user.id, { totpSecret: secret, totpLastStep: step, recoveryCodes: hashes });
+    return codes;
+}
+
+/**
+ * Check the password of the logged-in user
+ * @param {string} password - Clear password
+ * @returns {Promise<Object>} User record
+ * @throws {PasswordError} If it is wrong
+ */
+async function confirmAccountPassword(password) {
+    const user = getCurrentAccount();
+    if (!await verifyPassword(password, user.passwordHash)) {
+        throw new PasswordError('Mot de passe incorrect');
+    }
+    return user;
+}
+
+/**
+ * Disable Two-Factor
+ * @function disableTwoFactor
+ * @param {string} password - Current password of the user
+ * @returns {Promise<void>}
+ * @throws {PasswordError} If the password is wrong
+ */
+async function disableTwoFactor(password) {
+    const user = await confirmAccountPassword(password);
+    updateTwoFactorFields(user.id, { totpSecret: '', totpLastStep: null, recoveryCodes: [] });
+}
+
+/**
+ * Regenerate Recovery Codes
+ * @function regenerateRecoveryCodes
+ * @param {string} password - Current password of the user
+ * @returns {Promise<Array<string>>} New codes; the old ones stop working
+ * @throws {PasswordError} If the password is wrong
+ */
+async function regenerateRecoveryCodes(password) {
+    const user = await confirmAccountPassword(password);
+    const { codes, hashes } = await generateRecoveryCodes();
+    updateTwoFactorFields(user.id, { recoveryCodes: hashes });
+    return codes;
+}
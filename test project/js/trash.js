@@ -0,0 +1,316 @@
+/* ==========================================
+ * GLOVOADMIN - TRASH BIN (trash.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * "Corbeille" page. Lists the records deleted from every
+ * entity (orders, products, clients, users, deliveries),
+ * with restore and permanent-purge actions. Deleted items
+ * are purged automatically after the retention period
+ * configured here (see purgeExpiredRecords, repository.js).
+ * Admins also choose here what deleting a record does to
+ * the records referencing it (integrity rules).
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: INITIALIZATION
+ *   - onAppReady(): Entry point (after data is loaded)
+ *
+ * SECTION 2: CONFIGURATION
+ *   - TRASH_ENTITIES: Entity labels
+ *   - describeDeletedRecord(): One-line summary of a record
+ *
+ * SECTION 3: RENDER TABLE
+ *   - renderTrashTable(): Display deleted records with filters
+ *
+ * SECTION 4: EVENT LISTENERS
+ *   - setupEventListeners(): Bind UI events
+ *
+ * SECTION 5: RETENTION SETTING
+ *   - saveRetention(): Store the retention period
+ *
+ * SECTION 6: INTEGRITY RULES
+ *   - renderIntegrityRules(): Policy selector per relation
+ *   - saveIntegrityRules(): Store the policies
+ *
+ * SECTION 7: GLOBAL HELPERS
+ *   - restoreDeleted(): Put a record back
+ *   - purgeDeleted(): Delete a record permanently
+ *   - emptyTrash(): Purge everything shown
+ *
+ * DEPENDENCIES:
+ * - script.js, repository.js, permissions.js, sync.js, history.js (must be loaded first)
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+/* ------------------------------------------
+ * SECTION 1: INITIALIZATION
+ * ------------------------------------------
+ * Entry point for the trash page.
+ * ------------------------------------------ */
+
+onAppReady(() => {
+    document.getElementById('retentionDays').value = getTrashRetentionDays();
+    if (getCurrentRole() === SUPER_ROLE) renderIntegrityRules();
+    renderTrashTable();
+    setupEventListeners();
+
+    // Refresh on changes from other tabs or undo/redo
+    onRemoteChange(null, renderTrashTable);
+    onHistoryReplay(null, renderTrashTable);
+});
+
+/* ------------------------------------------
+ * SECTION 2: CONFIGURATION
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Entity → label */
+const TRASH_ENTITIES = {
+    orders: 'Commande',
+    products: 'Produit',
+    clients: 'Client',
+    users: 'Utilisateur',
+    deliveries: 'Livraison'
+};
+
+/**
+ * Describe Deleted Record
+ * @function describeDeletedRecord
+ * @param {string} entity - Entity key
+ * @param {Object} record - Deleted record
+ * @returns {string} Short description
+ */
+function describeDeletedRecord(entity, record) {
+    switch (entity) {
+        case 'orders':
+            return `${record.clientName || `Client #${record.clientId}`} — ${formatOrderItems(record.items)}`;
+        case 'deliveries':
+            return `Commande ${record.orderId ? `#${record.orderId}` : '-'} — ${record.driver || 'Non assigné'}`;
+        case 'users':
+        case 'clients':
+            return `${record.name} (${record.email})`;
+        default:
+            return record.name || '';
+    }
+}
+
+/* ------------------------------------------
+ * SECTION 3: RENDER TABLE
+ * ------------------------------------------
+ * Lists deleted records, most recent first.
+ * ------------------------------------------ */
+
+/**
+ * Render Trash Table
+ * @function renderTrashTable
+ * @description Filters by entity and search text.
+ */
+function renderTrashTable() {
+    const tbody = document.getElementById('tableBody');
+    const entityFilter = document.getElementById('filterEntity').value;
+    const search = document.getElementById('searchInput').value.toLowerCase();
+
+    const items = Object.keys(TRASH_ENTITIES)
+        .filter(entity => !entityFilter || entity === entityFilter)
+        .flatMap(entity => getRepository(entity).findDeleted().map(record => ({
+            entity,
+            record,
+            description: describeDeletedRecord(entity, record)
+        })))
+        .filter(item => item.description.toLowerCase().includes(search) ||
+            (item.record.deletedBy || '').toLowerCase().includes(search))
+        .sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+
+    if (items.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6">
+                    <div class="empty-state">
+                        <i class="fas fa-trash-alt"></i>
+                        <h3>La corbeille est vide</h3>
+                    </div>
+                </td>
+            </tr>
+        `;
+    } else {
+        tbody.innerHTML = items.map(({ entity, record, description }) => `
+            <tr>
+                <td><span class="status-badge info">${TRASH_ENTITIES[entity]}</span></td>
+                <td>#${record.id}</td>
+                <td>${escapeHtml(description)}</td>
+                <td>${new Date(record.deletedAt).toLocaleString('fr-FR')}</td>
+                <td>${escapeHtml(record.deletedBy || '-')}</td>
+                <td>
+                    ${can(`${entity}.delete`) ? `
+                        <div class="action-buttons">
+                            <button class="action-btn edit" title="Restaurer" onclick="restoreDeleted('${entity}', ${record.id})"><i class="fas fa-trash-restore"></i></button>
+                            <button class="action-btn delete" title="Supprimer définitivement" onclick="purgeDeleted('${entity}', ${record.id})"><i class="fas fa-times"></i></button>
+                        </div>
+                    ` : '-'}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    document.getElementById('paginationInfo').textContent = `${items.length} élément(s) dans la corbeille`;
+    document.getElementById('emptyTrashBtn').disabled = items.length === 0;
+}
+
+/* ------------------------------------------
+ * SECTION 4: EVENT LISTENERS
+ * ------------------------------------------ */
+
+/**
+ * Setup Event Listeners
+ * @function setupEventListeners
+ */
+function setupEventListeners() {
+    document.getElementById('filterEntity').addEventListener('change', renderTrashTable);
+    document.getElementById('searchInput').addEventListener('input', renderTrashTable);
+    document.getElementById('saveRetentionBtn').addEventListener('click', saveRetention);
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+}
+
+/* ------------------------------------------
+ * SECTION 5: RETENTION SETTING
+ * ------------------------------------------ */
+
+/**
+ * Save Retention
+ * @function saveRetention
+ * @description Stores the number of days deleted items are
+ * kept, then purges the items already past it.
+ */
+async function saveRetention() {
+    const days = parseInt(document.getElementById('retentionDays').value, 10);
+    if (!Number.isInteger(days) || days < 1) {
+        showToast('La durée de conservation doit être d\'au moins 1 jour', 'error');
+        return;
+    }
+
+    await setMeta('trashRetentionDays', days);
+    const purged = purgeExpiredRecords();
+    showToast(purged > 0
+        ? `Conservation : ${days} jour(s). ${purged} élément(s) purgé(s)`
+        : `Conservation : ${days} jour(s)`, 'success');
+    renderTrashTable();
+}
+
+/* ------------------------------------------
+ * SECTION 6: INTEGRITY RULES
+ * ------------------------------------------
+ * Policy applied to dependent records on delete
+ * (see INTEGRITY_RELATIONS, repository.js).
+ * ------------------------------------------ */
+
+/** @constant {Object<string, string>} Policy → label */
+const INTEGRITY_POLICY_LABELS = {
+    block: 'Bloquer la suppression',
+    cascade: 'Supprimer aussi',
+    nullify: 'Vider la référence'
+};
+
+/**
+ * Render Integrity Rules
+ * @function renderIntegrityRules
+ */
+function renderIntegrityRules() {
+    document.getElementById('integrityCard').style.display = '';
+    document.getElementById('integrityRules').innerHTML = Object.keys(INTEGRITY_RELATIONS).map(relationId => `
+        <div class="filter-group">
+            <label>${INTEGRITY_RELATIONS[relationId].label}</label>
+            <select class="filter-select" data-relation="${relationId}">
+                ${INTEGRITY_POLICIES.map(policy => `
+                    <option value="${policy}" ${policy === getIntegrityPolicy(relationId) ? 'selected' : ''}>${INTEGRITY_POLICY_LABELS[policy]}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('') + `
+        <div class="filter-group">
+            <label>&nbsp;</label>
+            <button class="btn btn-secondary" id="saveIntegrityBtn">
+                <i class="fas fa-save"></i>
+                Enregistrer les règles
+            </button>
+        </div>
+    `;
+    document.getElementById('saveIntegrityBtn').addEventListener('click', saveIntegrityRules);
+}
+
+/**
+ * Save Integrity Rules
+ * @function saveIntegrityRules
+ */
+async function saveIntegrityRules() {
+    const policies = {};
+    document.querySelectorAll('#integrityRules select[data-relation]').forEach(select => {
+        policies[select.dataset.relation] = select.value;
+    });
+    await setMeta('integrityPolicies', policies);
+    showToast('Règles de suppression enregistrées', 'success');
+}
+
+/* ------------------------------------------
+ * SECTION 7: GLOBAL HELPERS
+ * ------------------------------------------
+ * Functions attached to window for HTML onclick access.
+ * ------------------------------------------ */
+
+/**
+ * Restore Deleted Record
+ * @function restoreDeleted
+ * @param {string} entity - Entity key
+ * @param {number} id - Record ID
+ */
+window.restoreDeleted = function(entity, id) {
+    try {
+        if (!getRepository(entity).restore(id)) return;
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    showUndoToast(`${TRASH_ENTITIES[entity]} #${id} restauré(e)`);
+    renderTrashTable();
+};
+
+/**
+ * Purge Deleted Record
+ * @function purgeDeleted
+ * @param {string} entity - Entity key
+ * @param {number} id - Record ID
+ */
+window.purgeDeleted = function(entity, id) {
+    if (confirm('Supprimer définitivement cet élément ?')) {
+        try {
+            getRepository(entity).purge(id);
+        } catch (err) {
+            showToast(err.message, 'error');
+            return;
+        }
+        showUndoToast(`${TRASH_ENTITIES[entity]} #${id} supprimé(e) définitivement`);
+        renderTrashTable();
+    }
+};
+
+/**
+ * Empty Trash
+ * @function emptyTrash
+ * @description Purges every deleted record matching the entity filter.
+ */
+function emptyTrash() {
+    const entityFilter = document.getElementById('filterEntity').value;
+    // Entities the user may not delete are left in the trash
+    const entities = Object.keys(TRASH_ENTITIES)
+        .filter(entity => (!entityFilter || entity === entityFilter) && can(`${entity}.delete`));
+
+    if (!confirm('Supprimer définitivement tous ces éléments ?')) return;
+
+    entities.forEach(entity => {
+        const repository = getRepository(entity);
+        repository.findDeleted().forEach(record => repository.purge(record.id));
+    });
+    showUndoToast('Corbeille vidée');
+    renderTrashTable();
+}
@@ -9,14 +9,13 @@
  * FILE STRUCTURE:
  * ─────────────────────────────────────────
  * SECTION 1: INITIALIZATION
- *   - DOMContentLoaded: Entry point
+ *   - onAppReady(): Entry point (after data is loaded)
  * 
- * SECTION 2: DATA HELPERS
- *   - getData(): Retrieve data from localStorage
- *   - saveData(): Save data to localStorage
+ * SECTION 2: DATA ACCESS
+ *   - usersRepository: Shared 'users' repository
  * 
  * SECTION 3: RENDER TABLE
- *   - renderUsersTable(): Display users with filters
+ *   - renderUsersTable(): Display users with filters (and login locks for admins)
  * 
  * SECTION 4: EVENT LISTENERS
  *   - setupEventListeners(): Bind UI events
@@ -26,14 +25,20 @@
  *   - closeModal(): Hide form
  * 
  * SECTION 6: FORM SUBMISSION
- *   - handleFormSubmit(): Process create/update
+ *   - handleFormSubmit(): Process create/update (password hashed by auth.js)
  * 
  * SECTION 7: GLOBAL HELPERS
  *   - editUser(): Trigger edit mode
  *   - deleteUser(): Remove user
+ *   - unlockUser(): Lift a login lock (admins only)
+ *   - impersonateUser(): "Voir en tant que" (admins only, session.js)
+ * 
+ * SECTION 8: PERMISSION MATRIX (admins only)
+ *   - renderPermissionMatrix(): Checkbox per role and permission
+ *   - savePermissionMatrix(): Store the matrix
  * 
  * DEPENDENCIES:
- * - localStorage ('users' key)
+ * - script.js, repository.js, permissions.js, session.js, sync.js, history.js, conflict.js, auth.js (must be loaded first)
  * 
  * @author GlovoAdmin Team
  * @version 1.0.0
@@ -45,34 +50,30 @@
  * Entry point for the users page.
  * ------------------------------------------ */
 
-document.addEventListener('DOMContentLoaded', () => {
+onAppReady(() => {
     renderUsersTable();
     setupEventListeners();
+    if (getCurrentRole() === SUPER_ROLE) renderPermissionMatrix();
+    
+    // Refresh when another tab changes users (sync.js)
+    onRemoteChange(['users'], (change) => {
+        renderUsersTable();
+        warnIfEditedRecordChanged(change, document.getElementById('entityId').value);
+    });
+    
+    // Refresh after undo/redo (history.js)
+    onHistoryReplay(['users'], renderUsersTable);
 });
 
 /* ------------------------------------------
- * SECTION 2: DATA HELPERS
+ * SECTION 2: DATA ACCESS
  * ------------------------------------------
- * Wrappers for LocalStorage interaction.
+ * Users are read and written through the
+ * shared repository layer (repository.js).
  * ------------------------------------------ */
 
-/**
- * Get Data from Storage
- * @param {string} key - LocalStorage key
- * @returns {Array} Parsed data or empty array
- */
-function getData(key) {
-    return JSON.parse(localStorage.getItem(key)) || [];
-}
-
-/**
- * Save Data to Storage
- * @param {string} key - LocalStorage key
- * @param {Array} data - Data to save
- */
-function saveData(key, data) {
-    localStorage.setItem(key, JSON.stringify(data));
-}
+/** @type {Object} Repository for the 'users' entity */
+const usersRepository = getRepository('users');
 
 /* ------------------------------------------
  * SECTION 3: RENDER TABLE
@@ -87,7 +88,7 @@ function saveData(key, data) {
  * Handles search, role filter, and status filter.
  */
 function renderUsersTable() {
-    const users = getData('users');
+    const users = usersRepository.find();
     const tbody = document.getElementById('tableBody');
     
     // Get filter values
@@ -104,20 +105,34 @@ function renderUsersTable() {
         return matchSearch && matchRole && matchStatus;
     });
 
+    // Edit/delete buttons follow the permissions of the role
+    const canUpdate = can('users.update');
+    const canDelete = can('users.delete');
+    // Accounts locked after failed logins (auth.js), shown to admins
+    const lockedEmails = getCurrentRole() === SUPER_ROLE ? getLockedEmails() : {};
+    const lockedUntil = user => lockedEmails[(user.email || '').toLowerCase()];
+    // "Voir en tant que": admins, on any account but another admin's
+    const canImpersonate = user => getCurrentRole() === SUPER_ROLE && user.role !== SUPER_ROLE;
+
     // Generate HTML
     tbody.innerHTML = filtered.map(user => `
         <tr>
             <td>#${user.id}</td>
-            <td>${user.name}</td>
-            <td>${user.email}</td>
-            <td><span class="status-badge info">${user.role}</span></td>
+            <td>${escapeHtml(user.name)}</td>
+            <td>${escapeHtml(user.email)}</td>
+            <td><span class="status-badge info">${escapeHtml(user.role)}</span></td>
             <!-- Conditional styling: Green if Active, Red if not -->
-            <td><span class="status-badge ${user.status === 'Actif' ? 'success' : 'danger'}">${user.status}</span></td>
+            <td>
+                <span class="status-badge ${user.status === 'Actif' ? 'success' : 'danger'}">${escapeHtml(user.status)}</span>
+                ${lockedUntil(user) ? `<span class="status-badge warning" title="Jusqu'au ${new Date(lockedUntil(user)).toLocaleString('fr-FR')}"><i class="fas fa-lock"></i> Verrouillé</span>` : ''}
+            </td>
             <td>${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : '-'}</td>
             <td>
                 <div class="action-buttons">
-                    <button class="action-btn edit" onclick="editUser(${user.id})"><i class="fas fa-edit"></i></button>
-                    <button class="action-btn delete" onclick="deleteUser(${user.id})"><i class="fas fa-trash"></i></button>
+                    ${lockedUntil(user) ? `<button class="action-btn view" title="Déverrouiller" onclick="unlockUser(${user.id})"><i class="fas fa-unlock"></i></button>` : ''}
+                    ${canImpersonate(user) ? `<button class="action-btn view" title="Voir en tant que" onclick="impersonateUser(${user.id})"><i class="fas fa-user-secret"></i></button>` : ''}
+                    ${canUpdate ? `<button class="action-btn edit" onclick="editUser(${user.id})"><i class="fas fa-edit"></i></button>` : ''}
+                    ${canDelete ? `<button class="action-btn delete" onclick="deleteUser(${user.id})"><i class="fas fa-trash"></i></button>` : ''}
                 </div>
             </td>
         </tr>
@@ -138,7 +153,9 @@ function renderUsersTable() {
  * @description Binds click, input, and submit events to UI elements.
  */
 function setupEventListeners() {
-    document.getElementById('addNewBtn').addEventListener('click', () => openModal());
+    document.getElementById('addNewBtn').addEventListener('click', () => {
+        if (requirePermission('users.create')) openModal();
+    });
     document.getElementById('modalClose').addEventListener('click', closeModal);
     document.getElementById('cancelBtn').addEventListener('click', closeModal);
     document.getElementById('entityForm').addEventListener('submit', handleFormSubmit);
@@ -174,18 +191,28 @@ function openModal(user = null) {
         // Edit Mode
         title.textContent = 'Modifier Utilisateur';
         document.getElementById('entityId').value = user.id;
+        setEditBase(user);
         document.getElementById('name').value = user.name;
         document.getElementById('email').value = user.email;
         document.getElementById('role').value = user.role;
         document.getElementById('status').value = user.status;
         document.getElementById('phone').value = user.phone || '';
+        document.getElementById('password').value = '';
     } else {
         // Add Mode
         title.textContent = 'Ajouter Utilisateur';
         form.reset();
         document.getElementById('entityId').value = '';
+        setEditBase(null);
     }
     
+    // A new account needs a password; an existing one keeps its own if left empty
+    document.getElementById('password').required = !user;
+    document.getElementById('passwordLabel').textContent = user
+        ? 'Nouveau mot de passe (laisser vide pour conserver l\'actuel)'
+        : 'Mot de passe initial *';
+    
+    clearConflictWarning();
     modal.classList.add('show');
 }
 
@@ -208,34 +235,62 @@ function closeModal() {
  * Handle Form Submit
  * @function handleFormSubmit
  * @description Processes the form submission for creating or updating a user.
+ * A typed password is hashed before saving and never stored as is,
+ * and an email already used by another account is refused.
  * @param {Event} e - The submit event.
  */
-function handleFormSubmit(e) {
+async function handleFormSubmit(e) {
     e.preventDefault();
-    const users = getData('users');
     const id = document.getElementById('entityId').value;
+    const password = document.getElementById('password').value;
     
     const userData = {
-        id: id ? parseInt(id) : generateId('users'),
         name: document.getElementById('name').value,
         email: document.getElementById('email').value,
         role: document.getElementById('role').value,
         status: document.getElementById('status').value,
-        phone: document.getElementById('phone').value,
-        // Keep original creation date if editing, else use now
-        createdAt: id ? users.find(u => u.id == id).createdAt : new Date().toISOString()
+        phone: document.getElementById('phone').value
+    };
+
+    // The email signs the user in: one account per email (case-insensitive)
+    const sameEmail = findUserByEmail(userData.email);
+    if (sameEmail && sameEmail.id !== Number(id)) {
+        showToast('Un autre compte utilise déjà cet email', 'error');
+        return;
+    }
+
+    if (password) {
+        if (password.length < PASSWORD_MIN_LENGTH) {
+            showToast(`Le mot de passe doit contenir au moins ${PASSWORD_MIN_LENGTH} caractères`, 'error');
+            return;
+        }
+        userData.passwordHash = await hashPassword(password);
+    } else if (!id) {
+        showToast('Définissez un mot de passe initial', 'error');
+        return;
+    }
+
+    const onSaved = () => {
+        // A new password ends the other sessions of that user; keep this one
+        if (password && Number(id) === getCurrentUser().id) renewSession();
+        showUndoToast(id ? 'Utilisateur mis à jour avec succès' : 'Utilisateur ajouté avec succès');
+        closeModal();
+        renderUsersTable();
     };
 
     if (id) {
-        const index = users.findIndex(u => u.id == id);
-        users[index] = userData;
-    } else {
-        users.push(userData);
+        // Original creation date is kept by the merge
+        saveEditedRecord(usersRepository, id, userData, document.getElementById('entityVersion').value, onSaved);
+        return;
     }
 
-    saveData('users', users);
-    closeModal();
-    renderUsersTable();
+    try {
+        usersRepository.insert({ ...userData, createdAt: new Date().toISOString() });
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    onSaved();
 }
 
 /* ------------------------------------------
@@ -251,8 +306,8 @@ function handleFormSubmit(e) {
  * @param {number} id - The ID of the user to edit.
  */
 window.editUser = function(id) {
-    const users = getData('users');
-    const user = users.find(u => u.id === id);
+    if (!requirePermission('users.update')) return;
+    const user = usersRepository.findById(id);
     if (user) openModal(user);
 };
 
@@ -263,10 +318,126 @@ window.editUser = function(id) {
  * @param {number} id - The ID of the user to delete.
  */
 window.deleteUser = function(id) {
-    if (confirm('Êtes-vous sûr de vouloir supprimer cet utilisateur ?')) {
-        const users = getData('users');
-        const newUsers = users.filter(u => u.id !== id);
-        saveData('users', newUsers);
-        renderUsersTable();
+    if (!requirePermission('users.delete')) return;
+    if (!confirmDeletion('users', id, 'Êtes-vous sûr de vouloir supprimer cet utilisateur ?')) return;
+
+    try {
+        usersRepository.remove(id);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    showUndoToast('Utilisateur déplacé dans la corbeille');
+    renderUsersTable();
+};
+
+/**
+ * Unlock User
+ * @function unlockUser
+ * @description Global function to lift the login lock of a user
+ * (too many failed logins, see auth.js).
+ * @param {number} id - The ID of the user to unlock.
+ */
+window.unlockUser = async function(id) {
+    const user = usersRepository.findById(id);
+    if (!user) return;
+
+    try {
+        await unlockAccount(user.email);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
     }
+    showToast(`Compte de ${user.name} déverrouillé`, 'success');
+    renderUsersTable();
 };
+
+/**
+ * Impersonate User
+ * @function impersonateUser
+ * @description Global function to open the application as a user
+ * (see startImpersonation, session.js), on their home page.
+ * @param {number} id - The ID of the user to impersonate.
+ */
+window.impersonateUser = async function(id) {
+    const user = usersRepository.findById(id);
+    if (!user || !confirm(`Voir l'application en tant que ${user.name} ?`)) return;
+
+    let session;
+    try {
+        session = await startImpersonation(user);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    window.location.href = getHomePage(session);
+};
+
+/* ------------------------------------------
+ * SECTION 8: PERMISSION MATRIX
+ * ------------------------------------------
+ * Permissions granted to each role
+ * (see PERMISSIONS, permissions.js).
+ * ------------------------------------------ */
+
+/**
+ * Render Permission Matrix
+ * @function renderPermissionMatrix
+ * @param {Object<string, Array<string>>} [matrix] - Role → permissions
+ *   to show (defaults to the stored matrix)
+ * @description The Admin column is shown checked and locked.
+ */
+function renderPermissionMatrix(matrix = null) {
+    const card = document.getElementById('permissionsCard');
+    if (card.style.display === 'none') {
+        card.style.display = '';
+        document.getElementById('savePermissionsBtn').addEventListener('click', savePermissionMatrix);
+        document.getElementById('resetPermissionsBtn').addEventListener('click', () => {
+            renderPermissionMatrix(DEFAULT_ROLE_PERMISSIONS);
+            showToast('Valeurs par défaut affichées, enregistrez pour les appliquer', 'info');
+        });
+    }
+
+    const granted = role => (role === SUPER_ROLE || !matrix ? getRolePermissions(role) : matrix[role] || []);
+    document.getElementById('permissionMatrix').innerHTML = `
+        <thead>
+            <tr>
+                <th>Permission</th>
+                ${PERMISSION_ROLES.map(role => `<th>${role}</th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${Object.keys(PERMISSIONS).map(permission => `
+                <tr>
+                    <td>${PERMISSIONS[permission]}</td>
+                    ${PERMISSION_ROLES.map(role => `
+                        <td>
+                            <input type="checkbox" data-role="${role}" data-grant="${permission}"
+                                ${granted(role).includes(permission) ? 'checked' : ''}
+                                ${role === SUPER_ROLE ? 'disabled' : ''}>
+                        </td>
+                    `).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+/**
+ * Save Permission Matrix
+ * @function savePermissionMatrix
+ */
+async function savePermissionMatrix() {
+    const matrix = {};
+    document.querySelectorAll('#permissionMatrix input[data-role]:checked').forEach(checkbox => {
+        (matrix[checkbox.dataset.role] = matrix[checkbox.dataset.role] || []).push(checkbox.dataset.grant);
+    });
+
+    try {
+        await saveRolePermissions(matrix);
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+    showToast('Permissions enregistrées', 'success');
+}
@@ -0,0 +1,286 @@
+/* ==========================================
+ * GLOVOADMIN - MOCK REST SERVER (mock-server.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Local REST API for developing against the HTTP
+ * storage backend. Serves the pages of the project
+ * and an in-memory API seeded with the same data as
+ * initSampleData() (js/sample-data.js). Data is lost
+ * when the server stops. No dependencies: Node only.
+ *
+ * USAGE:
+ *   node "test project/server/mock-server.js"   (PORT=3000 by default)
+ *   open http://localhost:3000/login.html, then in the console:
+ *   localStorage.setItem('storageBackend', 'http')
+ *
+ * TESTS:
+ *   node --test "test project/server"
+ *
+ * ROUTES:
+ *   GET    /api/:entity           List (?field=value filters)
+ *   GET    /api/:entity/:id       One record
+ *   POST   /api/:entity           Create (201)
+ *   PUT    /api/:entity/:id       Create or replace
+ *   PUT    /api/:entity           Replace the whole collection
+ *   DELETE /api/:entity/:id       Delete (204)
+ *   GET    /api/meta              Metadata object
+ *   PUT    /api/meta/:key         Set metadata { value }
+ *   GET    /*                     Static files of the project
+ *
+ * FILE STRUCTURE:
+ * ─────────────────────────────────────────
+ * SECTION 1: CONFIGURATION & DATA
+ * SECTION 2: HTTP HELPERS
+ * SECTION 3: API ROUTES
+ * SECTION 4: STATIC FILES
+ * SECTION 5: SERVER
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const SAMPLE_DATA = require('../js/sample-data.js');
+
+/* ------------------------------------------
+ * SECTION 1: CONFIGURATION & DATA
+ * ------------------------------------------ */
+
+/** @constant {number} Listening port */
+const PORT = Number(process.env.PORT) || 3000;
+
+/** @constant {string} Directory served as static files */
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+/** @constant {Object<string, string>} Content types by extension */
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf'
+};
+
+/** In-memory collections, seeded from sample data */
+const collections = JSON.parse(JSON.stringify(SAMPLE_DATA));
+
+/** In-memory metadata */
+const meta = {};
+
+/** Last id handed out per collection (ids are never reused) */
+const sequences = {};
+
+/* ------------------------------------------
+ * SECTION 2: HTTP HELPERS
+ * ------------------------------------------ */
+
+/**
+ * Send a JSON response (CORS enabled)
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} [body]
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>} Parsed body (undefined if empty)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : undefined);
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse an id from the URL (numeric ids stay numbers)
+ * @param {string} raw
+ * @returns {number|string}
+ */
+function parseId(raw) {
+    const id = decodeURIComponent(raw);
+    return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+/* ------------------------------------------
+ * SECTION 3: API ROUTES
+ * ------------------------------------------ */
+
+/**
+ * Handle /api/* requests
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+async function handleApi(req, res, url) {
+    const [entity, rawId] = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+    const body = await readBody(req);
+
+    // Metadata
+    if (entity === 'meta') {
+        if (req.method === 'GET' && !rawId) return sendJson(res, 200, meta);
+        if (req.method === 'PUT' && rawId) {
+            meta[decodeURIComponent(rawId)] = body ? body.value : undefined;
+            return sendJson(res, 200, { value: meta[decodeURIComponent(rawId)] });
+        }
+        return sendJson(res, 405, { error: 'Méthode non autorisée' });
+    }
+
+    if (!entity || !/^[a-zA-Z]+$/.test(entity)) {
+        return sendJson(res, 404, { error: 'Ressource inconnue' });
+    }
+
+    // Unknown collections are created by the first write
+    const records = collections[entity];
+
+    if (!rawId) {
+        switch (req.method) {
+            case 'GET': {
+                if (!records) return sendJson(res, 404, { error: 'Collection inconnue' });
+                const filters = [...url.searchParams.entries()];
+                return sendJson(res, 200, records.filter(record =>
+                    filters.every(([field, value]) => String(record[field]) === value)
+                ));
+            }
+            case 'POST': {
+                if (!body || typeof body !== 'object') return sendJson(res, 400, { error: 'Corps invalide' });
+                const list = collections[entity] || (collections[entity] = []);
+                const record = { ...body };
+                if (record.id === undefined || list.some(item => item.id === record.id)) {
+                    record.id = Math.max(sequences[entity] || 0, ...list.map(item => Number(item.id) || 0)) + 1;
+                }
+                if (typeof record.id === 'number') {
+                    sequences[entity] = Math.max(sequences[entity] || 0, record.id);
+                }
+                list.push(record);
+                return sendJson(res, 201, record);
+            }
+            case 'PUT':
+                if (!Array.isArray(body)) return sendJson(res, 400, { error: 'Tableau attendu' });
+                collections[entity] = body;
+                return sendJson(res, 200, body);
+            default:
+                return sendJson(res, 405, { error: 'Méthode non autorisée' });
+        }
+    }
+
+    const id = parseId(rawId);
+    const list = records || [];
+    const index = list.findIndex(item => item.id === id);
+
+    switch (req.method) {
+        case 'GET':
+            return index === -1
+                ? sendJson(res, 404, { error: 'Introuvable' })
+                : sendJson(res, 200, list[index]);
+        case 'PUT': {
+            if (!body || typeof body !== 'object') return sendJson(res, 400, { error: 'Corps invalide' });
+            const record = { ...body, id };
+            if (!records) collections[entity] = list;
+            if (index === -1) list.push(record);
+            else list[index] = record;
+            return sendJson(res, 200, record);
+        }
+        case 'DELETE':
+            if (index === -1) return sendJson(res, 404, { error: 'Introuvable' });
+            list.splice(index, 1);
+            return sendJson(res, 204);
+        default:
+            return sendJson(res, 405, { error: 'Méthode non autorisée' });
+    }
+}
+
+/* ------------------------------------------
+ * SECTION 4: STATIC FILES
+ * ------------------------------------------ */
+
+/**
+ * Serve a file of the project
+ * @param {http.ServerResponse} res
+ * @param {URL} url
+ */
+function serveStatic(res, url) {
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (err) {
+        // Malformed escape such as /%E0%A4%A
+        return sendJson(res, 400, { error: 'Chemin invalide' });
+    }
+    const filePath = path.join(STATIC_ROOT, relative);
+
+    // Refuse paths escaping the project directory
+    if (!filePath.startsWith(STATIC_ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Not found');
+        }
+        const type = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+/* ------------------------------------------
+ * SECTION 5: SERVER
+ * ------------------------------------------ */
+
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (err) {
+        // Malformed Host header (e.g. "a b") or request target
+        return sendJson(res, 400, { error: 'URL invalide' });
+    }
+
+    if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url).catch(err => {
+            sendJson(res, 400, { error: err.message });
+        });
+        return;
+    }
+
+    serveStatic(res, url);
+});
+
+// Started when run directly; tests import the server and pick a port
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock API: http://localhost:${PORT}/api  —  pages: http://localhost:${PORT}/`);
+    });
+}
+
+module.exports = server;
@@ -0,0 +1,60 @@
+/* ==========================================
+ * GLOVOADMIN - MOCK REST SERVER TESTS (mock-server.test.js)
+ * ==========================================
+ *
+ * DESCRIPTION:
+ * Malformed requests must get an error answer without
+ * stopping the server. Requests are written on a raw
+ * socket, so nothing is fixed up by an HTTP client.
+ * Node only (node:test):
+ *
+ *   node --test "test project/server"
+ *
+ * @author GlovoAdmin Team
+ * @version 1.0.0
+ * ========================================== */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const server = require('./mock-server.js');
+
+/** @type {number} Port picked by the system */
+let port;
+
+before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a raw request
+ * @param {string} head - Request line and headers, without the blank line
+ * @returns {Promise<number>} Status code of the answer
+ */
+function sendRaw(head) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+            socket.write(`${head}\r\nConnection: close\r\n\r\n`);
+        });
+        let raw = '';
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => { raw += chunk; });
+        socket.on('end', () => resolve(Number(raw.split(' ')[1])));
+        socket.on('error', reject);
+    });
+}
+
+test('answers 400 to a malformed Host header and keeps running', async () => {
+    assert.strictEqual(await sendRaw('GET /api/users HTTP/1.1\r\nHost: a b'), 400);
+    assert.strictEqual(await sendRaw('GET /api/users HTTP/1.1\r\nHost: localhost'), 200);
+});
+
+test('answers 400 to a malformed static path', async () => {
+    assert.strictEqual(await sendRaw('GET /%E0%A4%A HTTP/1.1\r\nHost: localhost'), 400);
+    assert.strictEqual(await sendRaw('GET /login.html HTTP/1.1\r\nHost: localhost'), 200);
+});